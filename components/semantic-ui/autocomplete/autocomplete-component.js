@@ -47,6 +47,11 @@ export class AutocompleteComponent extends Core_HBSElement {
      */
     #searchTimeout = null;
     
+    /**
+     * Subscription to the pending Observable data source query
+     */
+    #searchSub = null;
+    
     /**
      * Latest language labels repository
      */
@@ -245,7 +250,7 @@ export class AutocompleteComponent extends Core_HBSElement {
      */
     setupLangSubscription() {
         this.addSub(
-            $svc('lang').getData().subscribe((labels) => {
+            this.svc('lang').getData().subscribe((labels) => {
                 this.#labelsRepo = labels;
                 this.applyI18nLabels();
             })
@@ -376,8 +381,9 @@ export class AutocompleteComponent extends Core_HBSElement {
                     
                     // Check if it's an Observable (has subscribe method)
                     if (sourceResult && typeof sourceResult.subscribe === 'function') {
-                        // Handle Observable
-                        sourceResult.subscribe({
+                        // Handle Observable, dropping the previous query if still pending
+                        this.#searchSub?.unsubscribe();
+                        this.#searchSub = sourceResult.subscribe({
                             next: (data) => {
                                 
                                 // Format data for Semantic UI (needs { results: [...] })
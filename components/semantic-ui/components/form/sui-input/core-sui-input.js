@@ -72,7 +72,7 @@ export class Core_SUIInput extends Core_HBSElement {
       }
       // i18n tooltip for clear
       try {
-         const t = $svc('lang').getLabel('user_list.clear_field') || 'Clear';
+         const t = this.svc('lang').getLabel('user_list.clear_field') || 'Clear';
          if (this.clearIcon) this.clearIcon.setAttribute('title', t);
       } catch (_) {}
    }
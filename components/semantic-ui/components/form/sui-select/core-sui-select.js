@@ -48,7 +48,7 @@ export class Core_SUISelect extends Core_HBSElement {
    setOptionList(optionList) {
       this.optionList = optionList;
       this.querySelector('.core-sui-select-option-list').innerHTML = suiSelectOptionList(this);
-      $svc('lang').process(this.querySelector('.core-sui-select-option-list'));
+      this.svc('lang').process(this.querySelector('.core-sui-select-option-list'));
       $(this.suiDropdown).dropdown('destroy');
       $(this.suiDropdown).dropdown('set selected', this.#value);
    }
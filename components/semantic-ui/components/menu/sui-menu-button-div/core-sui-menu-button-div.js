@@ -14,7 +14,7 @@ export class Core_SUIMenuButtonDiv extends Core_HBSElement {
       this.idTarget = this.getAttribute('data-menu');
 
       // Target menu to be added as a Stackable menu to be managed
-      $svc('semantic').addStackableMenu(this.idTarget);
+      this.svc('semantic').addStackableMenu(this.idTarget);
    }
 
    /**
@@ -35,7 +35,7 @@ export class Core_SUIMenuButtonDiv extends Core_HBSElement {
     * Component destroyed, we clean the stackable menus
     */
    onDisconnect() {
-      $svc('semantic').removeStackableMenu(this.idTarget);
+      this.svc('semantic').removeStackableMenu(this.idTarget);
    }
 
    /**
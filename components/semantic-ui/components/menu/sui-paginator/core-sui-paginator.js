@@ -14,12 +14,14 @@ export class Core_SUIPaginator extends Core_HBSElement {
       super(template);
 
       this.content = [];
-      this.#nbValidEntries = $svc('default').paginator.nbValidEntries;
+      this.#nbValidEntries = null;
       this.#pageSelected = new Subject();
       this.nbPages = 0;
    }
 
    onConnect() {
+      // Read once in the DOM, from the scope of the page holding the paginator (unless set by the client)
+      this.#nbValidEntries ??= this.svc('config').getNumber('paginator.nbValidEntries');
       this.render();
    }
 
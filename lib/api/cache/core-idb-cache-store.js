@@ -0,0 +1,62 @@
+import { Core_IDB } from '../core-idb';
+
+/**
+ * Keeps the responses cached by Core_AjaxService in IndexedDB: they survive page reloads.
+ * Entries are the same as in Core_MemoryCacheStore.
+ */
+export class Core_IDBCacheStore {
+   static #storeName = 'responses';
+
+   #db;     // The database
+
+   /**
+    * Constructs the store.
+    * @param {string} [dbName='core-cache'] The name of the IndexedDB database.
+    */
+   constructor(dbName = 'core-cache') {
+      this.#db = new Core_IDB(dbName, [Core_IDBCacheStore.#storeName]);
+   }
+
+   /**
+    * Reads an entry.
+    * @param {string} key The entry key.
+    * @returns {Promise<Object|null>} The entry, null if not cached.
+    */
+   async get(key) {
+      return (await this.#db.get(Core_IDBCacheStore.#storeName, key)) ?? null;
+   }
+
+   /**
+    * Writes an entry, replacing the one with the same key.
+    * @param {Object} entry The entry.
+    * @returns {Promise} Resolves once written.
+    */
+   set(entry) {
+      return this.#db.put(Core_IDBCacheStore.#storeName, entry.key, entry);
+   }
+
+   /**
+    * Removes an entry.
+    * @param {string} key The entry key.
+    * @returns {Promise} Resolves once removed.
+    */
+   delete(key) {
+      return this.#db.delete(Core_IDBCacheStore.#storeName, key);
+   }
+
+   /**
+    * Reads all entries.
+    * @returns {Promise<Array<Object>>} The entries.
+    */
+   getAll() {
+      return this.#db.getAll(Core_IDBCacheStore.#storeName);
+   }
+
+   /**
+    * Removes all entries.
+    * @returns {Promise} Resolves once cleared.
+    */
+   clear() {
+      return this.#db.clear(Core_IDBCacheStore.#storeName);
+   }
+}
@@ -0,0 +1,67 @@
+/**
+ * Keeps the responses cached by Core_AjaxService in memory: they are lost when the page is reloaded.
+ *
+ * A cache entry is:
+ * {
+ *    key: 'GET REF/countries',    // See Core_AjaxService::getRequestKey()
+ *    partition: null,             // Session the response was cached for, null if anonymous
+ *    body: [...],                 // The response body
+ *    etag: '"33a64df5"',          // The ETag header of the response, null if none
+ *    tags: ['ref'],               // Tags used to invalidate several entries at once
+ *    storedAt: 1704103200000,     // When the response was received (ms since epoch)
+ *    expiresAt: 1704103260000     // Until when the response is fresh (ms since epoch)
+ * }
+ */
+export class Core_MemoryCacheStore {
+   #entries;   // All entries (key -> entry)
+
+   /**
+    * Constructs an empty store.
+    */
+   constructor() {
+      this.#entries = new Map();
+   }
+
+   /**
+    * Reads an entry.
+    * @param {string} key The entry key.
+    * @returns {Promise<Object|null>} The entry, null if not cached.
+    */
+   async get(key) {
+      return this.#entries.get(key) ?? null;
+   }
+
+   /**
+    * Writes an entry, replacing the one with the same key.
+    * @param {Object} entry The entry.
+    * @returns {Promise} Resolves once written.
+    */
+   async set(entry) {
+      this.#entries.set(entry.key, entry);
+   }
+
+   /**
+    * Removes an entry.
+    * @param {string} key The entry key.
+    * @returns {Promise} Resolves once removed.
+    */
+   async delete(key) {
+      this.#entries.delete(key);
+   }
+
+   /**
+    * Reads all entries.
+    * @returns {Promise<Array<Object>>} The entries.
+    */
+   async getAll() {
+      return Array.from(this.#entries.values());
+   }
+
+   /**
+    * Removes all entries.
+    * @returns {Promise} Resolves once cleared.
+    */
+   async clear() {
+      this.#entries.clear();
+   }
+}
@@ -0,0 +1,158 @@
+import { Observable } from 'rxjs';
+
+/**
+ * Uploads a large file in chunks, one PUT request per chunk carrying a Content-Range header
+ * ('bytes 0-5242879/12000000') and the id of the upload (X-Upload-Id header), so that the server can assemble them.
+ * The offset of the last chunk acknowledged is kept in localStorage: uploading the same file to the same URL
+ * after a failure, a cancel or a page reload resumes where it stopped.
+ * Obtained through $svc('ajax').uploadChunked(), never built directly.
+ */
+export class Core_ChunkedUpload {
+
+   // localStorage key keeping the state of unfinished uploads
+   static storageKey = 'core.uploads';
+
+   #ajax;         // The ajax service sending the chunks
+   #url;          // The endpoint URL
+   #file;         // The file (or blob) to upload
+   #chunkSize;    // Size of a chunk, in bytes
+   #headers;      // Additional headers sent with each chunk
+   #options;      // Request options of each chunk
+
+   /**
+    * Constructs the upload.
+    * @param {Core_AjaxService} ajax The ajax service sending the chunks.
+    * @param {string} url The endpoint URL.
+    * @param {Blob} file The file (or blob) to upload.
+    * @param {Object} params Upload parameters.
+    * @param {number} params.chunkSize Size of a chunk, in bytes.
+    * @param {Object} [params.headers={}] Additional headers sent with each chunk.
+    * @param {Object} [params.options={}] Request options of each chunk (see Core_AjaxService).
+    */
+   constructor(ajax, url, file, params) {
+      this.#ajax = ajax;
+      this.#url = url;
+      this.#file = file;
+      this.#chunkSize = params.chunkSize;
+      this.#headers = params.headers ?? {};
+      this.#options = params.options ?? {};
+   }
+
+   /**
+    * Sends the chunks not acknowledged yet, one after the other.
+    * A failing chunk stops the upload, the next call resuming from it. Unsubscribing cancels the upload, kept for resume.
+    * @returns {Observable<Object>} Emits progress events ({ type: 'progress', direction: 'upload', loaded, total, percent }),
+    * then { type: 'done', body } with the response to the last chunk.
+    */
+   start() {
+      return new Observable((subscriber) => {
+         const size = this.#file.size;
+         const state = this.#readState() ?? { uploadId: this.#newUploadId(), offset: 0 };
+         let chunkSub = null;
+
+         const progress = (loaded) => subscriber.next({
+            type: 'progress',
+            direction: 'upload',
+            loaded: loaded,
+            total: size,
+            percent: (size > 0) ? Math.round(loaded * 100 / size) : 100
+         });
+
+         const sendChunk = (offset) => {
+            const end = Math.min(offset + this.#chunkSize, size);
+            let body = null;
+
+            chunkSub = this.#ajax.request({
+               method: 'PUT',
+               url: this.#url,
+               body: this.#file.slice(offset, end),
+               headers: {
+                  'Content-Type': 'application/octet-stream',
+                  ...this.#headers,
+                  'Content-Range': (size > 0) ? `bytes ${offset}-${end - 1}/${size}` : 'bytes */0',
+                  'X-Upload-Id': state.uploadId
+               },
+               // A failing chunk is resumed from the stored offset, never queued offline
+               options: {
+                  ...this.#options,
+                  offline: false,
+                  progress: (event) => {
+                     if (event.direction === 'upload') {
+                        progress(Math.min(end, offset + event.loaded));
+                     }
+                  }
+               }
+            }).subscribe({
+               next: (response) => body = response,
+               error: (error) => subscriber.error(error),
+               complete: () => {
+                  if (end < size) {
+                     this.#writeState({ uploadId: state.uploadId, offset: end });
+                     progress(end);
+                     sendChunk(end);
+                  } else {
+                     this.#writeState(null);
+                     progress(size);
+                     subscriber.next({ type: 'done', body: body });
+                     subscriber.complete();
+                  }
+               }
+            });
+         };
+
+         progress(state.offset);
+         sendChunk(state.offset);
+
+         return () => chunkSub?.unsubscribe();
+      });
+   }
+
+   /**
+    * Key identifying this upload in the stored states: same URL, same file.
+    * @returns {string} The key.
+    */
+   #key() {
+      return [this.#url, this.#file.name ?? '', this.#file.size, this.#file.lastModified ?? ''].join('|');
+   }
+
+   /**
+    * Reads the state of this upload, left by a previous attempt.
+    * @returns {{uploadId: string, offset: number}|null} The state, null if none.
+    */
+   #readState() {
+      try {
+         return JSON.parse(localStorage.getItem(Core_ChunkedUpload.storageKey) ?? '{}')[this.#key()] ?? null;
+      } catch (e) {
+         return null;
+      }
+   }
+
+   /**
+    * Keeps the state of this upload, or forgets it.
+    * @param {{uploadId: string, offset: number}|null} state The state, null once the upload is over.
+    */
+   #writeState(state) {
+      try {
+         const states = JSON.parse(localStorage.getItem(Core_ChunkedUpload.storageKey) ?? '{}');
+         if (state === null) {
+            delete states[this.#key()];
+         } else {
+            states[this.#key()] = state;
+         }
+         localStorage.setItem(Core_ChunkedUpload.storageKey, JSON.stringify(states));
+      } catch (e) {
+         // No storage available, the upload will start over if interrupted
+      }
+   }
+
+   /**
+    * Generates the id of a new upload.
+    * @returns {string} The id.
+    */
+   #newUploadId() {
+      if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+         return crypto.randomUUID();
+      }
+      return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+   }
+}
@@ -0,0 +1,137 @@
+/**
+ * Minimal promise based access to an IndexedDB database, shared by the ajax features persisting data
+ * (response cache, offline queue). Each object store keeps plain values under explicit keys.
+ *
+ * Usage:
+ *   const db = new Core_IDB('core-cache', ['responses']);
+ *   await db.put('responses', 'GET /items', { body: [...] });
+ *   const entry = await db.get('responses', 'GET /items');
+ */
+export class Core_IDB {
+   #name;         // Name of the database
+   #storeNames;   // Names of the object stores of the database
+   #version;      // Version of the database
+   #db;           // Promise of the opened database, null until first use
+
+   /**
+    * Tells if IndexedDB is available in this browser (not in some private modes, nor in tests).
+    * @returns {boolean} True if available.
+    */
+   static isAvailable() {
+      return typeof indexedDB !== 'undefined' && indexedDB !== null;
+   }
+
+   /**
+    * Constructs the access; the database is opened (and created if needed) on first use.
+    * @param {string} name The name of the database.
+    * @param {string[]} storeNames The names of the object stores of the database.
+    * @param {number} [version=1] The version of the database, to raise when adding stores.
+    */
+   constructor(name, storeNames, version = 1) {
+      this.#name = name;
+      this.#storeNames = storeNames;
+      this.#version = version;
+      this.#db = null;
+   }
+
+   /**
+    * Reads a value.
+    * @param {string} storeName The object store.
+    * @param {IDBValidKey} key The key.
+    * @returns {Promise<*>} The value, undefined if not found.
+    */
+   get(storeName, key) {
+      return this.#run(storeName, 'readonly', (store) => store.get(key));
+   }
+
+   /**
+    * Reads all values of a store.
+    * @param {string} storeName The object store.
+    * @returns {Promise<Array>} The values, in key order.
+    */
+   getAll(storeName) {
+      return this.#run(storeName, 'readonly', (store) => store.getAll());
+   }
+
+   /**
+    * Writes a value, replacing the one with the same key.
+    * @param {string} storeName The object store.
+    * @param {IDBValidKey} key The key.
+    * @param {*} value The value (must be structured-cloneable).
+    * @returns {Promise} Resolves once written.
+    */
+   put(storeName, key, value) {
+      return this.#run(storeName, 'readwrite', (store) => store.put(value, key));
+   }
+
+   /**
+    * Removes a value.
+    * @param {string} storeName The object store.
+    * @param {IDBValidKey} key The key.
+    * @returns {Promise} Resolves once removed.
+    */
+   delete(storeName, key) {
+      return this.#run(storeName, 'readwrite', (store) => store.delete(key));
+   }
+
+   /**
+    * Removes all values of a store.
+    * @param {string} storeName The object store.
+    * @returns {Promise} Resolves once cleared.
+    */
+   clear(storeName) {
+      return this.#run(storeName, 'readwrite', (store) => store.clear());
+   }
+
+   /**
+    * Closes the database, reopened on next use.
+    */
+   close() {
+      this.#db?.then((db) => db.close(), () => { });
+      this.#db = null;
+   }
+
+   /**
+    * Opens the database once, creating the missing object stores.
+    * @returns {Promise<IDBDatabase>} The database.
+    */
+   #open() {
+      if (this.#db === null) {
+         this.#db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.#name, this.#version);
+
+            request.onupgradeneeded = () => {
+               this.#storeNames
+                  .filter((storeName) => !request.result.objectStoreNames.contains(storeName))
+                  .forEach((storeName) => request.result.createObjectStore(storeName));
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+         });
+
+         // A failed opening may succeed later (e.g. once another tab released an old version)
+         this.#db.catch(() => { this.#db = null; });
+      }
+      return this.#db;
+   }
+
+   /**
+    * Runs a single request in its own transaction.
+    * @param {string} storeName The object store.
+    * @param {string} mode 'readonly' or 'readwrite'.
+    * @param {function(IDBObjectStore): IDBRequest} fn Builds the request.
+    * @returns {Promise<*>} The request result, once the transaction is complete.
+    */
+   async #run(storeName, mode, fn) {
+      const db = await this.#open();
+
+      return new Promise((resolve, reject) => {
+         const transaction = db.transaction(storeName, mode);
+         const request = fn(transaction.objectStore(storeName));
+
+         transaction.oncomplete = () => resolve(request.result);
+         transaction.onerror = () => reject(transaction.error);
+         transaction.onabort = () => reject(transaction.error);
+      });
+   }
+}
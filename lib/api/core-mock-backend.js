@@ -0,0 +1,273 @@
+import { defer, from, isObservable, of, map, mergeMap, shareReplay, tap, throwError, timer } from 'rxjs';
+import { Core_HttpError } from './errors/core-http-error';
+import { Core_NetworkError } from './errors/core-network-error';
+
+/**
+ * Answers ajax requests locally, to run the application without backend (development, demos, tests).
+ * Used by the 'mock' interceptor of Core_AjaxService when 'ajax.mock.enabled' is set, reachable through
+ * $svc('ajax').getMockBackend().
+ *
+ * Routes map a method and a URL pattern (':name' for a path segment, '*' for anything, or a RegExp) to:
+ * - a handler, called with { request, params, query, body }, returning the body, a Promise or an Observable of it,
+ *   or Core_MockBackend.reply(status, body, headers) to answer another status
+ * - a fixture: URL of a JSON file, loaded once from the real server (e.g. 'fixtures/cart.json')
+ * - a body, answered as is
+ * Unmatched requests go to the real server if 'passthrough' is set, otherwise they fail with 404.
+ * Answers can be delayed ('latency', in ms or [min, max]) and made to fail randomly ('errorRate', 'errorStatus',
+ * 0 meaning a network error), globally or per route.
+ * When 'record' is set, real responses are recorded and can be exported as routes (see exportRoutes()).
+ *
+ * Usage (configuration):
+ *   ajax.mock = {
+ *      enabled: true,
+ *      latency: [100, 400],
+ *      routes: [
+ *         { url: 'CART/loadItems', fixture: 'fixtures/cart.json' },
+ *         { method: 'PUT', url: 'CART/addItem', body: { result: 'SUCCESS', items: {} } },
+ *         { url: 'loadLang', fixture: 'fixtures/lang.json', latency: 0 }
+ *      ]
+ *   }
+ * Usage (code):
+ *   $svc('ajax').getMockBackend().addRoute('GET', 'teams/:id', ({ params }) => ({ id: params.id, name: 'Blue' }));
+ *   $svc('ajax').getMockBackend().addRoute('POST', 'teams', () => Core_MockBackend.reply(409, { result: 'TEAM_EXISTS' }));
+ *   // With 'record' and 'passthrough', saves what the real server answered as routes
+ *   $svc('ajax').saveFile(new Blob([JSON.stringify($svc('ajax').getMockBackend().exportRoutes())]), 'mock-routes.json');
+ */
+export class Core_MockBackend {
+   static #reply = Symbol('reply');
+
+   #routes;       // Registered routes, the first matching one answers ([{ method, pattern, regExp, keys, answer, latency, errorRate, errorStatus }])
+   #settings;     // Global settings ({ latency, errorRate, errorStatus, passthrough, record })
+   #fixtures;     // Fixtures loaded or being loaded (URL -> Observable of the body)
+   #recordings;   // Real responses recorded ([{ method, url, status, body }])
+   #log;          // Logger of the 'ajax.mock' category
+
+   /**
+    * Constructs the mock backend.
+    * @param {Object} [settings={}] Global settings.
+    * @param {Array<Object>} [settings.routes=[]] Routes ({ method, url, handler | fixture | body, status, latency, errorRate, errorStatus }).
+    * @param {number|number[]} [settings.latency=0] Delay of the answers in ms, or [min, max].
+    * @param {number} [settings.errorRate=0] Probability of a failure, from 0 to 1.
+    * @param {number} [settings.errorStatus=500] Status of the failures, 0 for a network error.
+    * @param {boolean} [settings.passthrough=false] True to send unmatched requests to the real server.
+    * @param {boolean} [settings.record=false] True to record the real responses.
+    * @param {Core_Logger|null} [log=null] Logger of the answered requests.
+    */
+   constructor(settings = {}, log = null) {
+      this.#routes = [];
+      this.#fixtures = new Map();
+      this.#recordings = [];
+      this.#log = log;
+      this.#settings = {
+         latency: settings.latency ?? 0,
+         errorRate: settings.errorRate ?? 0,
+         errorStatus: settings.errorStatus ?? 500,
+         passthrough: settings.passthrough ?? false,
+         record: settings.record ?? false
+      };
+
+      (settings.routes ?? []).forEach((route) => {
+         const { method, url, handler, ...options } = route;
+         this.addRoute(method ?? '*', url, handler ?? options, options);
+      });
+   }
+
+   /**
+    * Builds the answer of a handler with a status other than 200.
+    * @param {number} status The HTTP status.
+    * @param {*} [body=null] The response body.
+    * @param {Object} [headers={}] The response headers.
+    * @returns {Object} The answer.
+    */
+   static reply(status, body = null, headers = {}) {
+      return { [Core_MockBackend.#reply]: true, status: status, body: body, headers: headers };
+   }
+
+   /**
+    * Registers a route, after the existing ones.
+    * @param {string} method The HTTP method, '*' for any.
+    * @param {string|RegExp} pattern The URL pattern (':name' for a path segment, '*' for anything), query string excluded.
+    * @param {function(Object): *|Object} answer A handler, or { fixture } or { body } (with an optional status).
+    * @param {Object} [options={}] Route options overriding the global ones: latency, errorRate, errorStatus.
+    * @returns {Core_MockBackend} This backend, for chaining.
+    */
+   addRoute(method, pattern, answer, options = {}) {
+      const keys = [];
+      const regExp = (pattern instanceof RegExp) ? pattern : new RegExp('^' + pattern
+         .split(/(:[A-Za-z_$][\w$]*|\*)/)
+         .map((part) => {
+            if (part === '*') {
+               return '.*';
+            }
+            if (part.startsWith(':')) {
+               keys.push(part.slice(1));
+               return '([^/]+)';
+            }
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+         })
+         .join('') + '$');
+
+      this.#routes.push({
+         method: method.toUpperCase(),
+         pattern: pattern,
+         regExp: regExp,
+         keys: keys,
+         answer: answer,
+         latency: options.latency,
+         errorRate: options.errorRate,
+         errorStatus: options.errorStatus
+      });
+      return this;
+   }
+
+   /**
+    * Removes the routes of a pattern.
+    * @param {string} method The HTTP method ('*' for the routes of any method).
+    * @param {string|RegExp} pattern The URL pattern, as registered.
+    */
+   removeRoute(method, pattern) {
+      this.#routes = this.#routes.filter((route) =>
+         !(route.method === method.toUpperCase() && String(route.pattern) === String(pattern)));
+   }
+
+   /**
+    * Interceptor answering the matching requests, the others going to the real server
+    * (or failing with 404 unless 'passthrough' is set).
+    * @param {Object} request The request.
+    * @param {function(Object): Observable} next The rest of the chain, down to the real server.
+    * @returns {Observable<Object>} Emits the response.
+    */
+   intercept(request, next) {
+      const [path, queryString] = request.url.split('?');
+      const route = this.#routes.find((candidate) =>
+         (candidate.method === '*' || candidate.method === request.method) && candidate.regExp.test(path));
+
+      if (!route) {
+         if (this.#settings.passthrough) {
+            return this.#settings.record ? next(request).pipe(tap((response) => this.#record(request, response))) : next(request);
+         }
+         return this.#delay(route).pipe(mergeMap(() => throwError(() =>
+            new Core_HttpError(request, 404, 'Not Found', { message: 'No mock route for ' + request.method + ' ' + request.url }))));
+      }
+
+      const matches = route.regExp.exec(path);
+      const context = {
+         request: request,
+         params: Object.fromEntries(route.keys.map((key, index) => [key, decodeURIComponent(matches[index + 1])])),
+         query: Object.fromEntries(new URLSearchParams(queryString ?? '')),
+         body: request.body
+      };
+
+      return this.#delay(route).pipe(
+         mergeMap(() => {
+            const errorRate = route.errorRate ?? this.#settings.errorRate;
+            if (errorRate > 0 && Math.random() < errorRate) {
+               const status = route.errorStatus ?? this.#settings.errorStatus;
+               this.#log?.info('Mock failure ' + status + ' for ' + request.method + ' ' + request.url);
+               return throwError(() => (status === 0)
+                  ? new Core_NetworkError(request, new Error('Simulated network error'))
+                  : new Core_HttpError(request, status, 'Simulated error'));
+            }
+            return this.#answer(route.answer, context, next);
+         }),
+         map((answer) => {
+            const reply = (answer?.[Core_MockBackend.#reply] === true) ? answer : { status: route.answer.status ?? 200, body: answer, headers: {} };
+            this.#log?.debug('Mock answer ' + reply.status + ' for ' + request.method + ' ' + request.url);
+
+            // As from the server, 304 answers the If-None-Match of the cache interceptor
+            if ((reply.status < 200 || reply.status >= 300) && reply.status !== 304) {
+               throw new Core_HttpError(request, reply.status, '', reply.body, reply.headers);
+            }
+            return { status: reply.status, statusText: 'OK', headers: reply.headers, body: reply.body, request: request, mocked: true };
+         })
+      );
+   }
+
+   /**
+    * Returns the real responses recorded so far.
+    * @returns {Array<Object>} The recordings ({ method, url, status, body }).
+    */
+   getRecordings() {
+      return [...this.#recordings];
+   }
+
+   /**
+    * Forgets the recorded responses.
+    */
+   clearRecordings() {
+      this.#recordings = [];
+   }
+
+   /**
+    * Exports the recorded responses as routes, to paste in 'ajax.mock.routes' (the last response of each request wins).
+    * @returns {Array<Object>} The routes ({ method, url, status, body }).
+    */
+   exportRoutes() {
+      const routes = new Map();
+      this.#recordings.forEach((recording) => routes.set(recording.method + ' ' + recording.url, recording));
+      return Array.from(routes.values());
+   }
+
+   /**
+    * Computes what a route answers.
+    * @param {function(Object): *|Object} answer The answer of the route.
+    * @param {Object} context The request context ({ request, params, query, body }).
+    * @param {function(Object): Observable} next The rest of the chain, to load fixtures.
+    * @returns {Observable} Emits the body, or a reply.
+    */
+   #answer(answer, context, next) {
+      if (typeof answer === 'function') {
+         return defer(() => {
+            const result = answer(context);
+            if (isObservable(result)) {
+               return result;
+            }
+            return (result instanceof Promise) ? from(result) : of(result);
+         });
+      }
+      if (answer.fixture !== undefined) {
+         return this.#fixture(answer.fixture, context.request, next);
+      }
+      return of(answer.body ?? null);
+   }
+
+   /**
+    * Loads a fixture once from the real server.
+    * @param {string} url The URL of the fixture.
+    * @param {Object} request The mocked request.
+    * @param {function(Object): Observable} next The rest of the chain.
+    * @returns {Observable} Emits the fixture content.
+    */
+   #fixture(url, request, next) {
+      if (!this.#fixtures.has(url)) {
+         const fixture$ = next({ method: 'GET', url: url, headers: {}, options: { timeout: request.options.timeout } }).pipe(
+            map((response) => response.body),
+            shareReplay(1)
+         );
+         this.#fixtures.set(url, fixture$);
+         fixture$.subscribe({ error: () => this.#fixtures.delete(url) });
+      }
+      return this.#fixtures.get(url);
+   }
+
+   /**
+    * Waits for the simulated latency.
+    * @param {Object|undefined} route The matching route, if any.
+    * @returns {Observable} Emits once the latency has elapsed.
+    */
+   #delay(route) {
+      const latency = route?.latency ?? this.#settings.latency;
+      const ms = Array.isArray(latency) ? latency[0] + Math.random() * (latency[1] - latency[0]) : latency;
+
+      return (ms > 0) ? timer(Math.round(ms)) : of(0);
+   }
+
+   /**
+    * Records a real response.
+    * @param {Object} request The request.
+    * @param {Object} response The response.
+    */
+   #record(request, response) {
+      this.#recordings.push({ method: request.method, url: request.url, status: response.status, body: response.body });
+   }
+}
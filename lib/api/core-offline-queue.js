@@ -0,0 +1,296 @@
+import { BehaviorSubject, Subject, firstValueFrom } from 'rxjs';
+import { Core_IDB } from './core-idb';
+import { Core_NetworkError } from './errors/core-network-error';
+import { Core_TimeoutError } from './errors/core-timeout-error';
+
+/**
+ * Keeps the mutations that could not reach the server, and replays them in order once the connection is back.
+ * Queued requests are persisted in IndexedDB (in memory when not available), so that they survive a page reload.
+ * Built by Core_AjaxService for its 'offline' interceptor, reachable through $svc('ajax').getOfflineQueue().
+ *
+ * Usage:
+ *   $svc('ajax').getOfflineQueue().status$.subscribe((status) => badge.textContent = status.pending + ' changes pending');
+ *   $svc('ajax').getOfflineQueue().addConflictHandler('cart', (entry, error) => { ... });
+ *
+ * A queued entry is:
+ * {
+ *    id: '000001704103200000-000001',         // Replay order
+ *    method: 'PUT',
+ *    url: 'CART/addItem',
+ *    body: { item: ... },
+ *    headers: { 'Idempotency-Key': '...' },  // Lets the server ignore a mutation it already applied
+ *    options: { timeout: 30000 },            // Persistable request options only
+ *    queuedAt: 1704103200000
+ * }
+ */
+export class Core_OfflineQueue {
+   static #storeName = 'requests';
+   static #lastSeq = 0;
+
+   #db;                 // The database, null when IndexedDB is not available
+   #memory;             // Queued entries when IndexedDB is not available (id -> entry)
+   #send;               // Replays an entry, returning an Observable of the response body
+   #retryDelay;         // Time in ms before trying again when the server cannot be reached while online
+   #waiting;            // Callers waiting for the replay of their request (id -> Subject)
+   #conflictHandlers;   // Called when the server rejects a replayed request ([{ name, fn }])
+   #pending;            // Number of queued entries
+   #status$;            // Current status of the queue
+   #replaying;          // Promise of the current replay, null if none
+   #retryTimer;         // Timer of the next try, null if none
+   #onConnection;       // Listener of the online/offline events
+
+   /**
+    * Constructs the queue, loads the entries left by a previous page and starts listening to the connection status.
+    * @param {Object} params Queue parameters.
+    * @param {function(Object): Observable} params.send Replays an entry, returning an Observable of the response body.
+    * @param {string} [params.dbName='core-offline'] The name of the IndexedDB database.
+    * @param {number} [params.retryDelay=30000] Time in ms before trying again when the server cannot be reached while online.
+    */
+   constructor(params) {
+      this.#db = Core_IDB.isAvailable() ? new Core_IDB(params.dbName ?? 'core-offline', [Core_OfflineQueue.#storeName]) : null;
+      this.#memory = new Map();
+      this.#send = params.send;
+      this.#retryDelay = params.retryDelay ?? 30000;
+      this.#waiting = new Map();
+      this.#conflictHandlers = [];
+      this.#pending = 0;
+      this.#replaying = null;
+      this.#retryTimer = null;
+      this.#status$ = new BehaviorSubject(this.#status());
+
+      this.#onConnection = () => {
+         this.#publish();
+         if (navigator.onLine) {
+            this.replay();
+         }
+      };
+      window.addEventListener('online', this.#onConnection);
+      window.addEventListener('offline', this.#onConnection);
+
+      this.getEntries().then((entries) => {
+         // Entries queued since construction are already counted
+         this.#pending += entries.filter((entry) => !this.#waiting.has(entry.id)).length;
+         this.#publish();
+         if (entries.length > 0 && navigator.onLine) {
+            this.replay();
+         }
+      }).catch(() => {
+         // Unreadable database: nothing to replay
+      });
+   }
+
+   /**
+    * Stops listening to the connection status. Queued entries are kept for the next page.
+    */
+   dispose() {
+      window.removeEventListener('online', this.#onConnection);
+      window.removeEventListener('offline', this.#onConnection);
+      clearTimeout(this.#retryTimer);
+      this.#status$.complete();
+      this.#db?.close();
+   }
+
+   /**
+    * Queues a request, replayed after all the requests already queued.
+    * @param {Object} request The request ({ method, url, body, headers, options }).
+    * @returns {Observable} Emits the response body once the request is replayed, errors if the server rejects it.
+    */
+   enqueue(request) {
+      const entry = {
+         id: String(Date.now()).padStart(18, '0') + '-' + String(++Core_OfflineQueue.#lastSeq).padStart(6, '0'),
+         method: request.method,
+         url: request.url,
+         body: request.body,
+         headers: request.headers,
+         options: this.#persistableOptions(request.options),
+         queuedAt: Date.now()
+      };
+      const waiting = new Subject();
+
+      this.#waiting.set(entry.id, waiting);
+      this.#pending++;
+      this.#publish();
+
+      this.#write(entry).then(() => {
+         if (navigator.onLine) {
+            this.replay();
+         }
+      }).catch((error) => {
+         this.#pending--;
+         this.#publish();
+         this.#waiting.delete(entry.id);
+         waiting.error(error);
+      });
+
+      return waiting.asObservable();
+   }
+
+   /**
+    * Replays the queued requests, in order. Stops at the first request that cannot reach the server,
+    * the rest waiting for the next try. Requests rejected by the server are dropped, after calling the conflict handlers.
+    * Called automatically when the connection is back.
+    * @returns {Promise} Resolves once the replay is over.
+    */
+   replay() {
+      if (this.#replaying === null) {
+         clearTimeout(this.#retryTimer);
+         this.#retryTimer = null;
+         this.#replaying = this.#replayAll().finally(() => {
+            this.#replaying = null;
+            this.#publish();
+         });
+         this.#publish();
+      }
+      return this.#replaying;
+   }
+
+   /**
+    * Returns the queued entries, in replay order.
+    * @returns {Promise<Array<Object>>} The entries.
+    */
+   async getEntries() {
+      const entries = this.#db ? await this.#db.getAll(Core_OfflineQueue.#storeName) : Array.from(this.#memory.values());
+      return entries.sort((a, b) => a.id.localeCompare(b.id));
+   }
+
+   /**
+    * Drops a queued entry without replaying it. A caller waiting for it gets no response.
+    * @param {string} id The entry id.
+    * @returns {Promise} Resolves once dropped.
+    */
+   async remove(id) {
+      await this.#delete(id);
+      this.#waiting.get(id)?.complete();
+      this.#waiting.delete(id);
+   }
+
+   /**
+    * Registers a conflict handler, or replaces the one with the same name.
+    * Handlers are called with (entry, error) when the server rejects a replayed request (e.g. 409 Conflict
+    * because the data changed meanwhile), the entry being dropped afterwards.
+    * @param {string} name The unique name of the handler.
+    * @param {function(Object, Core_AjaxError)} fn The handler.
+    */
+   addConflictHandler(name, fn) {
+      this.removeConflictHandler(name);
+      this.#conflictHandlers.push({ name: name, fn: fn });
+   }
+
+   /**
+    * Removes a conflict handler.
+    * @param {string} name The name of the handler.
+    */
+   removeConflictHandler(name) {
+      this.#conflictHandlers = this.#conflictHandlers.filter((handler) => handler.name !== name);
+   }
+
+   /**
+    * Replays the oldest entry until the queue is empty, including the entries queued meanwhile.
+    */
+   async #replayAll() {
+      let entry;
+
+      while (navigator.onLine && (entry = (await this.getEntries())[0])) {
+         const waiting = this.#waiting.get(entry.id);
+
+         try {
+            const body = await firstValueFrom(this.#send(entry), { defaultValue: null });
+            await this.#delete(entry.id);
+            waiting?.next(body);
+            waiting?.complete();
+         } catch (error) {
+            // Still no way to reach the server: keep the entry, and the following ones, for the next try
+            if (error instanceof Core_NetworkError || error instanceof Core_TimeoutError) {
+               this.#retryTimer = setTimeout(() => this.replay(), this.#retryDelay);
+               return;
+            }
+
+            await this.#delete(entry.id);
+            this.#conflictHandlers.forEach((handler) => {
+               try {
+                  handler.fn(entry, error);
+               } catch (e) {
+                  // A failing handler never prevents the others from running
+               }
+            });
+            waiting?.error(error);
+         }
+         this.#waiting.delete(entry.id);
+      }
+   }
+
+   /**
+    * Persists an entry.
+    * @param {Object} entry The entry.
+    * @returns {Promise} Resolves once written.
+    */
+   async #write(entry) {
+      if (this.#db) {
+         await this.#db.put(Core_OfflineQueue.#storeName, entry.id, entry);
+      } else {
+         this.#memory.set(entry.id, entry);
+      }
+   }
+
+   /**
+    * Removes a persisted entry.
+    * @param {string} id The entry id.
+    * @returns {Promise} Resolves once removed.
+    */
+   async #delete(id) {
+      if (this.#db) {
+         await this.#db.delete(Core_OfflineQueue.#storeName, id);
+      } else {
+         this.#memory.delete(id);
+      }
+      this.#pending = Math.max(0, this.#pending - 1);
+      this.#publish();
+   }
+
+   /**
+    * Publishes the current status of the queue.
+    */
+   #publish() {
+      if (!this.#status$.closed) {
+         this.#status$.next(this.#status());
+      }
+   }
+
+   /**
+    * Builds the current status of the queue.
+    * @returns {{pending: number, replaying: boolean, online: boolean}} The status.
+    */
+   #status() {
+      return { pending: this.#pending, replaying: this.#replaying !== null, online: navigator.onLine };
+   }
+
+   /**
+    * Keeps the request options that can be persisted: no signal, no channel, no function.
+    * @param {Object} options The request options.
+    * @returns {Object} The persistable options.
+    */
+   #persistableOptions(options) {
+      return Object.fromEntries(Object.entries(options ?? {})
+         .filter(([key, value]) => key !== 'signal' && key !== 'channel' && typeof value !== 'function'));
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * Number of queued requests.
+    * @returns {number} The number of entries.
+    */
+   get pending() {
+      return this.#pending;
+   }
+
+   /**
+    * Status of the queue: { pending, replaying, online }, pending being the number of queued requests.
+    * @returns {Observable<Object>} Emits the current status, then each change.
+    */
+   get status$() {
+      return this.#status$.asObservable();
+   }
+}
@@ -0,0 +1,218 @@
+import { map, tap } from 'rxjs';
+import { Core_QueryString } from '../utils/core-query-string';
+
+/**
+ * REST client of one resource, giving list/get/create/update/remove methods on top of Core_AjaxService.
+ * Obtained through $svc('ajax').defineResource(), never built directly.
+ *
+ * URLs are templates: ':name' segments are replaced by the parameter of the same name (URL encoded),
+ * the remaining parameters of list() and get() being serialized as the query string (see serializeQuery()).
+ * Mutations invalidate the cache tag named after the resource, so that a cache rule tagged with it stays fresh.
+ *
+ * Usage:
+ *   const teams = $svc('ajax').defineResource('teams', {
+ *      baseUrl: 'ORG/:orgId/teams',   // Item URL defaults to 'ORG/:orgId/teams/:id'
+ *      idKey: 'id',
+ *      parse: (raw) => new Team(raw)
+ *   });
+ *   teams.list({ orgId: 3, active: true, sort: ['name', 'id'] }).subscribe(...);   // GET ORG/3/teams?active=true&sort=name&sort=id
+ *   teams.update({ orgId: 3, id: 12, name: 'Blue' }).subscribe(...);                // PUT ORG/3/teams/12
+ *   teams.bindRepository(repository);   // Responses now update the repository
+ */
+export class Core_Resource {
+   #name;         // Name of the resource
+   #definition;   // Definition of the resource (see constructor)
+   #ajax;         // The ajax service sending the requests
+   #repository;   // Repository updated with the responses, null if none
+
+   /**
+    * Constructs the resource client.
+    * @param {string} name The name of the resource, also used as cache tag.
+    * @param {Object} definition The resource definition.
+    * @param {string} definition.baseUrl The URL template of the collection (e.g. 'ORG/:orgId/teams').
+    * @param {string} [definition.idKey='id'] The property holding the id of an item.
+    * @param {string} [definition.itemUrl] The URL template of an item (baseUrl + '/:' + idKey by default).
+    * @param {string|null} [definition.listKey=null] The property of the list response holding the items,
+    * null if the response is the array itself.
+    * @param {function(Object): *} [definition.parse] Turns each received item into its typed object.
+    * @param {Object} [definition.options={}] Request options applied to all requests (see Core_AjaxService).
+    * @param {Core_AjaxService} ajax The ajax service sending the requests.
+    */
+   constructor(name, definition, ajax) {
+      const idKey = definition.idKey ?? 'id';
+
+      this.#name = name;
+      this.#definition = {
+         idKey: idKey,
+         itemUrl: definition.baseUrl + '/:' + idKey,
+         listKey: null,
+         parse: (raw) => raw,
+         options: {},
+         ...definition
+      };
+      this.#ajax = ajax;
+      this.#repository = null;
+   }
+
+   /**
+    * Serializes query parameters (see Core_QueryString.serialize()).
+    * @param {Object} query The query parameters.
+    * @returns {string} The query string, without '?'.
+    */
+   static serializeQuery(query) {
+      return Core_QueryString.serialize(query);
+   }
+
+   /**
+    * Fills a URL template.
+    * @param {string} template The URL template.
+    * @param {Object} [params={}] The parameters; ':name' segments take the parameter of the same name.
+    * @param {boolean} [withQuery=false] True to serialize the unused parameters as the query string.
+    * @returns {string} The URL.
+    */
+   buildUrl(template, params = {}, withQuery = false) {
+      const used = new Set();
+      const url = template.replace(/:([A-Za-z_$][\w$]*)/g, (segment, key) => {
+         if (params[key] === undefined || params[key] === null) {
+            throw new Error(`Missing parameter [${key}] for resource [${this.#name}] URL ${template}`);
+         }
+         used.add(key);
+         return encodeURIComponent(String(params[key]));
+      });
+
+      if (!withQuery) {
+         return url;
+      }
+
+      const query = Core_Resource.serializeQuery(Object.fromEntries(Object.entries(params).filter(([key]) => !used.has(key))));
+      return (query === '') ? url : url + (url.includes('?') ? '&' : '?') + query;
+   }
+
+   /**
+    * Lists the items of the collection.
+    * @param {Object} [params={}] URL parameters, the others being sent as query parameters.
+    * @param {Object} [options={}] Request options (see Core_AjaxService).
+    * @returns {Observable<Array>} Emits the parsed items.
+    */
+   list(params = {}, options = {}) {
+      return this.#ajax.get(this.buildUrl(this.#definition.baseUrl, params, true), {}, this.#options(options)).pipe(
+         map((body) => {
+            const items = (this.#definition.listKey === null) ? body : body?.[this.#definition.listKey];
+            return (items ?? []).map((raw) => this.#definition.parse(raw));
+         }),
+         tap((items) => this.#repository?.updateDataArray(items))
+      );
+   }
+
+   /**
+    * Gets an item.
+    * @param {string|number|Object} id The item id, or the URL parameters including the id (e.g. { orgId: 3, id: 12 }).
+    * @param {Object} [options={}] Request options (see Core_AjaxService).
+    * @returns {Observable<*>} Emits the parsed item.
+    */
+   get(id, options = {}) {
+      return this.#ajax.get(this.buildUrl(this.#definition.itemUrl, this.#itemParams(id), true), {}, this.#options(options)).pipe(
+         map((raw) => this.#definition.parse(raw)),
+         tap((item) => this.#repository?.updateDataArray([item]))
+      );
+   }
+
+   /**
+    * Creates an item.
+    * @param {Object} item The item, also giving the URL parameters of the collection.
+    * @param {Object} [options={}] Request options (see Core_AjaxService).
+    * @returns {Observable<*>} Emits the parsed created item, as returned by the server.
+    */
+   create(item, options = {}) {
+      return this.#ajax.post(this.buildUrl(this.#definition.baseUrl, item), item, this.#mutationOptions(options)).pipe(
+         map((raw) => this.#definition.parse(raw)),
+         tap((created) => this.#repository?.updateDataArray([created]))
+      );
+   }
+
+   /**
+    * Updates an item.
+    * @param {Object} item The item, giving its id (see idKey) and the URL parameters.
+    * @param {Object} [options={}] Request options (see Core_AjaxService).
+    * @returns {Observable<*>} Emits the parsed updated item, as returned by the server.
+    */
+   update(item, options = {}) {
+      return this.#ajax.put(this.buildUrl(this.#definition.itemUrl, item), item, this.#mutationOptions(options)).pipe(
+         map((raw) => this.#definition.parse(raw)),
+         tap((updated) => this.#repository?.updateDataArray([updated]))
+      );
+   }
+
+   /**
+    * Removes an item.
+    * @param {string|number|Object} id The item id, or the item (or URL parameters) including the id.
+    * @param {Object} [options={}] Request options (see Core_AjaxService).
+    * @returns {Observable} Emits the response body, if any.
+    */
+   remove(id, options = {}) {
+      const params = this.#itemParams(id);
+
+      return this.#ajax.delete(this.buildUrl(this.#definition.itemUrl, params), {}, this.#mutationOptions(options)).pipe(
+         tap(() => this.#repository?.removeDataByKeys([params[this.#definition.idKey]]))
+      );
+   }
+
+   /**
+    * Binds a repository: received items are added or updated in it, removed items are removed from it.
+    * Items are stored under the repository primary key, usually the idKey of the resource.
+    * @param {Core_DataRepository|null} repository The repository, null to unbind.
+    * @returns {Core_Resource} This resource, for chaining.
+    */
+   bindRepository(repository) {
+      this.#repository = repository;
+      return this;
+   }
+
+   /**
+    * Turns an id into URL parameters.
+    * @param {string|number|Object} id The item id, or the URL parameters including the id.
+    * @returns {Object} The URL parameters.
+    */
+   #itemParams(id) {
+      return (id !== null && typeof id === 'object') ? id : { [this.#definition.idKey]: id };
+   }
+
+   /**
+    * Merges the request options with the ones of the definition.
+    * @param {Object} options The request options.
+    * @returns {Object} The merged options.
+    */
+   #options(options) {
+      return { ...this.#definition.options, ...options };
+   }
+
+   /**
+    * Merges the options of a mutation, invalidating the cache tag of the resource.
+    * @param {Object} options The request options.
+    * @returns {Object} The merged options.
+    */
+   #mutationOptions(options) {
+      const merged = this.#options(options);
+      return { ...merged, invalidates: [...(merged.invalidates ?? []), this.#name] };
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * Name of the resource.
+    * @returns {string} The name.
+    */
+   get name() {
+      return this.#name;
+   }
+
+   /**
+    * The bound repository.
+    * @returns {Core_DataRepository|null} The repository, null if none.
+    */
+   get repository() {
+      return this.#repository;
+   }
+}
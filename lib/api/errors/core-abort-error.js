@@ -0,0 +1,16 @@
+import { Core_AjaxError } from './core-ajax-error';
+
+/**
+ * The request was cancelled by its AbortSignal.
+ */
+export class Core_AbortError extends Core_AjaxError {
+   /**
+    * Constructs the error.
+    * @param {Object} request The cancelled request ({ method, url }).
+    * @param {*} [cause=null] The abort reason, if any.
+    */
+   constructor(request, cause = null) {
+      super('Aborted: The request was cancelled', request, cause);
+      this.name = 'Core_AbortError';
+   }
+}
@@ -0,0 +1,27 @@
+/**
+ * Base class of all errors raised by Core_AjaxService: subscribers receive them through the error callback.
+ *
+ * Usage:
+ *   $svc('ajax').get('USER/me').subscribe({
+ *      next: (user) => { ... },
+ *      error: (error) => {
+ *         if (error instanceof Core_HttpError && error.status === 404) { ... }
+ *      }
+ *   });
+ */
+export class Core_AjaxError extends Error {
+   /**
+    * Constructs the error.
+    * @param {string} message English description of the failure.
+    * @param {Object} request The failed request ({ method, url }).
+    * @param {*} [cause=null] The low level error (e.g. the RxJS AjaxError), if any.
+    */
+   constructor(message, request, cause = null) {
+      super(message, { cause: cause });
+      this.name = 'Core_AjaxError';
+      this.method = request.method;
+      this.url = request.url;
+      this.status = 0;
+      this.response = null;
+   }
+}
@@ -0,0 +1,35 @@
+import { Core_AjaxError } from './core-ajax-error';
+
+/**
+ * The server answered with an HTTP error status.
+ */
+export class Core_HttpError extends Core_AjaxError {
+
+   // English messages of the most common statuses (CORE does not know the language system of the project)
+   static messages = {
+      400: 'Bad Request: Invalid data sent to server',
+      401: 'Unauthorized: Please log in again',
+      403: 'Forbidden: You do not have permission to perform this action',
+      404: 'Not Found: The requested resource was not found',
+      500: 'Internal Server Error: Please try again later',
+      503: 'Service Unavailable: Server is temporarily unavailable'
+   };
+
+   /**
+    * Constructs the error.
+    * @param {Object} request The failed request ({ method, url }).
+    * @param {number} status The HTTP status.
+    * @param {string} statusText The HTTP status text.
+    * @param {*} [response=null] The response body, if any.
+    * @param {Object<string, string>} [headers={}] The response headers, names in lower case.
+    * @param {*} [cause=null] The low level error, if any.
+    */
+   constructor(request, status, statusText, response = null, headers = {}, cause = null) {
+      super(Core_HttpError.messages[status] ?? `HTTP ${status}: ${statusText}`, request, cause);
+      this.name = 'Core_HttpError';
+      this.status = status;
+      this.statusText = statusText;
+      this.response = response;
+      this.headers = headers;
+   }
+}
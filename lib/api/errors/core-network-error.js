@@ -0,0 +1,16 @@
+import { Core_AjaxError } from './core-ajax-error';
+
+/**
+ * The server could not be reached (connection lost, DNS failure, CORS rejection...).
+ */
+export class Core_NetworkError extends Core_AjaxError {
+   /**
+    * Constructs the error.
+    * @param {Object} request The failed request ({ method, url }).
+    * @param {*} [cause=null] The low level error, if any.
+    */
+   constructor(request, cause = null) {
+      super('Network error: The server could not be reached', request, cause);
+      this.name = 'Core_NetworkError';
+   }
+}
@@ -0,0 +1,18 @@
+import { Core_AjaxError } from './core-ajax-error';
+
+/**
+ * The server did not answer in time.
+ */
+export class Core_TimeoutError extends Core_AjaxError {
+   /**
+    * Constructs the error.
+    * @param {Object} request The failed request ({ method, url }).
+    * @param {number} timeout The time waited, in ms.
+    * @param {*} [cause=null] The low level error, if any.
+    */
+   constructor(request, timeout, cause = null) {
+      super(`Timeout: No answer from the server after ${timeout}ms`, request, cause);
+      this.name = 'Core_TimeoutError';
+      this.timeout = timeout;
+   }
+}
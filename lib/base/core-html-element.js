@@ -52,6 +52,16 @@ export class Core_HTMLElement extends HTMLElement {
       return this.#subManager.addSub(sub);
    }
 
+   /**
+    * Retrieves a service from the nearest scope attached to this element's subtree,
+    * or from the Core singleton if none is attached (see Core_ServiceScope::attachTo).
+    * @param {string} svcName The name of the service.
+    * @returns {*} The service instance.
+    */
+   svc(svcName) {
+      return $svc(svcName, this);
+   }
+
    /**
     * Builds or rebuilds the component UI.
     * Cleans up previous UI logic, renders the DOM, applies language processing, and sets up UI logic.
@@ -61,8 +71,8 @@ export class Core_HTMLElement extends HTMLElement {
       this.ui_render();
 
       // If language management is enabled, process translations
-      if ($svc('default').lang.isActivated) {
-         $svc('lang').process(this);
+      if (this.svc('config').getBoolean('lang.isActivated')) {
+         this.svc('lang').process(this);
       }
 
       this.ui_toFunctional();
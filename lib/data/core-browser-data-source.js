@@ -80,12 +80,12 @@ export class Core_BrowserDataSource {
     */
    addFilter(filterName, filterType, filterParams = {}) {
       if (this.#filterDef.has(filterName)) {
-         $svc('log').error('Cannot add twice filter [' + filterName + '] to DataSource');
+         $svc('log').getLogger('data.browserSource').error('Cannot add twice filter [' + filterName + '] to DataSource');
       } else {
          let filterClass = $svc('filterFactory').get(filterType);
 
          if (!filterClass) {
-            $svc('log').fatalError('Can\'t find filterType [' + filterType + ']');
+            $svc('log').getLogger('data.browserSource').fatalError('Can\'t find filterType [' + filterType + ']');
          } else {
             filterParams['columnKey'] = (filterParams['columnKey']) ?? filterName;
             let theFilter = new filterClass(filterParams);
@@ -112,7 +112,7 @@ export class Core_BrowserDataSource {
                this.#activeFiltersMap.delete(filterName);
             }
          } else {
-            $svc('log').error(`Filter [${filterName}] does not exist in DataSource [${this.#name}]`);
+            $svc('log').getLogger('data.browserSource').error(`Filter [${filterName}] does not exist in DataSource [${this.#name}]`);
          }
       }
 
@@ -145,49 +145,54 @@ export class Core_BrowserDataSource {
     * @param {Object} updateObject - Object containing arrays: addedLines, updatedLines, deletedLines.
     */
    updateData(updateObject) {
+      const span = $svc('log').getLogger('data.browserSource').startSpan('filter', { source: this.#name });
       let addedLines = [];
       let deletedLines = [];
       let updatedLines = [];
 
-      // Deleted lines
-      if (updateObject.deletedLines) {
-         updateObject.deletedLines.forEach((line) => {
-            if (this.#dataMap.has(line[this.#primaryKey])) {
-               deletedLines.push(line);
-               this.removeLineFromView(line);
-            }
-         });
-      }
-
-      // Added lines
-      if (updateObject.addedLines) {
-         updateObject.addedLines.forEach((line) => {
-            if (this.testLine(line)) {
-               addedLines.push(line);
-               this.addLineToView(line);
-            }
-         });
-      }
+      try {
+         // Deleted lines
+         if (updateObject.deletedLines) {
+            updateObject.deletedLines.forEach((line) => {
+               if (this.#dataMap.has(line[this.#primaryKey])) {
+                  deletedLines.push(line);
+                  this.removeLineFromView(line);
+               }
+            });
+         }
 
-      // Updated lines
-      if (updateObject.updatedLines) {
-         updateObject.updatedLines.forEach((line) => {
-            const lineInView = this.testLine(line);
-            const hasInView = this.#dataMap.has(line[this.#primaryKey]);
-
-            if (lineInView) {
-               if (hasInView) {
-                  updatedLines.push(line);
-                  this.updateLineInView(line);
-               } else {
+         // Added lines
+         if (updateObject.addedLines) {
+            updateObject.addedLines.forEach((line) => {
+               if (this.testLine(line)) {
                   addedLines.push(line);
                   this.addLineToView(line);
                }
-            } else if (hasInView) {
-               deletedLines.push(line);
-               this.removeLineFromView(line);
-            }
-         });
+            });
+         }
+
+         // Updated lines
+         if (updateObject.updatedLines) {
+            updateObject.updatedLines.forEach((line) => {
+               const lineInView = this.testLine(line);
+               const hasInView = this.#dataMap.has(line[this.#primaryKey]);
+
+               if (lineInView) {
+                  if (hasInView) {
+                     updatedLines.push(line);
+                     this.updateLineInView(line);
+                  } else {
+                     addedLines.push(line);
+                     this.addLineToView(line);
+                  }
+               } else if (hasInView) {
+                  deletedLines.push(line);
+                  this.removeLineFromView(line);
+               }
+            });
+         }
+      } finally {
+         span.end({ added: addedLines.length, updated: updatedLines.length, deleted: deletedLines.length });
       }
 
       // Notify clients
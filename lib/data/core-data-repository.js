@@ -32,7 +32,7 @@ export class Core_DataRepository {
     */
    updateDataArray(data) {
       if (!Array.isArray(data)) {
-         $svc('log').error('Incorrect data type in Core_DataRepository::updateDataArray > Nothing done');
+         $svc('log').getLogger('data.repository').error('Incorrect data type in Core_DataRepository::updateDataArray > Nothing done');
       } else {
          let addedLines = [];
          let updatedLines = [];
@@ -41,7 +41,7 @@ export class Core_DataRepository {
             const pk = this.computePrimaryKey(line);
 
             if (!pk) {
-               $svc('log').error('Missing primary key in line, skipping:', line);
+               $svc('log').getLogger('data.repository').error('Missing primary key in line, skipping:', line);
                return;
             }
 
@@ -71,7 +71,7 @@ export class Core_DataRepository {
     */
    removeDataByKeys(keys) {
       if (!Array.isArray(keys)) {
-         $svc('log').error('Incorrect keys type in Core_DataRepository::removeDataByKeys > Nothing done');
+         $svc('log').getLogger('data.repository').error('Incorrect keys type in Core_DataRepository::removeDataByKeys > Nothing done');
          return;
       }
       let deletedLines = [];
@@ -123,31 +123,37 @@ export class Core_DataSource {
     */
    setActiveContext(contextName) {
       if (!this.#contexts.has(contextName)) {
-         $svc('log').error('Cannot select [' + contextName + '] in Core_DataSource');
+         $svc('log').getLogger('data.source').error('Cannot select [' + contextName + '] in Core_DataSource');
       } else {
 
-         $svc('log').timeStamp('setActiveContext IN : ' + this.#params.sourceName + ', ' + this.#params.onContextSelectedMode);
+         const span = $svc('log').getLogger('data.source').startSpan('setActiveContext', {
+            source: this.#params.sourceName,
+            context: contextName,
+            mode: this.#params.onContextSelectedMode
+         });
 
-         // Properly select the current active context
-         this.#activeContext.isActive = false;
-         this.#activeContext = this.#contexts.get(contextName);
-         this.#activeContext.isActive = true;
+         try {
+            // Properly select the current active context
+            this.#activeContext.isActive = false;
+            this.#activeContext = this.#contexts.get(contextName);
+            this.#activeContext.isActive = true;
 
-         // May be compute and sort the data at once
-         if (this.#params.onContextSelectedMode === Core_DataSource.onContextSelectedMode.COMPUTE_VIEW) {
-            this.computeContextView(this.#activeContext);
-         }
-         else if (this.#params.onContextSelectedMode === Core_DataSource.onContextSelectedMode.SORT_VIEW) {
-            this.sort(Array.from(this.#activeContext.view.values()));
-         }
+            // May be compute and sort the data at once
+            if (this.#params.onContextSelectedMode === Core_DataSource.onContextSelectedMode.COMPUTE_VIEW) {
+               this.computeContextView(this.#activeContext);
+            }
+            else if (this.#params.onContextSelectedMode === Core_DataSource.onContextSelectedMode.SORT_VIEW) {
+               this.sort(Array.from(this.#activeContext.view.values()));
+            }
 
-         if (this.#params.onContextSelectedMode !== Core_DataSource.onContextSelectedMode.DO_NOTHING
-            && this.#params.onContextSelectedMode !== Core_DataSource.onContextSelectedMode.COMPUTE_VIEW) {
-            this.triggerViewUpdatedNotif();
-            this.triggerContextUpdated(this.#activeContext);
+            if (this.#params.onContextSelectedMode !== Core_DataSource.onContextSelectedMode.DO_NOTHING
+               && this.#params.onContextSelectedMode !== Core_DataSource.onContextSelectedMode.COMPUTE_VIEW) {
+               this.triggerViewUpdatedNotif();
+               this.triggerContextUpdated(this.#activeContext);
+            }
+         } finally {
+            span.end();
          }
-
-         $svc('log').timeStamp('setActiveContext OUT : ' + this.#params.sourceName);
       }
    }
 
@@ -181,14 +187,14 @@ export class Core_DataSource {
    addFilter(filterName, filterType, filterParams = {}) {
       // Cannot register twice the same filter
       if (this.#filterDef.has(filterName)) {
-         $svc('log').error('Cannot add twice filter [' + filterName + '] to DataSource');
+         $svc('log').getLogger('data.source').error('Cannot add twice filter [' + filterName + '] to DataSource');
       }
       else {
          // The type of the filter must be known by the filter factory
          let filterClass = $svc('filterFactory').get(filterType);
 
          if (!filterClass) {
-            $svc('log').fatalError('Can\'t find filterType [' + filterType + ']');
+            $svc('log').getLogger('data.source').fatalError('Can\'t find filterType [' + filterType + ']');
          }
          // At this stage is everything is fine, we can register the filter
          else {
@@ -207,7 +213,7 @@ export class Core_DataSource {
     */
    updateContextFilters(filterValues) {
       if (!this.#activeContext) {
-         $svc('log').error('No active filter found in data source for filter update.');
+         $svc('log').getLogger('data.source').error('No active filter found in data source for filter update.');
       }
       else {
          // Overwrite current filters with new ones
@@ -224,42 +230,59 @@ export class Core_DataSource {
     * Totally recompute the view for a given Context
     */
    computeContextView(context) {
+      const log = $svc('log').getLogger('data.source');
+      const span = log.startSpan('computeContextView', { source: this.#params.sourceName });
 
-      // Rebuild the view from scratch
-      context.view.clear();
+      // Spans are ended whatever happens: a span left running would become the parent of all later ones
+      try {
+         // Rebuild the view from scratch
+         context.view.clear();
 
-      // For child classes to implement potential specific behaviors
-      if (context == this.#activeContext) {
-         this.beforeComputeView(context);
-      }
+         // For child classes to implement potential specific behaviors
+         if (context == this.#activeContext) {
+            this.beforeComputeView(context);
+         }
 
-      // Decide which filters to use, and set values to test for what lays below
-      const activeFilters = this.computeActiveFiltersForContext(context);
+         // Decide which filters to use, and set values to test for what lays below
+         const activeFilters = this.computeActiveFiltersForContext(context);
 
-      // First compute the full view by applying filters
-      if (this.#dataArray) {
-         this.#dataArray.forEach((currentLine, index, arr) => {
-            if (this.testLine(currentLine, activeFilters)) {
-               this.addLineToView(context, currentLine);
+         // First compute the full view by applying filters
+         const filterSpan = log.startSpan('filter', { nbFilters: activeFilters.length });
+         try {
+            if (this.#dataArray) {
+               this.#dataArray.forEach((currentLine, index, arr) => {
+                  if (this.testLine(currentLine, activeFilters)) {
+                     this.addLineToView(context, currentLine);
+                  }
+               });
             }
-         });
-      }
+         } finally {
+            filterSpan.end({ nbLines: context.view.size });
+         }
 
-      // Let's sort the data
-      this.sort(Array.from(context.view.values()));
+         // Let's sort the data
+         const sortSpan = log.startSpan('sort', { nbLines: context.view.size });
+         try {
+            this.sort(Array.from(context.view.values()));
+         } finally {
+            sortSpan.end();
+         }
 
-      if (context == this.#activeContext) {
-         this.triggerViewUpdatedNotif();
-      }
+         if (context == this.#activeContext) {
+            this.triggerViewUpdatedNotif();
+         }
 
-      // Some clients may be interested in this update
-      this.triggerContextUpdated(
-         context,
-         {
-            addedLines: context.view,
-            deletedLines: null,
-            updatedLines: null
-         });
+         // Some clients may be interested in this update
+         this.triggerContextUpdated(
+            context,
+            {
+               addedLines: context.view,
+               deletedLines: null,
+               updatedLines: null
+            });
+      } finally {
+         span.end({ nbLines: context.view.size });
+      }
    }
 
    /**
@@ -288,20 +311,23 @@ export class Core_DataSource {
     * @param {*} isFull 
     */
    dataUpdated(data, mode = Core_DataSource.dataUpdateMode.FULL) {
-      $svc('log').timeStamp('dataUpdated IN : ' + this.#params.sourceName);
+      const span = $svc('log').getLogger('data.source').startSpan('dataUpdated', { source: this.#params.sourceName, mode: mode });
 
-      if (mode == Core_DataSource.dataUpdateMode.FULL) {
-         this.#dataArray = data;
-         this.#data = new Map(data.map(obj => [obj[this.primaryKey], obj]));
+      try {
+         if (mode == Core_DataSource.dataUpdateMode.FULL) {
+            this.#dataArray = data;
+            this.#data = new Map(data.map(obj => [obj[this.primaryKey], obj]));
 
-         //this.#data = data;
-         this.recomputeAllContexts(data);
-      }
-      else if (mode == Core_DataSource.dataUpdateMode.DELTA_ADD) {
-         this.computeDeltaAddForContexts(data);
-         this.#dataArray = Array.from(this.#data.values());
+            //this.#data = data;
+            this.recomputeAllContexts(data);
+         }
+         else if (mode == Core_DataSource.dataUpdateMode.DELTA_ADD) {
+            this.computeDeltaAddForContexts(data);
+            this.#dataArray = Array.from(this.#data.values());
+         }
+      } finally {
+         span.end();
       }
-      $svc('log').timeStamp('dataUpdated OUT : ' + this.#params.sourceName);
    }
 
    /**
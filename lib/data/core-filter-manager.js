@@ -29,7 +29,7 @@ export class Core_FilterManager {
     */
    addFilter(filterName, filterElement, getValueClbk = null, setValueClbk = null) {
       if (this.#filters.has(filterName)) {
-         $svc('log').error(`Cannot add twice the same filter [${filterName}] in Core_FilterManager`);
+         $svc('log').getLogger('data.filterManager').error(`Cannot add twice the same filter [${filterName}] in Core_FilterManager`);
       } else {
          this.#filters.set(filterName, {
             element: filterElement,
@@ -54,7 +54,7 @@ export class Core_FilterManager {
     */
    removeFilter(filterName) {
       if (!this.#filters.has(filterName)) {
-         $svc('log').error(`Cannot remove filter [${filterName}] because it does not exist in Core_FilterManager`);
+         $svc('log').getLogger('data.filterManager').error(`Cannot remove filter [${filterName}] because it does not exist in Core_FilterManager`);
          return;
       }
       this.#filters.delete(filterName);
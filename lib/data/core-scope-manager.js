@@ -25,7 +25,7 @@ export class Core_ScopeManager {
    addScope(id, scope) {
       // Cannot add two scopes with same id
       if (this.#scopes.has(id)) {
-         $svc('log').error('Cannot add two scopes with the same id [' + id + '] in Core_ScopeManager');
+         $svc('log').getLogger('data.scopeManager').error('Cannot add two scopes with the same id [' + id + '] in Core_ScopeManager');
          return false;
       }
 
@@ -90,28 +90,39 @@ export class Core_ViewManager {
     * Applies the current sort model to the data and refreshes the view.
     */
    updateSortOnly() {
+      const log = $svc('log').getLogger('data.viewManager');
+      const span = log.startSpan('updateView', { nbLines: this.#data.length });
+
+      try {
+         // Sort the data, if required
+         const sortSpan = log.startSpan('sort', { column: this.#sortModel.columnName, direction: this.#sortModel.direction });
+         try {
+            this.sort();
+         } finally {
+            sortSpan.end();
+         }
 
-      // Sort the data, if required
-      this.sort();
+         // Manage pagination, if needed
+         const pag = this.#params.pagination;
 
-      // Manage pagination, if needed
-      const pag = this.#params.pagination;
+         if (pag.use) {
+            // We may want to recompute the currentPage, or not
+            if (this.#data.length < Math.max(0, (this.#pagination_currentPage - 1) * pag.pageSize)) {
+               this.#pagination_currentPage = 1;
+            }
 
-      if (pag.use) {
-         // We may want to recompute the currentPage, or not
-         if (this.#data.length < Math.max(0, (this.#pagination_currentPage - 1) * pag.pageSize)) {
-            this.#pagination_currentPage = 1;
-         }
+            // Refresh current number of pages
+            this.#pagination_nbPages = Math.floor((Math.max(0, this.#data.length - 1)) / pag.pageSize) + 1;
 
-         // Refresh current number of pages
-         this.#pagination_nbPages = Math.floor((Math.max(0, this.#data.length - 1)) / pag.pageSize) + 1;
+            // Refresh the view
+            this.computeViewForPage();
+         }
 
-         // Refresh the view
-         this.computeViewForPage();
+         // Notify clients about the view being updated
+         this.triggerViewUpdated();
+      } finally {
+         span.end();
       }
-
-      // Notify clients about the view being updated
-      this.triggerViewUpdated();
    }
 
    /**
@@ -120,11 +131,11 @@ export class Core_ViewManager {
     */
    selectPage(pageIndex) {
       if (!this.#params.pagination.use) {
-         $svc('log').error('Cannot select page when pagination not activated in Core_ViewManager');
+         $svc('log').getLogger('data.viewManager').error('Cannot select page when pagination not activated in Core_ViewManager');
       }
       else {
          if (pageIndex < 1 || pageIndex > this.#pagination_nbPages) {
-            $svc('log').error('Incorrect page index [' + pageIndex + '] in Core_ViewManager');
+            $svc('log').getLogger('data.viewManager').error('Incorrect page index [' + pageIndex + '] in Core_ViewManager');
          } else {
             // Properly go to selected page
             this.#pagination_currentPage = pageIndex;
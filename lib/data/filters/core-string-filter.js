@@ -87,7 +87,7 @@ export class Core_StringFilter {
       }
 
       // Logically, we should never reach that point
-      $svc('log').fatalError('Could not apply string filter test due to improper comparisonLevel');
+      $svc('log').getLogger('data.filters.string').fatalError('Could not apply string filter test due to improper comparisonLevel');
    }
 
    //-------------
@@ -0,0 +1,100 @@
+/**
+ * A named logger: logs through Core_LogService, under a category with its own level.
+ * Obtained through $svc('log').getLogger('data.browserSource'), never built directly.
+ *
+ * Usage:
+ *   const log = $svc('log').getLogger('data.browserSource');
+ *   log.debug('View computed', { nbLines: 12 });
+ *   const subLog = log.getLogger('filters');   // category 'data.browserSource.filters'
+ */
+export class Core_Logger {
+   #service;      // The log service doing the job
+   #category;     // Dotted category of this logger
+
+   /**
+    * Constructs the logger.
+    * @param {Core_LogService} service The log service.
+    * @param {string} category The dotted category.
+    */
+   constructor(service, category) {
+      this.#service = service;
+      this.#category = category;
+   }
+
+   /**
+    * Returns a child logger, whose category is prefixed with this one.
+    * @param {string} name The child category name.
+    * @returns {Core_Logger} The child logger.
+    */
+   getLogger(name) {
+      return this.#service.getLogger(`${this.#category}.${name}`);
+   }
+
+   /**
+    * Tells if messages of a given level are logged for this category.
+    * Useful to skip building expensive messages.
+    * @param {number} level The log level (see Core_LogService.levels).
+    * @returns {boolean} True if enabled.
+    */
+   isEnabled(level) {
+      return (this.#service.getLevelFor(this.#category) & level) !== 0;
+   }
+
+   /**
+    * Log a fatal error message.
+    * @param {*} msg Message or object to log.
+    * @param {Object|null} [context=null] Structured data attached to the message.
+    */
+   fatalError(msg, context = null) {
+      this.#service.pushError(this.#service.constructor.levels.FATAL, msg, context, this.#category);
+   }
+
+   /**
+    * Log an error message.
+    * @param {*} msg Message or object to log.
+    * @param {Object|null} [context=null] Structured data attached to the message.
+    */
+   error(msg, context = null) {
+      this.#service.pushError(this.#service.constructor.levels.ERROR, msg, context, this.#category);
+   }
+
+   /**
+    * Log a debug message.
+    * @param {*} msg Message or object to log.
+    * @param {Object|null} [context=null] Structured data attached to the message.
+    */
+   debug(msg, context = null) {
+      this.#service.pushError(this.#service.constructor.levels.DEBUG, msg, context, this.#category);
+   }
+
+   /**
+    * Log an informational message.
+    * @param {*} msg Message or object to log.
+    * @param {Object|null} [context=null] Structured data attached to the message.
+    */
+   info(msg, context = null) {
+      this.#service.pushError(this.#service.constructor.levels.INFO, msg, context, this.#category);
+   }
+
+   /**
+    * Starts a tracing span under this logger's category (see Core_LogService.startSpan()).
+    * @param {string} name The name of the traced work.
+    * @param {Object} [attributes={}] Any data describing the work.
+    * @returns {Core_Span} The running span, to end with span.end().
+    */
+   startSpan(name, attributes = {}) {
+      return this.#service.startSpan(name, attributes, this.#category);
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * Returns the dotted category of this logger.
+    * @returns {string} The category.
+    */
+   get category() {
+      return this.#category;
+   }
+}
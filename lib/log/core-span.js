@@ -0,0 +1,154 @@
+/**
+ * A timed piece of work, traced through Core_LogService.
+ * Obtained through $svc('log').startSpan() (or a named logger), never built directly.
+ * Spans started while another one is running become its children.
+ *
+ * Usage:
+ *   const span = $svc('log').getLogger('data.source').startSpan('computeContextView', { context: 'main' });
+ *   ...
+ *   span.end({ nbLines: 120 });   // duration in ms
+ */
+export class Core_Span {
+   static #lastId = 0;
+
+   #id;           // Unique id of the span, used to name the performance marks
+   #name;         // Name of the traced work
+   #category;     // Category of the logger that started the span, if any
+   #attributes;   // Any data describing the work
+   #parent;       // The enclosing span, null for a root span
+   #children;     // Spans started while this one was running
+   #startTime;    // performance.now() at start
+   #endTime;      // performance.now() at end, null while running
+   #onEnd;        // Called once, when the span ends
+
+   /**
+    * Constructs and starts the span.
+    * @param {string} name The name of the traced work.
+    * @param {Object} attributes Any data describing the work.
+    * @param {Core_Span|null} parent The enclosing span.
+    * @param {string|null} category The category of the logger that started the span.
+    * @param {function(Core_Span)} onEnd Called once, when the span ends.
+    */
+   constructor(name, attributes, parent, category, onEnd) {
+      this.#id = ++Core_Span.#lastId;
+      this.#name = name;
+      this.#category = category;
+      this.#attributes = { ...attributes };
+      this.#parent = parent;
+      this.#children = [];
+      this.#onEnd = onEnd;
+      this.#endTime = null;
+      this.#startTime = performance.now();
+
+      parent?.#children.push(this);
+   }
+
+   /**
+    * Adds or replaces an attribute.
+    * @param {string} key The attribute name.
+    * @param {*} value The attribute value.
+    * @returns {Core_Span} This span, for chaining.
+    */
+   setAttribute(key, value) {
+      this.#attributes[key] = value;
+      return this;
+   }
+
+   /**
+    * Ends the span. Later calls do nothing.
+    * @param {Object} [attributes={}] Attributes known at the end of the work (result size, etc.).
+    * @returns {number} The duration in ms.
+    */
+   end(attributes = {}) {
+      if (this.#endTime === null) {
+         this.#endTime = performance.now();
+         Object.assign(this.#attributes, attributes);
+         this.#onEnd(this);
+      }
+      return this.duration;
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * Unique id of the span.
+    * @returns {number} The id.
+    */
+   get id() {
+      return this.#id;
+   }
+
+   /**
+    * Name of the traced work.
+    * @returns {string} The name.
+    */
+   get name() {
+      return this.#name;
+   }
+
+   /**
+    * Category of the logger that started the span.
+    * @returns {string|null} The category.
+    */
+   get category() {
+      return this.#category;
+   }
+
+   /**
+    * Data describing the work.
+    * @returns {Object} The attributes.
+    */
+   get attributes() {
+      return this.#attributes;
+   }
+
+   /**
+    * The enclosing span.
+    * @returns {Core_Span|null} The parent, null for a root span.
+    */
+   get parent() {
+      return this.#parent;
+   }
+
+   /**
+    * Spans started while this one was running.
+    * @returns {Array<Core_Span>} The children, in start order.
+    */
+   get children() {
+      return this.#children;
+   }
+
+   /**
+    * Nesting level, 0 for a root span.
+    * @returns {number} The depth.
+    */
+   get depth() {
+      return this.#parent ? this.#parent.depth + 1 : 0;
+   }
+
+   /**
+    * Start time, as given by performance.now().
+    * @returns {number} The start time in ms.
+    */
+   get startTime() {
+      return this.#startTime;
+   }
+
+   /**
+    * Time spent so far (or in total, once ended).
+    * @returns {number} The duration in ms.
+    */
+   get duration() {
+      return (this.#endTime ?? performance.now()) - this.#startTime;
+   }
+
+   /**
+    * Tells if the span is ended.
+    * @returns {boolean} True once end() was called.
+    */
+   get isEnded() {
+      return this.#endTime !== null;
+   }
+}
@@ -0,0 +1,39 @@
+import { Core_LogTransport } from './core-log-transport';
+
+/**
+ * Turns log records into breadcrumbs of the error service, so that error reports show what was logged just before.
+ * Registered by Core_ErrorService itself, records of the 'error' category (the reports themselves) are ignored.
+ */
+export class Core_BreadcrumbTransport extends Core_LogTransport {
+   #errorService;    // The error service collecting the breadcrumbs
+
+   /**
+    * Constructs the transport.
+    * @param {Object} params Transport parameters (see Core_LogTransport).
+    * @param {Core_ErrorService} params.errorService The error service collecting the breadcrumbs.
+    */
+   constructor(params) {
+      super(params);
+      this.#errorService = params.errorService;
+   }
+
+   /**
+    * Tells if a record must become a breadcrumb.
+    * @param {Object} record The log record.
+    * @returns {boolean} True if the record level is accepted and the record is not an error report.
+    */
+   accepts(record) {
+      return super.accepts(record) && record.category !== 'error';
+   }
+
+   /**
+    * Adds the record as a breadcrumb.
+    * @param {Object} record The log record.
+    */
+   write(record) {
+      this.#errorService.addBreadcrumb('log', typeof record.message === 'string' ? record.message : JSON.stringify(record.message), {
+         level: record.levelName,
+         category: record.category
+      });
+   }
+}
@@ -0,0 +1,53 @@
+import { Core_LogTransport } from './core-log-transport';
+
+/**
+ * Writes log records to the console (or to any output function with the console.log signature).
+ */
+export class Core_ConsoleTransport extends Core_LogTransport {
+   #output;    // Output function, console.log by default
+
+   /**
+    * Constructs the transport.
+    * @param {Object} [params={}] Transport parameters (see Core_LogTransport).
+    * @param {function} [params.output=console.log] Output function (signature: (msg, ...args) => void).
+    */
+   constructor(params = {}) {
+      super(params);
+      this.output = params.output;
+   }
+
+   /**
+    * Writes a record as a prefixed line, followed by the message and context objects if any.
+    * @param {Object} record The log record.
+    */
+   write(record) {
+      const prefix = this.formatPrefix(record);
+      const args = (record.context !== null) ? [record.context] : [];
+
+      if (typeof record.message === 'object' && record.message !== null) {
+         this.#output(prefix, record.message, ...args);
+      } else {
+         this.#output(`${prefix} ${record.message}`, ...args);
+      }
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * Sets the output function, console.log if not a function.
+    * @param {function} fn Output function.
+    */
+   set output(fn) {
+      this.#output = typeof fn === 'function' ? fn : console.log;
+   }
+
+   /**
+    * Returns the output function.
+    * @returns {function} The output function.
+    */
+   get output() {
+      return this.#output;
+   }
+}
@@ -0,0 +1,104 @@
+import { Core_LogTransport } from './core-log-transport';
+
+/**
+ * Ships log records to a backend API, by batches, through the ajax service given by the log service.
+ * A batch is sent when it is full, or after a delay following its first record.
+ * Pending records are sent with navigator.sendBeacon when the page is hidden.
+ * Once the ajax service is gone (Core being reset), pending records are dropped.
+ */
+export class Core_HttpTransport extends Core_LogTransport {
+   #url;             // API receiving the batches, as { records: [...] }
+   #ajax;            // Gives the ajax service, null once it is gone
+   #batchSize;       // Number of records triggering an immediate send
+   #flushDelay;      // Delay (ms) before a non full batch is sent
+   #buffer;          // Records waiting to be sent
+   #timer;           // Pending flush timer
+   #onPageHide;      // Listener sending pending records when the page is hidden
+
+   /**
+    * Constructs the transport.
+    * @param {Object} params Transport parameters (see Core_LogTransport).
+    * @param {string} params.url API receiving the batches.
+    * @param {number} [params.batchSize=20] Number of records triggering an immediate send.
+    * @param {number} [params.flushDelay=5000] Delay (ms) before a non full batch is sent.
+    * @param {function(): (Core_AjaxService|null)} [params.ajax] Gives the ajax service, null once it is gone
+    * (the one of the Core singleton by default).
+    */
+   constructor(params = {}) {
+      super(params);
+      this.#url = params.url;
+      this.#ajax = params.ajax ?? (() => $svc('ajax') ?? null);
+      this.#batchSize = params.batchSize ?? 20;
+      this.#flushDelay = params.flushDelay ?? 5000;
+      this.#buffer = [];
+      this.#timer = null;
+
+      this.#onPageHide = () => this.#beacon();
+      window.addEventListener('pagehide', this.#onPageHide);
+   }
+
+   /**
+    * Adds a record to the current batch.
+    * @param {Object} record The log record.
+    */
+   write(record) {
+      // Records about the log shipping itself would loop
+      if (record.context?.logShipping) {
+         return;
+      }
+
+      this.#buffer.push(record);
+
+      if (this.#buffer.length >= this.#batchSize) {
+         this.flush();
+      } else if (this.#timer === null) {
+         this.#timer = setTimeout(() => this.flush(), this.#flushDelay);
+      }
+   }
+
+   /**
+    * Sends the current batch. Failed batches are dropped, so that a broken backend cannot flood the page.
+    */
+   flush() {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+
+      const ajax = this.#ajax();
+      if (this.#buffer.length > 0 && ajax !== null) {
+         const records = this.#buffer;
+         this.#buffer = [];
+
+         ajax.getJSON(this.#url, { records: records }, { skipErrorHandlers: true }).subscribe({
+            error: (err) => {
+               $svc('log')?.debug('Could not ship ' + records.length + ' log record(s)', { logShipping: true });
+            }
+         });
+      }
+   }
+
+   /**
+    * Sends pending records if the ajax service is still there, then stops listening to the page.
+    */
+   dispose() {
+      this.flush();
+      this.#buffer = [];
+      window.removeEventListener('pagehide', this.#onPageHide);
+   }
+
+   /**
+    * Sends pending records with navigator.sendBeacon, which survives the page unload.
+    */
+   #beacon() {
+      const ajax = this.#ajax();
+      if (this.#buffer.length > 0 && typeof navigator.sendBeacon === 'function' && ajax !== null) {
+         const mappedURL = ajax.mapURL(this.#url);
+         const body = new Blob([JSON.stringify({ records: this.#buffer })], { type: 'application/json' });
+
+         if (navigator.sendBeacon(mappedURL, body)) {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+            this.#buffer = [];
+         }
+      }
+   }
+}
@@ -0,0 +1,82 @@
+/**
+ * Base class of all destinations of the structured log records produced by Core_LogService.
+ * Each transport has its own level mask, applied after the global level of the log service.
+ *
+ * A log record is:
+ * {
+ *    level: 4,                             // Bitmask value, see Core_LogService.levels
+ *    levelName: 'ERROR',
+ *    timestamp: '2024-01-01T10:00:00.000Z',
+ *    time: 1704103200000,                  // Same as timestamp, in ms since epoch
+ *    category: 'data.browserSource',       // null when logged without category
+ *    message: 'Cannot select [main]',      // Or any object given to the log service
+ *    context: { contextName: 'main' }      // null when no context was given
+ * }
+ */
+export class Core_LogTransport {
+   #level;     // Bitmask of the accepted levels, null to accept everything
+
+   /**
+    * Constructs the transport.
+    * @param {Object} [params={}] Transport parameters.
+    * @param {number|null} [params.level=null] Bitmask of the accepted levels, null to accept everything.
+    */
+   constructor(params = {}) {
+      this.#level = params.level ?? null;
+   }
+
+   /**
+    * Tells if a record must be written by this transport.
+    * @param {Object} record The log record.
+    * @returns {boolean} True if the record level is accepted.
+    */
+   accepts(record) {
+      return this.#level === null || (this.#level & record.level) !== 0;
+   }
+
+   /**
+    * Writes a record. Must be implemented by child classes.
+    * @param {Object} record The log record.
+    */
+   write(record) { }
+
+   /**
+    * Sends or persists whatever is pending. To be implemented by child classes if needed.
+    */
+   flush() { }
+
+   /**
+    * Releases the resources of the transport. To be implemented by child classes if needed.
+    */
+   dispose() { }
+
+   /**
+    * Formats the header of a record as a single line: [LEVEL][timestamp][category] :
+    * @param {Object} record The log record.
+    * @returns {string} The header.
+    */
+   formatPrefix(record) {
+      const category = record.category ? `[${record.category}]` : '';
+      return `[${record.levelName}][${record.timestamp}]${category} :`;
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * Sets the bitmask of the accepted levels.
+    * @param {number|null} level The bitmask, null to accept everything.
+    */
+   set level(level) {
+      this.#level = level;
+   }
+
+   /**
+    * Returns the bitmask of the accepted levels.
+    * @returns {number|null} The bitmask, null if everything is accepted.
+    */
+   get level() {
+      return this.#level;
+   }
+}
@@ -0,0 +1,58 @@
+import { Core_LogTransport } from './core-log-transport';
+
+/**
+ * Keeps the last log records in memory, in a ring buffer.
+ * Useful to inspect recent logs from the browser console or to attach them to error reports.
+ */
+export class Core_MemoryTransport extends Core_LogTransport {
+   #capacity;  // Maximum number of records kept
+   #records;   // Ring buffer of records
+   #next;      // Index where the next record is written
+   #size;      // Number of records currently kept
+
+   /**
+    * Constructs the transport.
+    * @param {Object} [params={}] Transport parameters (see Core_LogTransport).
+    * @param {number} [params.capacity=500] Maximum number of records kept.
+    */
+   constructor(params = {}) {
+      super(params);
+      this.#capacity = Math.max(1, params.capacity ?? 500);
+      this.clear();
+   }
+
+   /**
+    * Stores a record, overwriting the oldest one when full.
+    * @param {Object} record The log record.
+    */
+   write(record) {
+      this.#records[this.#next] = record;
+      this.#next = (this.#next + 1) % this.#capacity;
+      this.#size = Math.min(this.#size + 1, this.#capacity);
+   }
+
+   /**
+    * Returns the kept records, from the oldest to the newest.
+    * @param {number} [limit=Infinity] Returns only the newest records, up to this number.
+    * @returns {Array<Object>} The records.
+    */
+   getRecords(limit = Infinity) {
+      const records = [];
+      const start = (this.#next - this.#size + this.#capacity) % this.#capacity;
+
+      for (let i = 0; i < this.#size; i++) {
+         records.push(this.#records[(start + i) % this.#capacity]);
+      }
+
+      return (limit < records.length) ? records.slice(records.length - limit) : records;
+   }
+
+   /**
+    * Forgets all records.
+    */
+   clear() {
+      this.#records = new Array(this.#capacity);
+      this.#next = 0;
+      this.#size = 0;
+   }
+}
@@ -0,0 +1,55 @@
+import { Core_LogTransport } from './core-log-transport';
+
+/**
+ * Persists the last log records in localStorage, so that they survive page reloads.
+ */
+export class Core_StorageTransport extends Core_LogTransport {
+   #key;          // localStorage key
+   #maxRecords;   // Maximum number of records kept
+
+   /**
+    * Constructs the transport.
+    * @param {Object} [params={}] Transport parameters (see Core_LogTransport).
+    * @param {string} [params.key='core.logs'] localStorage key.
+    * @param {number} [params.maxRecords=200] Maximum number of records kept.
+    */
+   constructor(params = {}) {
+      super(params);
+      this.#key = params.key ?? 'core.logs';
+      this.#maxRecords = params.maxRecords ?? 200;
+   }
+
+   /**
+    * Appends a record, dropping the oldest ones beyond maxRecords.
+    * Storage failures (quota, private mode...) are ignored: logging must never break the page.
+    * @param {Object} record The log record.
+    */
+   write(record) {
+      try {
+         const records = this.getRecords();
+         records.push(record);
+         localStorage.setItem(this.#key, JSON.stringify(records.slice(-this.#maxRecords)));
+      } catch (e) {
+         // Nothing to do, see above
+      }
+   }
+
+   /**
+    * Returns the persisted records, from the oldest to the newest.
+    * @returns {Array<Object>} The records.
+    */
+   getRecords() {
+      try {
+         return JSON.parse(localStorage.getItem(this.#key) ?? '[]');
+      } catch (e) {
+         return [];
+      }
+   }
+
+   /**
+    * Removes all persisted records.
+    */
+   clear() {
+      localStorage.removeItem(this.#key);
+   }
+}
@@ -0,0 +1,304 @@
+import { Core_RoutePattern } from './core-route-pattern';
+
+/**
+ * Routing logic of Core_Router, free of any DOM: keeps the routes, finds the one matching a URL,
+ * and keeps track of the components cached by the routes (see keepRouteOption).
+ *
+ * Two declaration styles are supported:
+ * - { route: 'team', routeName: 'team', ... } : the pattern is the route named routeName in the configuration
+ *   ($svc('config').getRoute()), matched against the whole URL
+ * - { route: 'team/(\\d+)', ... } : without routeName, route is itself a regular expression, matched anywhere in the URL;
+ *   without named parameters, it is matched against the URL with its query string (the full href for the browser
+ *   location), as the routers always did (see match())
+ * In both cases, patterns may declare named parameters (see Core_RoutePattern), then given as an object,
+ * coerced with the paramTypes of the route; otherwise the groups of the pattern become positional params.
+ * The query string is parsed as well, into the query of the match.
+ *
+ * A route declaring nested: true is a level of a nested routing: a routeName pattern then only has to match the first
+ * segments of the URL, and the rest of the URL (with the query string) is left to the child routers, in the rest of
+ * the match ('/' if nothing remains). Default routes leave '/' to the child routers.
+ *
+ * Usage:
+ *   const engine = new Core_RouteEngine();
+ *   engine.addRoute({ route: 'team/(\\d+)', class: TeamPage });
+ *   engine.match('team/12');   // { routeDesc, url: 'team/12', params: ['12'], query: {}, isDefault: false }
+ *   engine.addRoute({ route: '/team/:teamId(\\d+)/members/:tab?', class: MembersPage, paramTypes: { page: 'number' } });
+ *   engine.match('/team/12/members?page=2');   // params: { teamId: 12 }, query: { page: 2 }
+ */
+export class Core_RouteEngine {
+   #routes;                // Registered route descriptors, in matching order
+   #defaultRouteIndex;     // Index of the route used when no URL matches, -1 if none
+   #currentMatch;          // Match of the route displayed (see match()), null if none
+   #resolveRoute;          // Gives the pattern of a route name
+
+   // All possible options to manage a route that's kept in the cache
+   static keepRouteOptions = {
+      DONT_KEEP: 0,
+      KEEP_NONE: 1,
+      KEEP_SCROLLS: 2
+   };
+
+   /**
+    * Constructs the engine, with no route.
+    * @param {Object} [options={}] Engine options.
+    * @param {function(string): string} [options.resolveRoute] Gives the pattern of a route name
+    * ($svc('config').getRoute() by default).
+    */
+   constructor(options = {}) {
+      this.#routes = [];
+      this.#defaultRouteIndex = -1;
+      this.#currentMatch = null;
+      this.#resolveRoute = options.resolveRoute ?? ((routeName) => $svc('config').getRoute(routeName));
+   }
+
+   /**
+    * Registers a route, after the existing ones.
+    * A route needs a route, and a class or a tagName to render it; isDefault makes it the route used when no URL matches.
+    * @param {Object} routeParams The route descriptor.
+    * @returns {boolean} True if registered, false if the descriptor is incomplete.
+    */
+   addRoute(routeParams) {
+      if (!routeParams.route || !(routeParams.class || routeParams.tagName)) {
+         $svc('log').getLogger('router').error('Cannot create a Route without a complete description');
+         return false;
+      }
+
+      if (routeParams.isDefault === true) {
+         this.#defaultRouteIndex = this.#routes.length;
+      }
+      this.#routes.push({ ...this.getBasicRouteParams(), ...routeParams });
+      return true;
+   }
+
+   /**
+    * Registers several routes at once.
+    * @param {Array<Object>} routes The route descriptors.
+    */
+   addRoutes(routes) {
+      routes.forEach((route) => this.addRoute(route));
+   }
+
+   /**
+    * Returns the default params of a new route.
+    * @returns {Object} The default params.
+    */
+   getBasicRouteParams() {
+      return {
+         keepRouteOption: Core_RouteEngine.keepRouteOptions.DONT_KEEP,
+         requiresAuth: false,
+         memory: {
+            URL: null,
+            object: null,
+            parentScroll: null,
+            childrenAttributes: null
+         }
+      };
+   }
+
+   /**
+    * Finds the route of a URL: the first matching one, or the default route.
+    * @param {string} url The URL.
+    * @param {Object} [options={}] Matching options.
+    * @param {string} [options.href] The full URL of the page, matched by the regular expression routes without named
+    * parameters (except nested ones) instead of url, when routing the browser location.
+    * @returns {{routeDesc: Object, url: string, params: Object|Array<string>|null, query: Object, rest: string|null, isDefault: boolean}|null}
+    * The match (url being the part of the path matched, rest the URL left to the child routers of nested routes),
+    * null if no route matches and there is no default route.
+    */
+   match(url, options = {}) {
+      // The query string starts at the first '?', later ones being part of it
+      const index = url.indexOf('?');
+      const path = (index < 0) ? url : url.slice(0, index);
+      const search = (index < 0) ? undefined : url.slice(index + 1);
+
+      for (const routeDesc of this.#routes) {
+         const matched = this.#matchRoute(routeDesc, path, options.href ?? url);
+
+         if (matched) {
+            return {
+               routeDesc: routeDesc,
+               ...matched,
+               query: Core_RoutePattern.parseQuery(search, routeDesc.paramTypes),
+               rest: this.#restOf(routeDesc, matched.rest, search),
+               isDefault: false
+            };
+         }
+      }
+
+      if (this.#defaultRouteIndex >= 0) {
+         const routeDesc = this.#routes[this.#defaultRouteIndex];
+         return {
+            routeDesc: routeDesc,
+            url: path,
+            params: null,
+            query: Core_RoutePattern.parseQuery(search, routeDesc.paramTypes),
+            rest: this.#restOf(routeDesc, '', search),
+            isDefault: true
+         };
+      }
+      return null;
+   }
+
+   /**
+    * Tells if a match is the route already displayed, for the same URL.
+    * @param {Object} match A match (see match()).
+    * @returns {boolean} True if nothing changes.
+    */
+   isCurrent(match) {
+      return match.routeDesc === this.#currentMatch?.routeDesc && match.url === this.#currentMatch.url;
+   }
+
+   /**
+    * Updates the match of the route displayed, when the URL only changed in its query or its rest (see isCurrent()).
+    * @param {Object} match The new match of the route displayed.
+    * @returns {boolean} True if the query changed.
+    */
+   update(match) {
+      if (!this.isCurrent(match)) {
+         return false;
+      }
+
+      const queryChanged = JSON.stringify(match.query) !== JSON.stringify(this.#currentMatch.query);
+      this.#currentMatch = { ...this.#currentMatch, query: match.query, rest: match.rest };
+      return queryChanged;
+   }
+
+   /**
+    * Leaves the route displayed: its component is kept in cache if its keepRouteOption asks for it.
+    * @param {HTMLElement} component The component displaying the route.
+    * @returns {{keep: boolean, keepAttributes: boolean}} What to keep: the component, and the attributes of its children
+    * (scrolls...), to save in memory.childrenAttributes.
+    */
+   leave(component) {
+      const route = this.#currentMatch?.routeDesc ?? null;
+      const keep = { keep: false, keepAttributes: false };
+
+      if (route === null) {
+         return keep;
+      }
+
+      if (route.keepRouteOption !== Core_RouteEngine.keepRouteOptions.DONT_KEEP) {
+         route.memory.object = component;
+         keep.keep = true;
+
+         if (route.keepRouteOption !== Core_RouteEngine.keepRouteOptions.KEEP_NONE) {
+            route.memory.childrenAttributes = new Map();
+            keep.keepAttributes = true;
+         } else {
+            route.memory.parentScroll = null;
+            route.memory.childrenAttributes = null;
+         }
+      } else {
+         route.memory.object = null;
+         route.memory.parentScroll = null;
+         route.memory.childrenAttributes = null;
+      }
+      return keep;
+   }
+
+   /**
+    * Enters a route: it becomes the route displayed.
+    * Returns the component cached for the same URL, if any. A component cached for another URL cannot be reused:
+    * it is returned as stale, with the children whose attributes were kept, to be destroyed.
+    * @param {Object} match A match (see match()).
+    * @returns {{cached: HTMLElement|null, stale: Map|null}} The cached component, or the attributes of a stale one.
+    */
+   enter(match) {
+      const memory = match.routeDesc.memory;
+      const result = { cached: null, stale: null };
+
+      this.#currentMatch = match;
+
+      if (memory.object !== null) {
+         if (memory.URL === match.url) {
+            result.cached = memory.object;
+         } else {
+            result.stale = memory.childrenAttributes ?? new Map();
+         }
+      }
+      return result;
+   }
+
+   /**
+    * Ends entering a route, once displayed: its memory now only remembers the URL.
+    * @param {Object} match The match entered.
+    */
+   entered(match) {
+      const memory = match.routeDesc.memory;
+
+      memory.URL = match.url;
+      memory.object = null;
+      memory.parentScroll = null;
+      memory.childrenAttributes = null;
+   }
+
+   /**
+    * Tells if a route keeps the scrolls of its component.
+    * @param {Object} routeDesc The route descriptor.
+    * @returns {boolean} True if scrolls are kept.
+    */
+   keepsScrolls(routeDesc) {
+      return (routeDesc.keepRouteOption & Core_RouteEngine.keepRouteOptions.KEEP_SCROLLS) !== 0;
+   }
+
+   /**
+    * Matches a URL against the pattern of a route (see class description).
+    * @param {Object} routeDesc The route descriptor.
+    * @param {string} path The path, without query string.
+    * @param {string} fullUrl The whole URL, with its query string, matched by the regular expression routes
+    * without named parameters.
+    * @returns {{url: string, params: Object|Array<string>, rest: string}|null} The matched part of the URL, the params
+    * and the part of the URL after the match, null if not matching.
+    */
+   #matchRoute(routeDesc, path, fullUrl) {
+      if (routeDesc.routeName) {
+         return Core_RoutePattern.compile(this.#resolveRoute(routeDesc.routeName))
+            .exec(path, { anchored: !routeDesc.nested, prefix: routeDesc.nested === true, types: routeDesc.paramTypes });
+      }
+
+      const pattern = Core_RoutePattern.compile(routeDesc.route);
+      return pattern.exec((pattern.isNamed || routeDesc.nested) ? path : fullUrl, { types: routeDesc.paramTypes });
+   }
+
+   /**
+    * Computes the URL left to the child routers of a route.
+    * @param {Object} routeDesc The route descriptor.
+    * @param {string} rest The part of the path after the match.
+    * @param {string|undefined} search The query string, without '?'.
+    * @returns {string|null} The URL, null if the route is not nested.
+    */
+   #restOf(routeDesc, rest, search) {
+      if (routeDesc.nested !== true) {
+         return null;
+      }
+      return (rest.startsWith('/') ? rest : '/' + rest) + ((search !== undefined) ? '?' + search : '');
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * The registered route descriptors, in matching order.
+    * @returns {Array<Object>} The routes.
+    */
+   get routes() {
+      return this.#routes;
+   }
+
+   /**
+    * Descriptor of the route displayed.
+    * @returns {Object|null} The route, null if none.
+    */
+   get currentRoute() {
+      return this.#currentMatch?.routeDesc ?? null;
+   }
+
+   /**
+    * Match of the route displayed (see match()).
+    * @returns {Object|null} The match, null if none.
+    */
+   get currentMatch() {
+      return this.#currentMatch;
+   }
+}
@@ -0,0 +1,311 @@
+import { Core_QueryString } from '../utils/core-query-string';
+
+/**
+ * Compiled route pattern: a regular expression source, in which ':name' declares a named path parameter.
+ * - ':name' matches a path segment
+ * - ':name(regex)' matches the given regular expression
+ * - ':name?' makes the parameter optional, with the '/' before it
+ * Patterns without named parameters are plain regular expressions, their groups giving positional params.
+ *
+ * Named params are coerced: to numbers when their regex only matches digits ('\\d+'), or with the types
+ * given by the route (paramTypes: { name: 'number' | 'boolean' | 'date' | 'string' | function }).
+ *
+ * Usage:
+ *   const pattern = Core_RoutePattern.compile('/team/:teamId(\\d+)/members/:tab?');
+ *   pattern.exec('/team/12/members');                      // { url: '/team/12/members', params: { teamId: 12 } }
+ *   pattern.build({ teamId: 12, tab: 'admins' }, { page: 2 });   // '/team/12/members/admins?page=2'
+ */
+export class Core_RoutePattern {
+   static #cache = new Map();   // Compiled patterns (source -> Core_RoutePattern)
+
+   #source;          // The pattern, as declared
+   #tokens;          // Literal parts and parameters ([string | { name, constraint, optional }])
+   #regExp;          // Regular expression matching a URL anywhere
+   #anchoredRegExp;  // Regular expression matching a whole URL
+   #prefixRegExp;    // Regular expression matching the first segments of a URL
+   #named;           // True if the pattern declares named parameters
+
+   /**
+    * Compiles a pattern.
+    * @param {string} source The pattern.
+    */
+   constructor(source) {
+      this.#source = source;
+      this.#tokens = Core_RoutePattern.#tokenize(source);
+      this.#named = this.#tokens.some((token) => typeof token !== 'string');
+
+      let regExp = '';
+      this.#tokens.forEach((token, index) => {
+         if (typeof token === 'string') {
+            regExp += token;
+            return;
+         }
+
+         const group = '(?<' + token.name + '>' + (token.constraint ?? '[^/]+') + ')';
+         if (!token.optional) {
+            regExp += group;
+         } else if (this.#followsSlash(index)) {
+            // The '/' before an optional parameter goes with it
+            regExp = regExp.slice(0, -1) + '(?:/' + group + ')?';
+         } else {
+            regExp += group + '?';
+         }
+      });
+      this.#regExp = new RegExp(regExp, 'i');
+      this.#anchoredRegExp = new RegExp('^(?:' + regExp + ')$', 'i');
+      this.#prefixRegExp = new RegExp('^(?:' + regExp + ')(?=/|$)', 'i');
+   }
+
+   /**
+    * Returns the compiled pattern of a source, compiling it once.
+    * @param {string} source The pattern.
+    * @returns {Core_RoutePattern} The compiled pattern.
+    */
+   static compile(source) {
+      if (!Core_RoutePattern.#cache.has(source)) {
+         Core_RoutePattern.#cache.set(source, new Core_RoutePattern(source));
+      }
+      return Core_RoutePattern.#cache.get(source);
+   }
+
+   /**
+    * Parses a query string; repeated parameters give arrays, types are applied as for named params.
+    * @param {string} search The query string, with or without '?'.
+    * @param {Object} [types={}] Types of the parameters (see class description).
+    * @returns {Object} The query parameters.
+    */
+   static parseQuery(search, types = {}) {
+      const query = {};
+
+      new URLSearchParams(search ?? '').forEach((value, key) => {
+         const coerced = Core_RoutePattern.coerce(value, types[key]);
+         if (!Object.hasOwn(query, key)) {
+            query[key] = coerced;
+         } else {
+            query[key] = [].concat(query[key], coerced);
+         }
+      });
+      return query;
+   }
+
+   /**
+    * Converts a parameter to its type.
+    * @param {string} value The value, as found in the URL.
+    * @param {string|function(string): *} [type] 'number', 'boolean', 'date', 'string' or a conversion function.
+    * @returns {*} The converted value, the value itself if it does not convert.
+    */
+   static coerce(value, type) {
+      if (typeof type === 'function') {
+         return type(value);
+      }
+
+      switch (type) {
+         case 'number': {
+            const number = Number(value);
+            return (value !== '' && !Number.isNaN(number)) ? number : value;
+         }
+         case 'boolean':
+            return (value === 'true' || value === '1') ? true : (value === 'false' || value === '0') ? false : value;
+         case 'date': {
+            const date = new Date(value);
+            return Number.isNaN(date.getTime()) ? value : date;
+         }
+         default:
+            return value;
+      }
+   }
+
+   /**
+    * Matches a URL path.
+    * @param {string} path The path, without query string.
+    * @param {Object} [options={}] Matching options.
+    * @param {boolean} [options.anchored=false] True to match the whole path, false to match anywhere in it.
+    * @param {boolean} [options.prefix=false] True to match the first segments of the path, the others being the rest.
+    * @param {Object} [options.types={}] Types of the named parameters (see class description).
+    * @returns {{url: string, params: Object|Array<string>, rest: string}|null} The matched part of the path, the params
+    * (an object for named params, otherwise the positional groups) and the part of the path after the match,
+    * null if not matching (or if a param is not a valid URI component).
+    */
+   exec(path, options = {}) {
+      const regExp = options.prefix ? this.#prefixRegExp : (options.anchored ? this.#anchoredRegExp : this.#regExp);
+      const matches = regExp.exec(path);
+
+      if (!matches) {
+         return null;
+      }
+
+      const rest = path.slice(matches.index + matches[0].length);
+      if (!this.#named) {
+         return { url: matches[0], params: matches.slice(1), rest: rest };
+      }
+
+      const types = options.types ?? {};
+      const params = {};
+      for (const token of this.#tokens.filter((candidate) => typeof candidate !== 'string')) {
+         const value = matches.groups[token.name];
+         if (value === undefined) {
+            continue;
+         }
+
+         let decoded;
+         try {
+            decoded = decodeURIComponent(value);
+         } catch (e) {
+            // A malformed URL (e.g. '%E0%A4%A') matches no route
+            return null;
+         }
+         params[token.name] = Core_RoutePattern.coerce(decoded,
+            types[token.name] ?? (Core_RoutePattern.#isNumeric(token.constraint) ? 'number' : undefined));
+      }
+      return { url: matches[0], params: params, rest: rest };
+   }
+
+   /**
+    * Builds a URL from the pattern: the reverse of exec().
+    * Throws an Error if a required parameter is missing or does not match its regex, or if the pattern holds
+    * regular expression parts which cannot be reversed.
+    * @param {Object} [params={}] The named params.
+    * @param {Object} [query={}] The query parameters (see Core_QueryString.serialize()).
+    * @returns {string} The URL.
+    */
+   build(params = {}, query = {}) {
+      let url = '';
+
+      this.#tokens.forEach((token, index) => {
+         if (typeof token === 'string') {
+            const literal = token.replace(/^\^|\$$/g, '').replace(/\\(.)/g, '$1');
+            if (/[()[\]{}*+?|^$]/.test(token.replace(/\\./g, '').replace(/^\^|\$$/g, ''))) {
+               throw new Error(`Route pattern ${this.#source} cannot be turned into a URL`);
+            }
+            url += literal;
+            return;
+         }
+
+         const value = params[token.name];
+         if (value === undefined || value === null || value === '') {
+            if (!token.optional) {
+               throw new Error(`Missing parameter [${token.name}] for route ${this.#source}`);
+            }
+            // Drop the '/' going with the optional parameter
+            if (this.#followsSlash(index)) {
+               url = url.slice(0, -1);
+            }
+            return;
+         }
+
+         const text = (value instanceof Date) ? value.toISOString() : String(value);
+         if (token.constraint && !new RegExp('^(?:' + token.constraint + ')$').test(text)) {
+            throw new Error(`Parameter [${token.name}] = ${text} does not match ${token.constraint} in route ${this.#source}`);
+         }
+         url += encodeURIComponent(text);
+      });
+
+      const search = Core_QueryString.serialize(query);
+      return (search === '') ? url : url + '?' + search;
+   }
+
+   /**
+    * Splits a pattern into literal parts and named parameters.
+    * @param {string} source The pattern.
+    * @returns {Array<string|Object>} The tokens.
+    */
+   static #tokenize(source) {
+      const tokens = [];
+      let literal = '';
+      let i = 0;
+
+      while (i < source.length) {
+         const char = source[i];
+
+         // Escaped characters are kept as is
+         if (char === '\\') {
+            literal += source.slice(i, i + 2);
+            i += 2;
+            continue;
+         }
+
+         // A parameter, unless inside a regex construct such as '(?:'
+         const name = (char === ':' && source[i - 1] !== '?') ? /^[A-Za-z_$][\w$]*/.exec(source.slice(i + 1))?.[0] : null;
+         if (!name) {
+            literal += char;
+            i++;
+            continue;
+         }
+
+         const token = { name: name, constraint: null, optional: false };
+         i += 1 + name.length;
+
+         // The regex of the parameter, up to the matching parenthesis
+         if (source[i] === '(') {
+            let depth = 0;
+            const start = i;
+            for (; i < source.length; i++) {
+               if (source[i] === '\\') {
+                  i++;
+               } else if (source[i] === '(') {
+                  depth++;
+               } else if (source[i] === ')' && --depth === 0) {
+                  break;
+               }
+            }
+            token.constraint = source.slice(start + 1, i);
+            i++;
+         }
+
+         if (source[i] === '?') {
+            token.optional = true;
+            i++;
+         }
+
+         if (literal !== '') {
+            tokens.push(literal);
+            literal = '';
+         }
+         tokens.push(token);
+      }
+
+      if (literal !== '') {
+         tokens.push(literal);
+      }
+      return tokens;
+   }
+
+   /**
+    * Tells if a parameter regex only matches digits, its values then being numbers.
+    * @param {string|null} constraint The regex of the parameter.
+    * @returns {boolean} True if numeric.
+    */
+   static #isNumeric(constraint) {
+      return ['\\d+', '[0-9]+', '-?\\d+', '\\d+(?:\\.\\d+)?'].includes(constraint);
+   }
+
+   /**
+    * Tells if a token directly follows a '/'.
+    * @param {number} index The index of the token.
+    * @returns {boolean} True if the previous token ends with '/'.
+    */
+   #followsSlash(index) {
+      const previous = this.#tokens[index - 1];
+      return typeof previous === 'string' && previous.endsWith('/') && !previous.endsWith('\\/');
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * The pattern, as declared.
+    * @returns {string} The source.
+    */
+   get source() {
+      return this.#source;
+   }
+
+   /**
+    * Tells if the pattern declares named parameters.
+    * @returns {boolean} True if params are named.
+    */
+   get isNamed() {
+      return this.#named;
+   }
+}
@@ -1,23 +1,61 @@
+import { concat, defer, forkJoin, from, isObservable, of, catchError, defaultIfEmpty, find, map, switchMap, take, tap } from 'rxjs';
 import { Core_HTMLElement } from '../base/core-html-element';
+import { Core_RouteEngine } from './core-route-engine';
+import { Core } from '../../services/core/core';
 
 /**
- * Contains everything that's required to manage a local Router
+ * Contains everything that's required to manage a local Router.
+ * Finding the route of a URL and remembering the cached components is left to a Core_RouteEngine,
+ * this element only renders the routes: routes declared with a class are instantiated with the URL params,
+ * routes declared with a tagName are created as elements, loaded first through $svc('components') when available.
+ *
+ * Before a new route is displayed, the navigation is checked by guards, declared by the routes and globally
+ * (see Core_RouterService.addGuard()), in this order: canLeave of the displayed component (if it has such a method),
+ * of the displayed route and of the global guards; then canEnter of the global guards and of the new route;
+ * finally the resolvers fetch the data given to the new component. A navigation started meanwhile drops this one.
+ * Each step is published on $svc('router').events$.
+ * When only the query changes, the component stays displayed and gets the new query through its setRouteParams()
+ * method, if it has one: no guard is run, only NavigationStart and NavigationEnd are published.
+ *
+ * Routers can be nested: a route declaring nested: true only consumes the first segments of the URL, the rest going to
+ * the core-router elements inside its component, which then match their own routes (and default route) against it.
+ * When only the rest changes, the parent route stays displayed and only the child routers navigate. When the parent
+ * route changes, the canLeave checks of the routes displayed by the child routers are run first, the deepest ones first.
+ * Links starting with './' or '../' are relative to the level of the router containing them (see resolveUrl()).
+ *
+ * Usage:
+ *   router.addRoute({
+ *      route: 'team', routeName: 'team', class: TeamPage,
+ *      canEnter: ({ to }) => $svc('auth').user?.teams.includes(to.params.teamId) || '/forbidden',
+ *      resolve: { team: ({ to }) => $svc('ajax').get('TEAMS/' + to.params.teamId) }   // new TeamPage(params, query, { team })
+ *   });
+ *   // Nested: '/team/12/members' displays TeamPage, whose own core-router displays MembersTab for '/members'
+ *   router.addRoute({ route: 'team', routeName: 'team', class: TeamPage, nested: true });   // routes.team = '/team/:teamId(\\d+)'
+ *   teamPageRouter.addRoutes([{ route: '/members', class: MembersTab }, { route: '/', class: TeamSummary, isDefault: true }]);
  */
 export class Core_Router extends HTMLElement {
-   #lastMatch;                // To remember completely last match, we never know...
-   #lastEndPosition;          // To remember, in the URL, the position of the first character thas was not matched in the URL
-   #currentRoute;             // Remember the route currently displayed
+   #engine;                   // Matches the URLs and keeps the routes memory
    #currentChild;             // Object currently used to display current route
-   #defaultRouteIndex;        // If a default route is defined, when no URL is matched
-   #isMain;                   // There can be only one !é
+   #isMain;                   // There can be only one !
    #childRouters;             // All Sub Routers declared to this Routers
    #parentRouter;             // If this is a subRouter, we will remember the parent Router
+   #log;                      // Logger of the 'router' category, taken on first use (see #logger())
+   #navigationId;             // Id of the last navigation started, older ones being dropped
+   #lastUrl;                  // URL of the last navigation completed, restored when a navigation is cancelled
+   #redirects;                // Redirects in a row, to stop redirect loops
+   #navigation;               // Navigation in flight ({ id, url, from, to, startedAt, subscription }), null if none
 
    // All possible options to manage a route that's kept in the cache
-   static keepRouteOptions = {
-      DONT_KEEP: 0,
-      KEEP_NONE: 1,
-      KEEP_SCROLLS: 2
+   static keepRouteOptions = Core_RouteEngine.keepRouteOptions;
+
+   // Types of the navigation events published on $svc('router').events$
+   static eventTypes = {
+      NAVIGATION_START: 'NavigationStart',
+      GUARDS_CHECKED: 'GuardsChecked',
+      RESOLVE_END: 'ResolveEnd',
+      NAVIGATION_END: 'NavigationEnd',
+      NAVIGATION_CANCEL: 'NavigationCancel',
+      NAVIGATION_ERROR: 'NavigationError'
    };
 
    /**
@@ -27,16 +65,17 @@ export class Core_Router extends HTMLElement {
       // Always call parent constructor in an HTMLElement
       super();
 
-      // No route registered at this stage
-      this.routes = [];
-
-      // By default, no route selected
-      this.#currentRoute = null;
+      // No route registered at this stage, and by default no route selected
+      // Patterns of named routes come from the configuration of the scope holding the router
+      this.#engine = new Core_RouteEngine({ resolveRoute: (routeName) => this.svc('config').getRoute(routeName) });
       this.#currentChild = null;
-      this.#lastMatch = null;
-      this.#defaultRouteIndex = -1;
       this.#childRouters = new Map();
       this.#parentRouter = null;
+      this.#log = null;
+      this.#navigationId = 0;
+      this.#lastUrl = null;
+      this.#redirects = 0;
+      this.#navigation = null;
 
       // By default, this is no main Router
       this.#isMain = false;
@@ -46,35 +85,20 @@ export class Core_Router extends HTMLElement {
    }
 
    /**
- * Register a new route !
- * @param {Local URL to go to} url 
- * @param {the tag of the custom Object to use to render the chosen route} tag 
- */
+    * Register a new route (see Core_RouteEngine for the declaration styles).
+    * @param {Object} routeParams The route descriptor: route, routeName, class or tagName, isDefault, keepRouteOption, requiresAuth,
+    * paramTypes (types of the named and query params, see Core_RoutePattern).
+    */
    addRoute(routeParams) {
-
-      // To add the new route, make sure it is properly setuo
-      if ((routeParams['route'])
-         && (routeParams['class'] || routeParams['tagName'])) {
-
-         // If this route is supposed to be the default one
-         if (routeParams['isDefault'] === true) {
-            this.#defaultRouteIndex = this.routes.length;
-         }
-
-         this.routes.push({ ...this.getBasicRouteParams(), ...routeParams });
-      }
-      // Incorrect description
-      else {
-         $svc('log').error('Cannot create a Route without a complete description');
-      }
+      this.#engine.addRoute({ ...this.getBasicRouteParams(), ...routeParams });
    }
 
    /**
     * Register several routes at once
-    * @param {} routes 
+    * @param {Array<Object>} routes The route descriptors.
     */
    addRoutes(routes) {
-      routes.forEach((route, index, arr) => {
+      routes.forEach((route) => {
          this.addRoute(route);
       });
    }
@@ -83,118 +107,327 @@ export class Core_Router extends HTMLElement {
     * To set the default params for a new route to be added
     */
    getBasicRouteParams() {
-      return {
-         keepRouteOption: Core_Router.keepRouteOptions.DONT_KEEP,
-         memory: {
-            URL: null,
-            object: null,
-            parentScroll: null,
-            childrenAttributes: null
-         }
-      };
+      return this.#engine.getBasicRouteParams();
    }
 
    /**
     * The method used to do the routing itself, based on the object "config" 
-    * @param {*} url - never required for main Router, but pretty much needed for sub routers 
+    * @param {*} url - never required for main Router, nor for sub routers of a nested route which get the rest of
+    * the parent URL; other sub routers route the whole URL unless given one
     */
    route(paramURL = null) {
 
-      // Use the URL passed as parameter, or extract relative path by default
-      let url;
-      if (paramURL) {
-         url = paramURL;
-      } else {
-         // Get relative path from config service
-         url = $svc('config').getRelativePath();
+      // Use the URL passed as parameter, or the rest of the parent route, or extract relative path by default
+      const inheritedURL = paramURL ? null : this.#parentRouter?.remainingUrl ?? null;
+      const url = paramURL || inheritedURL || (this.svc('config').getRelativePath() + window.location.search);
+
+      // Regular expression routes match the whole browser location, as they always did
+      const fromLocation = !paramURL && !inheritedURL;
+      this.#navigate(url, fromLocation, fromLocation ? window.location.href : null);
+   }
+
+   /**
+    * Navigates to a URL (see route()).
+    * @param {string} url The URL, relative to this router level.
+    * @param {boolean} fromLocation True if the URL comes from the browser location, put back if the navigation
+    * is cancelled.
+    * @param {string|null} [href=null] The full URL of the page, matched by the regular expression routes
+    * (see Core_RouteEngine.match()).
+    */
+   #navigate(url, fromLocation, href = null) {
+      const match = this.#engine.match(url, (href !== null) ? { href: href } : {});
+
+      // Any navigation in flight is now outdated
+      const navigationId = ++this.#navigationId;
+      if (this.#navigation !== null) {
+         this.#logger().debug('Navigation to ' + this.#navigation.url + ' dropped by a newer one');
+         this.#navigation.subscription?.unsubscribe();
+         this.#endNavigation(Core_Router.eventTypes.NAVIGATION_CANCEL, { reason: 'superseded' });
       }
 
-      let matches = [];
-      let routeFound = false;
+      // We have to do something only if the match changed, otherwise the child routers may have to
+      if (match === null) {
+         return;
+      }
+      if (this.#engine.isCurrent(match)) {
+         const previous = this.#engine.currentMatch;
+         if (this.#engine.update(match)) {
+            this.#navigation = { id: navigationId, url: url, from: previous, to: this.#engine.currentMatch, startedAt: Date.now(), subscription: null };
+            this.#publish(Core_Router.eventTypes.NAVIGATION_START);
+            this.#lastUrl = url;
+            this.#updateQuery(this.#engine.currentMatch);
+            this.#endNavigation(Core_Router.eventTypes.NAVIGATION_END);
+         }
+         this.#routeChildRouters(fromLocation);
+         return;
+      }
 
-      // Then try to resolve the path using all registered entries
-      this.routes.every((routeDesc, index, array) => {
-         // Get the relative route path from config service
-         const relativeRoute = $svc('config').getRoute(routeDesc.routeName);
-         // Add anchors to ensure exact matching
-         const anchoredRoute = '^' + relativeRoute + '$';
-         let regExp = new RegExp(anchoredRoute, 'i');
+      this.#navigation = { id: navigationId, url: url, from: this.#engine.currentMatch, to: match, startedAt: Date.now(), subscription: null };
+      this.#publish(Core_Router.eventTypes.NAVIGATION_START);
+
+      // Routes declaring requiresAuth are only displayed to logged users, the others go to the login route
+      // once this navigation is over
+      const access = this.canDisplayRoute(match.routeDesc, url);
+      if (access !== true) {
+         const redirectTo = (typeof access === 'string') ? access : null;
+         this.#endNavigation(Core_Router.eventTypes.NAVIGATION_CANCEL, { reason: 'auth', redirectTo: redirectTo });
+         if (redirectTo !== null) {
+            this.svc('router').goTo(redirectTo);
+         }
+         return;
+      }
 
+      const subscription = this.#checkNavigation(match).subscribe((outcome) => {
+         if (navigationId !== this.#navigationId) {
+            return;
+         }
 
-         // We found the proper candidate
-         if (matches = regExp.exec(url)) {
+         if (outcome.result === true) {
+            this.#redirects = 0;
+            this.#lastUrl = url;
+            this.processRouteFound(match.url, match.routeDesc, match.params, { ...match, data: outcome.data });
+         } else if ((outcome.result !== false) && (++this.#redirects <= 10)) {
+            this.#logger().debug('Navigation to ' + url + ' redirected');
+            this.#endNavigation(Core_Router.eventTypes.NAVIGATION_CANCEL, { reason: 'redirect', redirectTo: outcome.result });
+            this.svc('router').goTo(outcome.result);
+         } else {
+            this.#redirects = 0;
+            this.#cancelNavigation(url, fromLocation, outcome.error);
+         }
+      });
 
-            // We have to do something only if the match changed
-            if (matches[0] != this.#lastMatch) {
-               this.#lastMatch = matches[0];
-               this.#lastEndPosition = matches.index;
+      // Still in flight once the guards answered synchronously
+      if (this.#navigation?.id === navigationId) {
+         this.#navigation.subscription = subscription;
+      }
+   }
 
-               // Created element not interested in the matched URL but in its parameters
-               matches.shift();
+   /**
+    * Resolves a URL relative to this router level, like a path in folders: './' starts from the URL of the current
+    * route when nested (its child routers being inside it), otherwise from the URL consumed by the parent routers;
+    * each '../' goes one level up. Other URLs are returned as is.
+    * @param {string} url The URL (e.g. './members', '../teams').
+    * @returns {string} The URL from the application root (e.g. '/team/12/members').
+    */
+   resolveUrl(url) {
+      if (!url.startsWith('./') && !url.startsWith('../')) {
+         return url;
+      }
 
-               // Let's move the route we've found
-               this.processRouteFound(this.#lastMatch, routeDesc, matches);
-               routeFound = true;
+      // URLs of the levels, from this one up to the root
+      const levels = (this.remainingUrl !== null) ? [this.baseUrl + this.#engine.currentMatch.url] : [];
+      for (let router = this; router; router = router.#parentRouter) {
+         levels.push(router.baseUrl);
+      }
 
-               // Stop the loop
-               return false;
-            }
+      let level = 0;
+      let rest = url;
+      while (rest.startsWith('./') || rest.startsWith('../')) {
+         if (rest.startsWith('../')) {
+            level = Math.min(level + 1, levels.length - 1);
+            rest = rest.slice(3);
+         } else {
+            rest = rest.slice(2);
          }
+      }
+      return levels[level].replace(/\/$/, '') + '/' + rest;
+   }
 
-         return true;
-      });
+   /**
+    * Lets the child routers route the rest of the URL of the current nested route.
+    * @param {boolean} [fromLocation=false] True if the URL comes from the browser location.
+    */
+   #routeChildRouters(fromLocation = false) {
+      const rest = this.remainingUrl;
 
-      // No route found matching the URL, but a default route can be proposed
-      if ((!routeFound)
-         && (this.#defaultRouteIndex >= 0)) {
-         this.processRouteFound(url, this.routes[this.#defaultRouteIndex]);
+      if (rest !== null) {
+         this.#childRouters.forEach((value, childRouter) => childRouter.#navigate(rest, fromLocation));
       }
    }
 
    /**
-    * When a valid route is found for display, this method does the job.
-    * Handles component reuse, cache, scroll restoration, and DOM updates.
-    * @param {*} url The URL that matched.
-    * @param {*} routeDesc The route descriptor.
-    * @param {*} params Optional parameters extracted from the URL.
+    * Tells if a route can be displayed: routes declaring requiresAuth need a logged user,
+    * otherwise the auth service gives the login route to go to.
+    * @param {Object} routeDesc The route descriptor.
+    * @param {string} url The URL that matched.
+    * @returns {boolean|string} True if the route can be displayed, otherwise the URL to redirect to, or false.
     */
-   processRouteFound(url, routeDesc, params = null) {
+   canDisplayRoute(routeDesc, url) {
+      return !routeDesc.requiresAuth || this.svc('auth').canActivate(routeDesc, url);
+   }
 
-      console.log('dans processRouteFound ' + url + ', ' + routeDesc.route);
+   /**
+    * Runs the guards and resolvers of a navigation (see class description).
+    * @param {Object} match The match of the new route.
+    * @returns {Observable<{result: boolean|string|Object, data: Object, error: *}>} Emits once: result is true with
+    * the resolved data to go on, false to cancel (with the error if one occurred), or where to redirect.
+    */
+   #checkNavigation(match) {
+      const context = { from: this.#engine.currentMatch, to: match, router: this };
+      const guards = this.svc('router').getGuards();
+
+      const checks = [
+         ...this.#leaveChecks(match),
+         ...guards.map((guard) => guard.canLeave),
+         ...guards.map((guard) => guard.canEnter),
+         match.routeDesc.canEnter
+      ].filter((check) => typeof check === 'function');
+
+      const resolvers = Object.assign({}, ...guards.map((guard) => guard.resolve ?? {}), match.routeDesc.resolve ?? {});
+
+      // Checks run one after the other, the first one not answering true-ish stops the navigation
+      return concat(...checks.map((check) => Core_Router.#toObservable(() => check(context)))).pipe(
+         find((result) => result === false || typeof result === 'string' || (result !== null && typeof result === 'object')),
+         tap((result) => this.#publish(Core_Router.eventTypes.GUARDS_CHECKED, { allowed: result === undefined })),
+         switchMap((result) => {
+            if (result !== undefined) {
+               return of({ result: result, data: {} });
+            }
+            if (Object.keys(resolvers).length === 0) {
+               return of({ result: true, data: {} });
+            }
+            return forkJoin(Object.fromEntries(Object.entries(resolvers)
+               .map(([key, resolver]) => [key, Core_Router.#toObservable(() => resolver(context)).pipe(defaultIfEmpty(null))])))
+               .pipe(map((data) => ({ result: true, data: data })));
+         }),
+         tap((outcome) => {
+            if (outcome.result === true) {
+               this.#publish(Core_Router.eventTypes.RESOLVE_END, { data: outcome.data });
+            }
+         }),
+         catchError((error) => of({ result: false, data: {}, error: error }))
+      );
+   }
 
-      // Remove previously attached child, if any
-      if (this.#currentRoute !== null) {
+   /**
+    * Lists the canLeave checks of the routes displayed by this router and by its child routers, which leave as well:
+    * the deepest ones first, then for each router the one of its component and the one of its route.
+    * @param {Object} to The match of the new route.
+    * @returns {Array<function(): *>} The checks.
+    */
+   #leaveChecks(to) {
+      const context = { from: this.#engine.currentMatch, to: to, router: this };
+      const child = this.#currentChild;
+      const routeCanLeave = context.from?.routeDesc.canLeave;
+
+      return [
+         ...[...this.#childRouters.keys()].flatMap((childRouter) => childRouter.#leaveChecks(to)),
+         (typeof child?.canLeave === 'function') ? () => child.canLeave(context) : null,
+         (typeof routeCanLeave === 'function') ? () => routeCanLeave(context) : null
+      ].filter((check) => check !== null);
+   }
 
-         let kro = this.#currentRoute.keepRouteOption;
+   /**
+    * Cancels a navigation: the URL of the current route is put back in the browser.
+    * @param {string} url The URL of the cancelled navigation.
+    * @param {boolean} fromLocation True if the URL came from the browser location.
+    * @param {*} [error] The error which cancelled the navigation, if any.
+    */
+   #cancelNavigation(url, fromLocation, error) {
+      if (error !== undefined) {
+         this.#logger().error('Navigation to ' + url + ' failed : ' + (error?.message ?? error));
+         this.#endNavigation(Core_Router.eventTypes.NAVIGATION_ERROR, { error: error });
+      } else {
+         this.#logger().debug('Navigation to ' + url + ' cancelled');
+         this.#endNavigation(Core_Router.eventTypes.NAVIGATION_CANCEL, { reason: 'guard' });
+      }
 
-         // If we have to keep currently displayed object in cache
-         if (kro !== Core_Router.keepRouteOptions.DONT_KEEP) {
+      // The URL of a child router follows the one consumed by its parents
+      if (fromLocation && this.#lastUrl !== null && this.#lastUrl !== url) {
+         history.replaceState(null, '', this.baseUrl + this.#lastUrl);
+      }
+   }
 
-            // Object used to display current route must be kept
-            this.#currentRoute.memory.object = this.#currentChild;
+   /**
+    * Publishes an event of the navigation in flight on $svc('router').events$.
+    * @param {string} type The event type (see Core_Router.eventTypes).
+    * @param {Object} [details={}] Properties specific to the event type.
+    */
+   #publish(type, details = {}) {
+      const navigation = this.#navigation;
+      const now = Date.now();
 
-            // If some attributes must be kept to be restore when used again
-            if (kro != Core_Router.keepRouteOptions.KEEP_NONE) {
+      if (navigation === null) {
+         return;
+      }
 
-               // If we must keep scrolls, we also keep the parent scroll status
-               if (kro | Core_Router.keepRouteOptions.KEEP_SCROLLS) {
-                  this.saveParentScroll();
-               }
+      this.svc('router').publishEvent({
+         type: type,
+         id: navigation.id,
+         url: navigation.url,
+         from: Core_Router.#describe(navigation.from),
+         to: Core_Router.#describe(navigation.to),
+         params: navigation.to.params,
+         query: navigation.to.query,
+         timestamp: now,
+         duration: now - navigation.startedAt,
+         router: this,
+         ...details
+      });
+   }
 
-               // Here we store children attributes to save
-               this.#currentRoute.memory.childrenAttributes = new Map();
-               this.detachChild(this.#currentChild);
-            }
-            // No need to keep anything in this situation
-            else {
-               this.#currentRoute.memory.parentScroll = null;
-               this.#currentRoute.memory.childrenAttributes = null;
-            }
+   /**
+    * Publishes the last event of the navigation in flight, which is then over.
+    * @param {string} type The event type (see Core_Router.eventTypes).
+    * @param {Object} [details={}] Properties specific to the event type.
+    */
+   #endNavigation(type, details = {}) {
+      this.#publish(type, details);
+      this.#navigation = null;
+   }
+
+   /**
+    * Describes a route match in the navigation events.
+    * @param {Object|null} match The match.
+    * @returns {Object|null} The description ({ route, routeName, url, params, query }), null if no match.
+    */
+   static #describe(match) {
+      if (!match) {
+         return null;
+      }
+      return { route: match.routeDesc.route, routeName: match.routeDesc.routeName ?? null, url: match.url, params: match.params, query: match.query };
+   }
+
+   /**
+    * Turns the result of a guard or resolver into an Observable of its first value.
+    * @param {function(): *} call Calls the guard or resolver.
+    * @returns {Observable} Emits the result, a Promise or an Observable being waited for.
+    */
+   static #toObservable(call) {
+      return defer(() => {
+         const result = call();
+         if (isObservable(result)) {
+            return result.pipe(take(1));
          }
-         else {
-            this.#currentRoute.memory.object = null;
-            this.#currentRoute.memory.parentScroll = null;
-            this.#currentRoute.memory.childrenAttributes = null;
+         return (result instanceof Promise) ? from(result) : of(result);
+      });
+   }
+
+   /**
+    * When a valid route is found for display, this method does the job.
+    * Handles component reuse, cache, scroll restoration, and DOM updates.
+    * @param {string} url The URL that matched.
+    * @param {Object} routeDesc The route descriptor.
+    * @param {Object|Array<string>|null} params Optional parameters extracted from the URL (named or positional).
+    * @param {Object} [match] The match of the engine, rebuilt from the other parameters if not given.
+    */
+   processRouteFound(url, routeDesc, params = null, match = { routeDesc: routeDesc, url: url, params: params, query: {}, data: {}, isDefault: false }) {
+
+      this.#logger().debug('Route found for ' + url + ' : ' + routeDesc.route);
+
+      // Remove previously attached child, if any
+      if (this.#currentChild !== null) {
+         const { keepAttributes } = this.#engine.leave(this.#currentChild);
+
+         // If some attributes must be kept to be restored when used again
+         if (keepAttributes) {
+
+            // If we must keep scrolls, we also keep the parent scroll status
+            if (this.#engine.keepsScrolls(this.#engine.currentRoute)) {
+               this.saveParentScroll();
+            }
+
+            this.detachChild(this.#currentChild);
          }
 
          // Finally remove the object from the display
@@ -202,132 +435,120 @@ export class Core_Router extends HTMLElement {
          this.#currentChild = null;
       }
 
-      // Now move to the new page
-      this.#currentRoute = routeDesc;
-
-      // Now decide which component to use to render the new route
-      // Instantiate a new component or re-use from cache
-      let componentReused = false;
-
-      // If a tagName is provided, render via tag (supports lazy load via component loader service)
-      if (routeDesc.tagName) {
-         const tag = routeDesc.tagName;
-         const renderByTag = () => {
-            if (routeDesc.memory.object !== null && routeDesc.memory.URL === url) {
-               this.#currentChild = routeDesc.memory.object;
-               componentReused = true;
-            } else {
-               const el = document.createElement(tag);
-               // Optional hook to pass route params to the element if supported
-               if (params && typeof el.setRouteParams === 'function') {
-                  try { el.setRouteParams(params); } catch (_) {}
-               }
-               this.#currentChild = el;
-            }
+      // Now move to the new page, reusing the component from cache if the URL did not change
+      const { cached, stale } = this.#engine.enter(match);
 
-            // Display the new page
-            this.appendChild(this.#currentChild);
+      // A cached component we can't reuse because the URL changed: clean everything we have to in the cache
+      for (const node of stale?.keys() ?? []) {
+         if (node instanceof Core_HTMLElement) {
+            node.forceDestroy();
+         }
+      }
 
-            // If needed, restore cached attributes/scrolls
-            if (componentReused) {
-               this.attachChild(this.#currentChild);
-               if (routeDesc.memory.parentScroll !== null) {
-                  routeDesc.memory.parentScroll.element.scrollTop = routeDesc.memory.parentScroll.scrollTop;
-                  routeDesc.memory.parentScroll.element.scrollLeft = routeDesc.memory.parentScroll.scrollLeft;
-               }
-            }
+      const navigationId = this.#navigationId;
+      const render = () => {
+         // A more recent route was found while loading the component
+         if (navigationId !== this.#navigationId) {
+            return;
+         }
 
-            // Update route memory
-            routeDesc.memory.URL = url;
-            routeDesc.memory.object = null;
-            routeDesc.memory.parentScroll = null;
-            routeDesc.memory.childrenAttributes = null;
-            
-            // Emit routeChanged event
-            const routeChangedEvent = new CustomEvent('routeChanged', {
-               detail: { route: routeDesc.route, url: url, params: params }
-            });
-            document.dispatchEvent(routeChangedEvent);
-         };
+         this.#currentChild = cached ?? this.createRouteComponent(routeDesc, params, match.query, match.data);
+
+         // Display the new page
+         this.appendChild(this.#currentChild);
 
-         // Try to use the central component loader service if available
-         try {
-            const compSvc = (window.$core && $svc && $svc('components') && typeof $svc('components').ensure === 'function') ? $svc('components') : null;
-            if (compSvc) {
-               compSvc.ensure(tag).then(renderByTag).catch(() => {
-                  try {
-                     $svc('notif').showNotif($svc('lang').getLabel('errors.load_component_failed') || 'Failed to load component', 'error');
-                  } catch (_) {}
-               });
-            } else {
-               // No loader service available → render directly
-               renderByTag();
+         // If needed, restore cached attributes/scrolls
+         if (cached !== null) {
+
+            // Awaken children elements
+            this.attachChild(this.#currentChild);
+
+            // We may have to restore parent attributes
+            if (routeDesc.memory.parentScroll !== null) {
+               routeDesc.memory.parentScroll.element.scrollTop = routeDesc.memory.parentScroll.scrollTop;
+               routeDesc.memory.parentScroll.element.scrollLeft = routeDesc.memory.parentScroll.scrollLeft;
             }
-         } catch (_) {
-            // Fallback render
-            renderByTag();
          }
-         return;
-      }
 
-      // If we have an object to possibly use for reuse
-      if (routeDesc.memory.object !== null) {
-         // Here we reuse because URLs match
-         if (routeDesc.memory.URL === url) {
+         // Set memory info for next location change
+         this.#engine.entered(match);
 
-            this.#currentChild = routeDesc.memory.object;
-            componentReused = true;
+         if (this.#navigation?.id === navigationId) {
+            this.#endNavigation(Core_Router.eventTypes.NAVIGATION_END);
          }
-         // We can't reuse because the URL changed
-         else {
-            // To clean everything we have to in the cache
-            for (const [node, data] of routeDesc.memory.childrenAttributes?.entries() || []) {
-               if (node instanceof Core_HTMLElement) {
-                  node.forceDestroy();
-               }
-            }
 
-            // We will create a new component for display
-            this.#currentChild = new routeDesc.class(params);
-         }
-      }
-      // We need a new component because there was nothing in cache
-      else {
-         // Create it from config
-         this.#currentChild = new routeDesc.class(params);
-      }
+         // Emit routeChanged event for components that need to react to route changes
+         this.#dispatchRouteChanged(match);
 
-      // Display the new page
-      this.appendChild(this.#currentChild);
+         // The child routers inside a nested route route the rest of the URL
+         this.#routeChildRouters();
+      };
 
-      // If needed, remove the reusability function
-      if (componentReused) {
+      // Routes rendered by tag may have to be lazy loaded first, through the component loader service
+      const loader = (routeDesc.tagName && cached === null) ? this.#componentLoader() : null;
 
-         // Awaken children elements
-         this.attachChild(this.#currentChild);
+      if (loader === null) {
+         render();
+      } else {
+         loader.ensure(routeDesc.tagName).then(render).catch((error) => {
+            this.#logger().error('Cannot load the component ' + routeDesc.tagName + ' : ' + error?.message);
+            if (this.#navigation?.id === navigationId) {
+               this.#endNavigation(Core_Router.eventTypes.NAVIGATION_ERROR, { error: error });
+            }
+            try {
+               this.svc('notif').showNotif(this.svc('lang').getLabel('errors.load_component_failed') || 'Failed to load component', 'error');
+            } catch (_) {}
+         });
+      }
+   }
 
-         // We may have to restore parent attributes
-         if (routeDesc.memory.parentScroll !== null) {
-            routeDesc.memory.parentScroll.element.scrollTop = routeDesc.memory.parentScroll.scrollTop;
-            routeDesc.memory.parentScroll.element.scrollLeft = routeDesc.memory.parentScroll.scrollLeft;
-         }
+   /**
+    * Gives the new query of the route displayed to its component, through its setRouteParams() method if it has one.
+    * @param {Object} match The match of the route displayed, with the new query.
+    */
+   #updateQuery(match) {
+      if (typeof this.#currentChild?.setRouteParams === 'function') {
+         this.#currentChild.setRouteParams(match.params, match.query, match.data ?? {});
       }
+      this.#dispatchRouteChanged(match);
+   }
 
-      // Set memory info for next location change
-      routeDesc.memory.URL = url;
-      routeDesc.memory.object = null;
-      routeDesc.memory.parentScroll = null;
-      routeDesc.memory.childrenAttributes = null;
-      
-      // Emit routeChanged event for components that need to react to route changes
-      const routeChangedEvent = new CustomEvent('routeChanged', {
+   /**
+    * Dispatches the routeChanged event on document, for the components that need to react to route changes.
+    * @param {Object} match The match of the route displayed.
+    */
+   #dispatchRouteChanged(match) {
+      document.dispatchEvent(new CustomEvent('routeChanged', {
          detail: {
-            route: routeDesc.route,
-            url: url,
-            params: params
+            route: match.routeDesc.route,
+            url: match.url,
+            params: match.params,
+            query: match.query,
+            data: match.data ?? {}
          }
-      });
-      document.dispatchEvent(routeChangedEvent);
+      }));
+   }
+
+   /**
+    * Creates the component displaying a route: an instance of its class, or an element of its tagName.
+    * Classes are built with the URL params, query and resolved data, elements receive them through their
+    * setRouteParams() method, if they have one.
+    * @param {Object} routeDesc The route descriptor.
+    * @param {Object|Array<string>|null} params The parameters extracted from the URL (named or positional).
+    * @param {Object} [query={}] The query parameters.
+    * @param {Object} [data={}] The data fetched by the resolvers.
+    * @returns {HTMLElement} The component.
+    */
+   createRouteComponent(routeDesc, params, query = {}, data = {}) {
+      if (!routeDesc.tagName) {
+         return new routeDesc.class(params, query, data);
+      }
+
+      const element = document.createElement(routeDesc.tagName);
+      if ((params !== null || Object.keys(data).length > 0) && typeof element.setRouteParams === 'function') {
+         element.setRouteParams(params, query, data);
+      }
+      return element;
    }
 
    /**
@@ -343,8 +564,8 @@ export class Core_Router extends HTMLElement {
       while ((parent)
          && (!found)) {
 
-         if ($svc('browser').isElementScrollable(parent)) {
-            this.#currentRoute.memory.parentScroll = {
+         if (this.svc('browser').isElementScrollable(parent)) {
+            this.#engine.currentRoute.memory.parentScroll = {
                element: parent,
                scrollTop: parent.scrollTop,
                scrollLeft: parent.scrollLeft
@@ -361,7 +582,7 @@ export class Core_Router extends HTMLElement {
             ? document.documentElement
             : document.body;
 
-         this.#currentRoute.memory.parentScroll = {
+         this.#engine.currentRoute.memory.parentScroll = {
             element: scrollableElement,
             scrollTop: scrollableElement.scrollTop,
             scrollLeft: scrollableElement.scrollLeft
@@ -381,7 +602,7 @@ export class Core_Router extends HTMLElement {
          if (elt instanceof Core_HTMLElement) {
             elt.detach();
          }
-         else if (this.#currentRoute.keepRouteOption !== Core_Router.keepRouteOptions.DONT_KEEP) {
+         else if (this.#engine.currentRoute.keepRouteOption !== Core_Router.keepRouteOptions.DONT_KEEP) {
             this.saveChildAttributes(elt);
          }
 
@@ -397,13 +618,15 @@ export class Core_Router extends HTMLElement {
     * Can be enriched/overloaded in children classes
     */
    saveChildAttributes(elt) {
-      if ((this.#currentRoute.keepRouteOption | Core_Router.keepRouteOptions.KEEP_SCROLLS)
-         && ($svc('browser').isElementScrollable(elt))) {
-         if (!this.#currentRoute.memory.childrenAttributes.has(elt)) {
-            this.#currentRoute.memory.childrenAttributes.set(elt, {});
+      const route = this.#engine.currentRoute;
+
+      if (this.#engine.keepsScrolls(route)
+         && (this.svc('browser').isElementScrollable(elt))) {
+         if (!route.memory.childrenAttributes.has(elt)) {
+            route.memory.childrenAttributes.set(elt, {});
          }
 
-         this.#currentRoute.memory.childrenAttributes.get(elt).scroll = {
+         route.memory.childrenAttributes.get(elt).scroll = {
             scrollTop: elt.scrollTop,
             scrollLeft: elt.scrollLeft
          }
@@ -422,7 +645,7 @@ export class Core_Router extends HTMLElement {
          if (elt instanceof Core_HTMLElement) {
             elt.attach(isRoot);
          }
-         else if (this.#currentRoute.keepRouteOption !== Core_Router.keepRouteOptions.DONT_KEEP) {
+         else if (this.#engine.currentRoute.keepRouteOption !== Core_Router.keepRouteOptions.DONT_KEEP) {
             this.restoreChildAttributes(elt);
          }
 
@@ -439,18 +662,17 @@ export class Core_Router extends HTMLElement {
    */
    restoreChildAttributes(elt) {
       // If data was saved for this element, we get them
-      let eltData = this.#currentRoute.memory.childrenAttributes.get(elt);
+      const route = this.#engine.currentRoute;
+      const eltData = route.memory.childrenAttributes?.get(elt);
 
       // Manage scroll data restore
-      if ((eltData)
-         && (this.#currentRoute.keepRouteOption | Core_Router.keepRouteOptions.KEEP_SCROLLS)) {
+      if ((eltData?.scroll)
+         && this.#engine.keepsScrolls(route)) {
          elt.scrollTop = eltData.scroll.scrollTop;
          elt.scrollLeft = eltData.scroll.scrollLeft;
       }
    }
 
-
-
    /**
     * When the Router is added to the page, some hooks must be placed on the page so that it's enabled seemlessly
     */
@@ -458,20 +680,25 @@ export class Core_Router extends HTMLElement {
       // Register this instance to the Router service
       // Note that this assignation lauches a lot of mappings behind the scene in Core_Router
       if (this.#isMain) {
-         $svc('router').router = this;
+         this.svc('router').router = this;
       } else {
          this.registerToParentRouter();
       }
 
-      // Doing the job
-      this.route();
+      // Doing the job, once the startup tasks (config, labels...) are done, whatever their outcome
+      const ready = Core.getInstance()?.ready ?? Promise.resolve();
+      ready.catch(() => { }).then(() => {
+         if (this.isConnected) {
+            this.route();
+         }
+      });
    }
 
    /**
     * For this object to declare to its parent router
     */
    registerToParentRouter() {
-      this.#parentRouter = this.closest('[data-core-isRouter="yes"]');
+      this.#parentRouter = this.parentElement?.closest('[data-core-isRouter="yes"]') ?? null;
 
       if (this.#parentRouter) {
          this.#parentRouter.registerChildRouter(this);
@@ -493,9 +720,9 @@ export class Core_Router extends HTMLElement {
       // Warn the routing service that the instance is deleted
       // Once again, a lot is done behind the scene in Core_Router
       if (this.#isMain) {
-         $svc('router').router = null;
-      } else if (this.#parentRouter) {
-         this.#parentRouter.unregisterFromParentRouter();
+         this.svc('router').router = null;
+      } else {
+         this.unregisterFromParentRouter();
       }
    }
 
@@ -516,6 +743,79 @@ export class Core_Router extends HTMLElement {
       this.#childRouters.delete(childRouter);
    }
 
+   /**
+    * Retrieves a service from the nearest scope attached to the subtree of the router,
+    * or from the Core singleton if none is attached (see Core_HTMLElement::svc).
+    * @param {string} svcName The name of the service.
+    * @returns {*} The service instance.
+    */
+   svc(svcName) {
+      return $svc(svcName, this);
+   }
+
+   /**
+    * Returns the logger of the router, taken on first use: the element may be constructed before Core.
+    * @returns {Core_Logger} The logger.
+    */
+   #logger() {
+      this.#log ??= this.svc('log').getLogger('router');
+      return this.#log;
+   }
+
+   /**
+    * Returns the component loader service, if registered.
+    * @returns {Object|null} The service, null if none.
+    */
+   #componentLoader() {
+      try {
+         const loader = this.svc('components');
+         return (typeof loader?.ensure === 'function') ? loader : null;
+      } catch (_) {
+         return null;
+      }
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * The registered route descriptors, in matching order.
+    * @returns {Array<Object>} The routes.
+    */
+   get routes() {
+      return this.#engine.routes;
+   }
+
+   /**
+    * The URL left to the child routers by the current route, if nested (see Core_RouteEngine).
+    * @returns {string|null} The URL (e.g. '/members?page=2'), null if the current route is not nested.
+    */
+   get remainingUrl() {
+      return this.#engine.currentMatch?.rest ?? null;
+   }
+
+   /**
+    * The URL consumed by the parent routers, from the application root, which this router level starts from.
+    * @returns {string} The URL ('' for the main router).
+    */
+   get baseUrl() {
+      const parent = this.#parentRouter;
+
+      if (!parent?.remainingUrl) {
+         return '';
+      }
+      return parent.baseUrl + parent.engine.currentMatch.url;
+   }
+
+   /**
+    * The engine matching the URLs of this router.
+    * @returns {Core_RouteEngine} The engine.
+    */
+   get engine() {
+      return this.#engine;
+   }
+
    /**
     * If a Router claims it's the main one, then it must register to the Routing service
     */
@@ -0,0 +1,29 @@
+/**
+ * Query strings shared by the URLs built by the library (REST resources, routes).
+ *
+ * Usage:
+ *   Core_QueryString.serialize({ page: 2, tags: ['a', 'b'], q: null });   // 'page=2&tags=a&tags=b'
+ */
+export class Core_QueryString {
+   /**
+    * Serializes query parameters, sorted by name so that identical queries give identical URLs (see request dedupe
+    * and cache). Null and undefined values are skipped, arrays are repeated (a=1&a=2), dates are sent as ISO strings
+    * and objects as JSON.
+    * @param {Object} query The query parameters.
+    * @returns {string} The query string, without '?'.
+    */
+   static serialize(query) {
+      const encode = (value) => {
+         if (value instanceof Date) {
+            return encodeURIComponent(value.toISOString());
+         }
+         return encodeURIComponent((value !== null && typeof value === 'object') ? JSON.stringify(value) : String(value));
+      };
+
+      return Object.keys(query ?? {}).sort()
+         .filter((key) => query[key] !== null && query[key] !== undefined)
+         .flatMap((key) => (Array.isArray(query[key]) ? query[key] : [query[key]])
+            .map((value) => encodeURIComponent(key) + '=' + encode(value)))
+         .join('&');
+   }
+}
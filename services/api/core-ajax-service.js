@@ -1,113 +1,251 @@
 import { ajax } from 'rxjs/ajax';
-import { map, catchError, of } from 'rxjs';
+import { Observable, Subject, map, catchError, tap, throwError, defer, retry, timer, share, finalize, takeUntil, from, of, concat, switchMap, filter, EMPTY } from 'rxjs';
+import { Core_AjaxError } from '../../lib/api/errors/core-ajax-error';
+import { Core_HttpError } from '../../lib/api/errors/core-http-error';
+import { Core_NetworkError } from '../../lib/api/errors/core-network-error';
+import { Core_TimeoutError } from '../../lib/api/errors/core-timeout-error';
+import { Core_AbortError } from '../../lib/api/errors/core-abort-error';
+import { Core_IDB } from '../../lib/api/core-idb';
+import { Core_MemoryCacheStore } from '../../lib/api/cache/core-memory-cache-store';
+import { Core_IDBCacheStore } from '../../lib/api/cache/core-idb-cache-store';
+import { Core_OfflineQueue } from '../../lib/api/core-offline-queue';
+import { Core_Resource } from '../../lib/api/core-resource';
+import { Core_ChunkedUpload } from '../../lib/api/core-chunked-upload';
+import { Core_MockBackend } from '../../lib/api/core-mock-backend';
+import { Core_ServiceScope } from '../core/core-service-scope';
 
+/**
+ * Sends all HTTP requests of the application.
+ * All verbs go through request(), which passes the request through the registered interceptors
+ * (see addInterceptor()) before sending it.
+ * Failures reach subscribers as typed errors (Core_HttpError, Core_NetworkError, Core_TimeoutError),
+ * after going through the registered error handlers (see addErrorHandler()).
+ * REST resources can be declared once, then used through their list/get/create/update/remove methods
+ * (see defineResource()).
+ * In development and tests, requests can be answered locally instead (see setMockBackend() and 'ajax.mock').
+ * The 'auth' interceptor sends the access token of the auth service of the same scope (see Core_AuthService),
+ * built on the first request that needs it.
+ * Bodies are sent as JSON, except FormData, Blob, ArrayBuffer and URLSearchParams bodies, sent as is
+ * (see upload(), uploadChunked() and download() for files).
+ *
+ * All methods accept per-request options:
+ * - timeout           : time in ms after which the request fails with a Core_TimeoutError ('ajax.timeout' by default, 0 = none)
+ * - skipErrorHandlers : true to skip all error handlers, or the names of the handlers to skip (e.g. ['notify'])
+ * - retry             : false to never retry, a number of retries, or an object overriding the retry policy
+ *                       ('ajax.retry', see getRetryPolicy())
+ * - idempotent        : true if the request can safely be sent twice whatever its method (e.g. a POST reading data)
+ * - dedupe            : false to always send the request; by default, identical GET (or idempotent) requests
+ *                       in flight share the same call, unless they have a progress callback or an AbortSignal
+ * - dedupeKey         : key identifying identical requests (method, URL, body, Authorization and Accept headers
+ *                       by default, see getRequestKey()); requests of different auth sessions are never shared
+ * - signal            : AbortSignal cancelling the request, subscribers then receive a Core_AbortError
+ *                       (unsubscribing also cancels it)
+ * - channel           : name of a channel where only the last request matters: issuing a new request on the channel
+ *                       silently completes the pending one (e.g. 'search' for autocomplete queries)
+ * - cache             : false to bypass the cache, true or an object overriding the cache policy to cache a GET
+ *                       (or idempotent) request that no rule of 'ajax.cache' covers (see getCachePolicy())
+ * - invalidates       : cache tags to invalidate once the request succeeds (e.g. ['cart'] after adding an item)
+ * - offline           : false to fail at once when offline, true to queue a mutation whose method is not
+ *                       in 'ajax.offline.methods' (e.g. a POST creating data) (see offlineInterceptor())
+ * - responseType      : how to read the response body: 'json' (default), 'text', 'blob' or 'arraybuffer'
+ * - observe           : 'body' (default) to emit the response body, 'response' to emit the whole response
+ *                       ({ status, statusText, headers, body, request })
+ * - progress          : function receiving the progress events of the request
+ *                       ({ type: 'progress', direction: 'upload' or 'download', loaded, total, percent })
+ */
 export class Core_AjaxService {
+   #deps;            // Injected services
+   #errorHandlers;   // Registered error handlers, by decreasing priority ([{ name, fn, priority }])
+   #interceptors;    // Registered interceptors, by decreasing priority ([{ name, fn, priority }])
+   #inFlight;        // Requests currently shared by their subscribers (dedupe key -> Observable)
+   #channels;        // Pending request of each channel (channel name -> Subject cancelling it)
+   #cacheStore;      // Where cached responses are kept, null until first use (see getCacheStore())
+   #cachePartition;  // Session whose responses are cached, null if anonymous (see setCachePartition())
+   #offlineQueue;    // Mutations waiting for the connection, null if the offline mode is disabled
+   #resources;       // Defined REST resources (name -> Core_Resource)
+   #mockBackend;     // Answers requests locally, null to use the real server
+
+   // Request headers that make two requests different (see getRequestKey())
+   static keyHeaders = ['Authorization', 'Accept'];
+
+   // Cache stores that can be set in the configuration ('ajax.cache.store')
+   static cacheStoreTypes = {
+      memory: Core_MemoryCacheStore,
+      indexedDB: Core_IDBCacheStore
+   };
+
+   // Services to be built before this one
+   static dependencies = ['config', 'log', 'error'];
 
    constructor() {
+      this.#errorHandlers = [];
+      this.#interceptors = [];
+      this.#inFlight = new Map();
+      this.#channels = new Map();
+      this.#cacheStore = null;
+      this.#cachePartition = null;
+      this.#offlineQueue = null;
+      this.#resources = new Map();
+      this.#mockBackend = null;
+   }
+
+   /**
+    * Lifecycle hook: keeps the injected services and registers the built-in error handlers
+    * listed in the configuration ('ajax.errorHandlers').
+    * @param {Object} deps Injected services (see static dependencies).
+    */
+   init(deps) {
+      this.#deps = deps;
+
+      const builtIns = {
+         log: { fn: (error) => this.logError(error), priority: 100 },
+         redirect: { fn: (error) => this.redirectOnUnauthorized(error), priority: 50 },
+         notify: { fn: (error) => this.notifyError(error), priority: 0 }
+      };
+
+      this.addInterceptor('cache', (request, next) => this.cacheInterceptor(request, next), { priority: 100 });
+      this.addInterceptor('auth', (request, next) => this.#authInterceptor(request, next), { priority: 0 });
+      this.addInterceptor('retry', (request, next) => this.retryInterceptor(request, next), { priority: -100 });
+
+      const offline = deps.config.getObject('ajax.offline');
+      if (offline.enabled) {
+         this.#offlineQueue = new Core_OfflineQueue({
+            dbName: offline.dbName,
+            retryDelay: offline.retryDelay,
+            // Failures reach the waiting callers, through their own error handlers
+            send: (entry) => this.request({
+               ...entry,
+               options: { ...entry.options, offline: false, dedupe: false, skipErrorHandlers: true }
+            })
+         });
+         this.addInterceptor('offline', (request, next) => this.offlineInterceptor(request, next), { priority: 50 });
+      }
+
+      const mock = deps.config.getObject('ajax.mock');
+      if (mock.enabled) {
+         this.setMockBackend(new Core_MockBackend(mock, deps.log.getLogger('ajax.mock')));
+      }
+
+      deps.config.getArray('ajax.errorHandlers').forEach((name) => {
+         if (builtIns[name]) {
+            this.addErrorHandler(name, builtIns[name].fn, { priority: builtIns[name].priority });
+         } else {
+            deps.log.getLogger('ajax').error('Unknown built-in ajax error handler [' + name + ']');
+         }
+      });
+   }
+
+   /**
+    * Lifecycle hook: stops watching the connection. Queued mutations are kept for the next page.
+    */
+   dispose() {
+      this.#offlineQueue?.dispose();
+   }
+
+   /**
+    * Sends a request through all interceptors, then emits the response body.
+    * @param {Object} config The request.
+    * @param {string} [config.method='GET'] The HTTP method.
+    * @param {string} config.url The endpoint URL.
+    * @param {*} [config.body] The request payload, sent as JSON.
+    * @param {Object} [config.headers={}] Additional headers.
+    * @param {Object} [config.options={}] Request options (see class description).
+    * @returns {Observable} Emits the response body, or errors with a Core_AjaxError.
+    */
+   request(config) {
+      const request = {
+         method: (config.method ?? 'GET').toUpperCase(),
+         url: config.url,
+         body: config.body,
+         headers: { ...config.headers },
+         options: { ...config.options }
+      };
+
+      let response$ = this.#intercept(request, 0).pipe(
+         map((response) => (request.options.observe === 'response') ? response : response.body),
+         catchError((error) => this.handleError(error, request))
+      );
+
+      // A shared call would neither report its progress to each caller, nor be aborted by the signal of one of them
+      const shareable = !request.options.progress && !request.options.signal;
+      if (shareable && (request.options.dedupe ?? (request.method === 'GET' || request.options.idempotent === true))) {
+         response$ = this.#dedupe(response$, request);
+      }
+      if (request.options.signal) {
+         response$ = this.#abortOn(response$, request.options.signal, request);
+      }
+      if (request.options.channel) {
+         response$ = this.#supersede(response$, request.options.channel);
+      }
+      return response$;
+   }
+
+   /**
+    * Computes the key identifying identical requests, used to share in-flight calls: the method, the URL, the body
+    * and the headers of Core_AjaxService.keyHeaders given with the request.
+    * @param {Object} request The request.
+    * @returns {string} The key.
+    */
+   getRequestKey(request) {
+      const headers = Object.entries(request.headers ?? {})
+         .filter(([name]) => Core_AjaxService.keyHeaders.some((keyHeader) => keyHeader.toLowerCase() === name.toLowerCase()))
+         .map(([name, value]) => name.toLowerCase() + ': ' + value)
+         .sort();
+
+      return request.method + ' ' + request.url + ((request.body === undefined) ? '' : ' ' + JSON.stringify(request.body))
+         + ((headers.length === 0) ? '' : ' ' + JSON.stringify(headers));
    }
 
    /**
     * Sends a PUT request with a JSON body.
     * @param {string} url The endpoint URL.
     * @param {*} body The request payload.
+    * @param {Object} [options={}] Request options (see class description).
     */
-   put(url, body) {
-      return ajax({
-         url: this.mapURL(url),
-         method: 'PUT',
-         headers: {
-            'Content-Type': 'application/json',
-         },
-         body: JSON.stringify(body)
-      }).pipe(
-         map(response => {
-            if (response.status >= 200 && response.status < 300) {
-               return response.response;
-            } else {
-               throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-         }),
-         catchError(error => this.handleError(error))
-      );
+   put(url, body, options = {}) {
+      return this.request({ method: 'PUT', url: url, body: body, options: options });
    }
 
    /**
     * Sends a POST request with a JSON body and returns the parsed response.
+    * The project handles functional status codes (SUCCESS, TEAM_EXISTS, etc.), CORE only handles technical errors.
     * @param {string} url The endpoint URL.
     * @param {*} body The request payload.
+    * @param {Object} [options={}] Request options (see class description).
     */
-   getJSON(url, body) {
-      return ajax({
-         url: this.mapURL(url),
-         method: 'POST',
-         headers: {
-            'Content-Type': 'application/json',
-         },
-         body: JSON.stringify(body)
-      }).pipe(
-         map(response => {
-            // Check HTTP status first - CORE handles technical errors
-            if (response.status >= 200 && response.status < 300) {
-               // HTTP success - return the API response directly
-               // The project will handle functional status codes (SUCCESS, TEAM_EXISTS, etc.)
-               return response.response;
-            } else {
-               // HTTP error - CORE handles technical errors
-               throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-         }),
-         catchError(error => this.handleError(error))
-      );
+   getJSON(url, body, options = {}) {
+      return this.request({ method: 'POST', url: url, body: body, options: options });
+   }
+
+   /**
+    * Sends a POST request with a JSON body, for requests changing data (e.g. creating an item).
+    * Unlike getJSON(), never considered idempotent unless the 'idempotent' option says so.
+    * @param {string} url The endpoint URL.
+    * @param {*} body The request payload.
+    * @param {Object} [options={}] Request options (see class description).
+    */
+   post(url, body, options = {}) {
+      return this.request({ method: 'POST', url: url, body: body, options: options });
    }
 
    /**
     * Sends a GET request.
     * @param {string} url The endpoint URL.
     * @param {Object} [headers={}] Optional headers.
+    * @param {Object} [options={}] Request options (see class description).
     */
-   get(url, headers = {}) {
-      return ajax({
-         url: this.mapURL(url),
-         method: 'GET',
-         headers: {
-            'Content-Type': 'application/json',
-            ...headers
-         }
-      }).pipe(
-         map(response => {
-            if (response.status >= 200 && response.status < 300) {
-               return response.response;
-            } else {
-               throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-         }),
-         catchError(error => this.handleError(error))
-      );
+   get(url, headers = {}, options = {}) {
+      return this.request({ method: 'GET', url: url, headers: headers, options: options });
    }
 
    /**
     * Sends a DELETE request.
     * @param {string} url The endpoint URL.
     * @param {Object} [headers={}] Optional headers.
+    * @param {Object} [options={}] Request options (see class description).
     */
-   delete(url, headers = {}) {
-      return ajax({
-         url: this.mapURL(url),
-         method: 'DELETE',
-         headers: {
-            'Content-Type': 'application/json',
-            ...headers
-         }
-      }).pipe(
-         map(response => {
-            if (response.status >= 200 && response.status < 300) {
-               return response.response;
-            } else {
-               throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-         }),
-         catchError(error => this.handleError(error))
-      );
+   delete(url, headers = {}, options = {}) {
+      return this.request({ method: 'DELETE', url: url, headers: headers, options: options });
    }
 
    /**
@@ -115,85 +253,994 @@ export class Core_AjaxService {
     * @param {string} url The endpoint URL.
     * @param {*} body The request payload.
     * @param {Object} [headers={}] Optional headers.
+    * @param {Object} [options={}] Request options (see class description).
+    */
+   patch(url, body, headers = {}, options = {}) {
+      return this.request({ method: 'PATCH', url: url, body: body, headers: headers, options: options });
+   }
+
+   /**
+    * Uploads files as a multipart/form-data POST request.
+    * @param {string} url The endpoint URL.
+    * @param {FormData|Blob|Object} data The form data; a file (or blob) is sent under the 'ajax.upload.fieldName' field,
+    * the entries of an object as fields (files as is, arrays as repeated fields, objects as JSON).
+    * @param {Object} [options={}] Request options (see class description).
+    * @returns {Observable<Object>} Emits progress events ({ type: 'progress', direction, loaded, total, percent }),
+    * then { type: 'done', body } with the response body.
+    */
+   upload(url, data, options = {}) {
+      return this.#withProgress(
+         (progress) => this.request({ method: 'POST', url: url, body: this.#toFormData(data), options: { ...options, progress: progress } }),
+         (body) => ({ type: 'done', body: body })
+      );
+   }
+
+   /**
+    * Uploads a large file in chunks, resuming an interrupted upload of the same file to the same URL
+    * (see Core_ChunkedUpload for the protocol).
+    * @param {string} url The endpoint URL.
+    * @param {Blob} file The file (or blob) to upload.
+    * @param {Object} [options={}] Request options of each chunk (see class description).
+    * @param {number} [options.chunkSize] Size of a chunk in bytes ('ajax.upload.chunkSize' by default).
+    * @param {Object} [options.headers={}] Additional headers sent with each chunk.
+    * @returns {Observable<Object>} Emits progress events ({ type: 'progress', direction, loaded, total, percent }),
+    * then { type: 'done', body } with the response to the last chunk.
+    */
+   uploadChunked(url, file, options = {}) {
+      const { chunkSize, headers, ...requestOptions } = options;
+
+      return new Core_ChunkedUpload(this, url, file, {
+         chunkSize: chunkSize ?? this.#deps.config.getNumber('ajax.upload.chunkSize'),
+         headers: headers,
+         options: requestOptions
+      }).start();
+   }
+
+   /**
+    * Downloads a file with a GET request.
+    * The file name comes from the Content-Disposition header (which a cross-origin server must expose
+    * through Access-Control-Expose-Headers), or from the URL.
+    * @param {string} url The endpoint URL.
+    * @param {Object} [options={}] Request options (see class description).
+    * @returns {Observable<Object>} Emits progress events ({ type: 'progress', direction, loaded, total, percent }),
+    * then { type: 'done', body, filename } with the received Blob.
+    */
+   download(url, options = {}) {
+      return this.#withProgress(
+         (progress) => this.request({
+            method: 'GET',
+            url: url,
+            options: { ...options, responseType: 'blob', observe: 'response', progress: progress }
+         }),
+         (response) => ({
+            type: 'done',
+            body: response.body,
+            filename: this.getFilename(response.headers['content-disposition']) ?? this.#lastSegment(url)
+         })
+      );
+   }
+
+   /**
+    * Lets the browser save a blob as a file.
+    * @param {Blob} blob The file content.
+    * @param {string} filename The suggested file name.
+    */
+   saveFile(blob, filename) {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+
+      link.href = url;
+      link.download = filename;
+      link.style.display = 'none';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+   }
+
+   /**
+    * Extracts the file name of a Content-Disposition header, preferring the UTF-8 one (filename*=UTF-8''...).
+    * @param {string|undefined} header The header value (e.g. 'attachment; filename="report.pdf"').
+    * @returns {string|null} The file name, null if none.
+    */
+   getFilename(header) {
+      if (!header) {
+         return null;
+      }
+
+      const extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(header);
+      if (extended) {
+         try {
+            return decodeURIComponent(extended[2].trim().replace(/^"(.*)"$/, '$1'));
+         } catch (e) {
+            // Badly encoded, fall back to the plain file name
+         }
+      }
+
+      const plain = /filename\s*=\s*("((?:\\.|[^"\\])*)"|[^;]+)/i.exec(header);
+      if (plain) {
+         return (plain[2] !== undefined) ? plain[2].replace(/\\(.)/g, '$1') : plain[1].trim();
+      }
+      return null;
+   }
+
+   /**
+    * Defines a REST resource, or replaces the one with the same name (see Core_Resource).
+    * @param {string} name The name of the resource, also used as cache tag invalidated by its mutations.
+    * @param {Object} definition The resource definition ({ baseUrl, idKey, itemUrl, listKey, parse, options }).
+    * @returns {Core_Resource} The resource client.
+    */
+   defineResource(name, definition) {
+      const resource = new Core_Resource(name, definition, this);
+      this.#resources.set(name, resource);
+      return resource;
+   }
+
+   /**
+    * Returns a resource defined with defineResource().
+    * @param {string} name The name of the resource.
+    * @returns {Core_Resource|null} The resource client, null if not defined.
+    */
+   getResource(name) {
+      return this.#resources.get(name) ?? null;
+   }
+
+   /**
+    * Registers an interceptor, or replaces the one with the same name.
+    * An interceptor is called with (request, next) and returns an Observable of the response
+    * ({ status, statusText, headers, body, request }); it may:
+    * - rewrite the request: return next({ ...request, headers: { ...request.headers, 'X-CSRF-Token': token } })
+    * - transform the response: return next(request).pipe(map((response) => ({ ...response, body: ... })))
+    * - short-circuit the call: return of({ status: 200, statusText: 'OK', headers: {}, body: cached, request: request })
+    * Requests go through interceptors by decreasing priority, responses come back in reverse order.
+    * Failures reach interceptors as typed errors (see Core_AjaxError).
+    * @param {string} name The unique name of the interceptor.
+    * @param {function(Object, function(Object): Observable): Observable} fn The interceptor.
+    * @param {Object} [options={}] Interceptor options.
+    * @param {number} [options.priority=0] Interceptors with higher priorities see the request first.
+    */
+   addInterceptor(name, fn, options = {}) {
+      this.removeInterceptor(name);
+      this.#interceptors.push({ name: name, fn: fn, priority: options.priority ?? 0 });
+      this.#interceptors.sort((a, b) => b.priority - a.priority);
+   }
+
+   /**
+    * Removes an interceptor.
+    * @param {string} name The name of the interceptor.
+    */
+   removeInterceptor(name) {
+      this.#interceptors = this.#interceptors.filter((interceptor) => interceptor.name !== name);
+   }
+
+   /**
+    * Returns the names of the registered interceptors, in request order.
+    * @returns {string[]} The interceptor names.
+    */
+   getInterceptors() {
+      return this.#interceptors.map((interceptor) => interceptor.name);
+   }
+
+   /**
+    * Computes the retry policy of a request: the global one ('ajax.retry') overridden by the request 'retry' option.
+    * A policy is:
+    * - count            : maximum number of retries (0 = none)
+    * - delay            : delay before the first retry, in ms, multiplied by factor for each new attempt
+    * - factor           : exponential backoff factor
+    * - maxDelay         : maximum delay between two attempts, in ms (a longer Retry-After gives up)
+    * - jitter           : random part of the delay, from 0 (none) to 1 (anywhere between 0 and the delay)
+    * - statuses         : HTTP statuses worth retrying
+    * - methods          : HTTP methods retried (idempotent ones by default, see the 'idempotent' request option)
+    * - networkErrors    : true to retry when the server cannot be reached
+    * - timeouts         : true to retry when the server does not answer in time
+    * @param {Object} request The request.
+    * @returns {Object} The policy.
+    */
+   getRetryPolicy(request) {
+      const policy = { ...this.#deps.config.getObject('ajax.retry') };
+      const option = request.options.retry;
+
+      if (option === false) {
+         policy.count = 0;
+      } else if (typeof option === 'number') {
+         policy.count = option;
+      } else if (option !== null && typeof option === 'object') {
+         Object.assign(policy, option);
+      }
+      return policy;
+   }
+
+   /**
+    * Built-in 'retry' interceptor: sends the request again when it fails for a transient reason,
+    * with an exponential backoff and jitter, honouring Retry-After headers (see getRetryPolicy()).
+    * Each attempt is logged under the 'ajax' category.
+    * @param {Object} request The request.
+    * @param {function(Object): Observable} next The rest of the chain.
+    * @returns {Observable<Object>} Emits the response.
+    */
+   retryInterceptor(request, next) {
+      const policy = this.getRetryPolicy(request);
+      const retryable = request.options.idempotent === true || (policy.methods ?? []).includes(request.method);
+
+      if (!retryable || !(policy.count > 0)) {
+         return next(request);
+      }
+
+      return next(request).pipe(
+         retry({
+            count: policy.count,
+            delay: (error, attempt) => {
+               const wait = this.#retryDelay(error, attempt, policy);
+               if (wait === null) {
+                  return throwError(() => error);
+               }
+
+               this.#deps.log.getLogger('ajax').info(
+                  `Retry ${attempt}/${policy.count} of ${request.method} ${request.url} in ${wait}ms : ${error.message}`,
+                  { attempt: attempt, delay: wait, status: error.status }
+               );
+               return timer(wait);
+            }
+         })
+      );
+   }
+
+   /**
+    * Computes the cache policy of a request, null if the response must not be cached.
+    * Only GET (or idempotent) requests are cached, if a rule of the configuration ('ajax.cache.rules') matches their URL,
+    * or if their 'cache' option asks for it. A policy is:
+    * - key                  : key of the cache entry (see getRequestKey()), within the partition of the session
+    *                          (see setCachePartition())
+    * - partition            : the session the response is cached for, null if anonymous
+    * - ttl                  : time in ms during which the response is used without asking the server
+    *                          (once expired, the response is revalidated with its ETag, if any)
+    * - tags                 : tags of the cache entry, to invalidate several entries at once (see invalidateCache())
+    * - staleWhileRevalidate : true to emit an expired response at once, then the fresh one once received
+    * Rules are { url, ttl, tags, staleWhileRevalidate }, url accepting * as wildcard (e.g. 'REF/*').
+    * @param {Object} request The request.
+    * @returns {Object|null} The policy.
+    */
+   getCachePolicy(request) {
+      const option = request.options.cache;
+
+      if (option === false || !(request.method === 'GET' || request.options.idempotent === true)) {
+         return null;
+      }
+
+      const settings = this.#deps.config.getObject('ajax.cache');
+      const rule = (settings.rules ?? []).find((candidate) => this.#matchUrl(candidate.url, request.url));
+
+      if (!rule && !option) {
+         return null;
+      }
+
+      const policy = {
+         ttl: settings.ttl ?? 0,
+         staleWhileRevalidate: settings.staleWhileRevalidate ?? false,
+         ...rule,
+         ...((typeof option === 'object') ? option : {})
+      };
+      const key = policy.key ?? this.getRequestKey(request);
+      return {
+         key: (this.#cachePartition === null) ? key : '[' + this.#cachePartition + '] ' + key,
+         partition: this.#cachePartition,
+         ttl: policy.ttl,
+         tags: policy.tags ?? [],
+         staleWhileRevalidate: policy.staleWhileRevalidate
+      };
+   }
+
+   /**
+    * Built-in 'cache' interceptor: answers from the cache while the response is fresh,
+    * revalidates expired responses with If-None-Match, and invalidates the tags listed in the 'invalidates' option
+    * once a request succeeds (see getCachePolicy()).
+    * @param {Object} request The request.
+    * @param {function(Object): Observable} next The rest of the chain.
+    * @returns {Observable<Object>} Emits the response (twice for a stale response revalidated in the background).
+    */
+   cacheInterceptor(request, next) {
+      const policy = this.getCachePolicy(request);
+      const invalidates = request.options.invalidates ?? [];
+
+      if (policy === null) {
+         return (invalidates.length === 0) ? next(request) : next(request).pipe(
+            switchMap((response) => from(Promise.all(invalidates.map((tag) => this.invalidateCache({ tag: tag }))))
+               .pipe(map(() => response)))
+         );
+      }
+
+      return from(this.getCacheStore().get(policy.key).catch(() => null)).pipe(
+         switchMap((entry) => {
+            if (entry && entry.expiresAt > Date.now()) {
+               return of(this.#cachedResponse(entry, request));
+            }
+
+            const fresh$ = this.#revalidate(request, next, entry, policy);
+
+            if (entry && policy.staleWhileRevalidate) {
+               return concat(
+                  of(this.#cachedResponse(entry, request)),
+                  fresh$.pipe(
+                     // The stale response is still the right one
+                     filter((response) => !response.notModified),
+                     catchError((error) => {
+                        this.#deps.log.getLogger('ajax').info('Could not revalidate ' + request.url + ' : ' + error.message);
+                        return EMPTY;
+                     })
+                  )
+               );
+            }
+            return fresh$;
+         })
+      );
+   }
+
+   /**
+    * Removes cache entries.
+    * @param {string|Object} criteria An entry key, or { key }, { tag } or { url } (url accepting * as wildcard).
+    * @returns {Promise<number>} Resolves with the number of entries removed.
+    */
+   async invalidateCache(criteria) {
+      const { key, tag, url } = (typeof criteria === 'string') ? { key: criteria } : criteria;
+      const store = this.getCacheStore();
+      const entries = (await store.getAll()).filter((entry) =>
+         (key !== undefined && entry.key === key)
+         || (tag !== undefined && entry.tags.includes(tag))
+         || (url !== undefined && this.#matchUrl(url, entry.url)));
+
+      await Promise.all(entries.map((entry) => store.delete(entry.key)));
+      return entries.length;
+   }
+
+   /**
+    * Removes all cache entries.
+    * @returns {Promise} Resolves once cleared.
+    */
+   clearCache() {
+      return this.getCacheStore().clear();
+   }
+
+   /**
+    * Sets the session whose responses are cached, called by the auth service when the user logs in or out.
+    * Responses cached for one session are never given to another one: they are kept apart, and removed
+    * from the store once the session changes.
+    * @param {string|null} partition Identifies the session, null if anonymous.
+    * @returns {Promise<number>} Resolves with the number of entries removed.
+    */
+   async setCachePartition(partition) {
+      if (partition === this.#cachePartition) {
+         return 0;
+      }
+
+      this.#cachePartition = partition;
+
+      const store = this.getCacheStore();
+      const entries = (await store.getAll()).filter((entry) => (entry.partition ?? null) !== partition);
+      await Promise.all(entries.map((entry) => store.delete(entry.key)));
+      return entries.length;
+   }
+
+   /**
+    * Returns the store of the cached responses, created on first use from the configuration ('ajax.cache.store'),
+    * memory being used when IndexedDB is not available.
+    * @returns {Core_MemoryCacheStore|Core_IDBCacheStore} The store.
+    */
+   getCacheStore() {
+      if (this.#cacheStore === null) {
+         const settings = this.#deps.config.getObject('ajax.cache');
+         let type = settings.store ?? 'memory';
+
+         if (type === 'indexedDB' && !Core_IDB.isAvailable()) {
+            this.#deps.log.getLogger('ajax').info('IndexedDB not available, responses are cached in memory');
+            type = 'memory';
+         }
+
+         const storeClass = Core_AjaxService.cacheStoreTypes[type];
+         if (!storeClass) {
+            this.#deps.log.getLogger('ajax').error('Unknown cache store [' + type + '], responses are cached in memory');
+         }
+         this.#cacheStore = new (storeClass ?? Core_MemoryCacheStore)(settings.dbName);
+      }
+      return this.#cacheStore;
+   }
+
+   /**
+    * Replaces the store of the cached responses (any object with the methods of Core_MemoryCacheStore).
+    * @param {Object} store The store.
+    */
+   setCacheStore(store) {
+      this.#cacheStore = store;
+   }
+
+   /**
+    * Built-in 'offline' interceptor, registered when 'ajax.offline.enabled' is set: queues the mutations
+    * ('ajax.offline.methods', or any request with the 'offline' option) made while offline, or failing because
+    * the server cannot be reached, then replays them in order once the connection is back (see Core_OfflineQueue).
+    * While mutations are queued, new ones are queued behind them so that the server receives them in order.
+    * Each mutation carries an Idempotency-Key header, kept when replayed, so that the server can ignore
+    * a mutation it already applied (e.g. when only the response was lost).
+    * Subscribers of a queued mutation receive its response once replayed.
+    * @param {Object} request The request.
+    * @param {function(Object): Observable} next The rest of the chain.
+    * @returns {Observable<Object>} Emits the response (flagged replayed if the request was queued).
+    */
+   offlineInterceptor(request, next) {
+      const methods = this.#deps.config.getArray('ajax.offline.methods');
+
+      if (request.options.offline === false || !(request.options.offline === true || methods.includes(request.method))) {
+         return next(request);
+      }
+
+      const mutation = (request.headers['Idempotency-Key'] === undefined)
+         ? { ...request, headers: { ...request.headers, 'Idempotency-Key': this.#idempotencyKey() } }
+         : request;
+      const enqueue = () => {
+         this.#deps.log.getLogger('ajax').info('Offline, ' + mutation.method + ' ' + mutation.url + ' queued');
+         return this.#offlineQueue.enqueue(mutation).pipe(
+            map((body) => ({ status: 200, statusText: 'OK', headers: {}, body: body, request: mutation, replayed: true }))
+         );
+      };
+
+      if (!navigator.onLine || this.#offlineQueue.pending > 0) {
+         return enqueue();
+      }
+      return next(mutation).pipe(
+         catchError((error) => (error instanceof Core_NetworkError) ? enqueue() : throwError(() => error))
+      );
+   }
+
+   /**
+    * Returns the queue of the mutations waiting for the connection, to follow its status or handle conflicts.
+    * @returns {Core_OfflineQueue|null} The queue, null if the offline mode is disabled ('ajax.offline.enabled').
+    */
+   getOfflineQueue() {
+      return this.#offlineQueue;
+   }
+
+   /**
+    * Answers all requests with a mock backend, as the innermost 'mock' interceptor (see Core_MockBackend),
+    * so that the other interceptors (cache, retry, auth...) behave as with the real server.
+    * Set at startup when 'ajax.mock.enabled' is set.
+    * @param {Core_MockBackend|null} backend The mock backend, null to use the real server again.
+    */
+   setMockBackend(backend) {
+      this.#mockBackend = backend;
+      if (backend === null) {
+         this.removeInterceptor('mock');
+      } else {
+         this.addInterceptor('mock', (request, next) => this.#mockBackend.intercept(request, next), { priority: -200 });
+      }
+   }
+
+   /**
+    * Returns the mock backend answering the requests, to add routes or export recordings.
+    * @returns {Core_MockBackend|null} The mock backend, null if requests go to the real server.
+    */
+   getMockBackend() {
+      return this.#mockBackend;
+   }
+
+   /**
+    * Registers an error handler, or replaces the one with the same name.
+    * Handlers are called by decreasing priority with (error, request) each time a request fails,
+    * unless the request skips them; a failing handler never prevents the others from running.
+    * Built-in handlers are 'log' (priority 100), 'redirect' (50) and 'notify' (0).
+    * @param {string} name The unique name of the handler.
+    * @param {function(Core_AjaxError, Object)} fn The handler, receiving the error and the request ({ method, url, options }).
+    * @param {Object} [options={}] Handler options.
+    * @param {number} [options.priority=0] Handlers with higher priorities are called first.
+    */
+   addErrorHandler(name, fn, options = {}) {
+      this.removeErrorHandler(name);
+      this.#errorHandlers.push({ name: name, fn: fn, priority: options.priority ?? 0 });
+      this.#errorHandlers.sort((a, b) => b.priority - a.priority);
+   }
+
+   /**
+    * Removes an error handler.
+    * @param {string} name The name of the handler.
+    */
+   removeErrorHandler(name) {
+      this.#errorHandlers = this.#errorHandlers.filter((handler) => handler.name !== name);
+   }
+
+   /**
+    * Returns the names of the registered error handlers, in call order.
+    * @returns {string[]} The handler names.
+    */
+   getErrorHandlers() {
+      return this.#errorHandlers.map((handler) => handler.name);
+   }
+
+   /**
+    * Handles errors for all AJAX requests: turns them into typed errors, calls the error handlers,
+    * then propagates the error to subscribers.
+    * @param {*} error The error object.
+    * @param {Object} request The failed request ({ method, url, options }).
+    * @returns {Observable} An observable erroring with the typed error.
+    */
+   handleError(error, request) {
+      const ajaxError = this.toAjaxError(error, request);
+      const skip = request.options?.skipErrorHandlers ?? false;
+
+      if (skip !== true) {
+         this.#errorHandlers
+            .filter((handler) => !(Array.isArray(skip) && skip.includes(handler.name)))
+            .forEach((handler) => {
+               try {
+                  handler.fn(ajaxError, request);
+               } catch (e) {
+                  this.#deps.log.getLogger('ajax').error('Ajax error handler [' + handler.name + '] failed : ' + e.message);
+               }
+            });
+      }
+
+      return throwError(() => ajaxError);
+   }
+
+   /**
+    * Turns any request failure into a typed error.
+    * @param {*} error The error raised while sending the request.
+    * @param {Object} request The failed request ({ method, url, options }).
+    * @returns {Core_AjaxError} The typed error.
+    */
+   toAjaxError(error, request) {
+      if (error instanceof Core_AjaxError) {
+         return error;
+      }
+      if (error?.name === 'AjaxTimeoutError') {
+         return new Core_TimeoutError(request, request.options?.timeout ?? this.#deps.config.getNumber('ajax.timeout'), error);
+      }
+      if (error?.status > 0) {
+         return new Core_HttpError(request, error.status, error.xhr?.statusText ?? '', error.response ?? null, this.#parseHeaders(error.xhr), error);
+      }
+      return new Core_NetworkError(request, error);
+   }
+
+   /**
+    * Built-in 'log' error handler: logs the failure under the 'ajax' category.
+    * @param {Core_AjaxError} error The typed error.
+    */
+   logError(error) {
+      this.#deps.log.getLogger('ajax').error(error.method + ' ' + error.url + ' failed : ' + error.message, {
+         status: error.status
+      });
+   }
+
+   /**
+    * Built-in 'redirect' error handler: goes to the login page ('ajax.loginUrl') when the session is over (401).
+    * @param {Core_AjaxError} error The typed error.
+    */
+   redirectOnUnauthorized(error) {
+      const loginUrl = this.#deps.config.getString('ajax.loginUrl');
+
+      if (error.status === 401 && loginUrl) {
+         this.#service('router').goTo(loginUrl);
+      }
+   }
+
+   /**
+    * Built-in 'notify' error handler: shows the error message through the 'notif' service, if the project registers one.
+    * @param {Core_AjaxError} error The typed error.
+    */
+   notifyError(error) {
+      let notif = null;
+      try {
+         notif = this.#service('notif');
+      } catch (e) {
+         // No notification service registered by the project
+      }
+      notif?.showNotif(error.message, 'error');
+   }
+
+   /**
+    * Shares a request between all its subscribers while in flight.
+    * The call is cancelled once all subscribers are gone.
+    * @param {Observable} response$ The request.
+    * @param {Object} request The request description (see #dedupeKey()).
+    * @returns {Observable} The shared request.
+    */
+   #dedupe(response$, request) {
+      return defer(() => {
+         const key = this.#dedupeKey(request);
+         let shared = this.#inFlight.get(key);
+
+         if (!shared) {
+            shared = response$.pipe(
+               finalize(() => {
+                  if (this.#inFlight.get(key) === shared) {
+                     this.#inFlight.delete(key);
+                  }
+               }),
+               share()
+            );
+            this.#inFlight.set(key, shared);
+         }
+         return shared;
+      });
+   }
+
+   /**
+    * Computes the key under which a request is shared: its 'dedupeKey' option or getRequestKey(), within the session
+    * of the auth service. The token is only added further down the chain, so the key must tell the sessions apart:
+    * a request must never be answered with the response of another user.
+    * @param {Object} request The request description.
+    * @returns {string} The key.
+    */
+   #dedupeKey(request) {
+      const scope = Core_ServiceScope.forService(this);
+      const key = request.options.dedupeKey ?? this.getRequestKey(request);
+      const sessionId = (request.options.auth !== false && scope?.hasService('auth'))
+         ? scope.getService('auth').sessionId
+         : null;
+
+      return (sessionId === null) ? key : '[' + sessionId + '] ' + key;
+   }
+
+   /**
+    * Cancels a request when its signal is aborted, erroring with a Core_AbortError.
+    * @param {Observable} response$ The request.
+    * @param {AbortSignal} signal The signal.
+    * @param {Object} request The request description.
+    * @returns {Observable} The cancellable request.
+    */
+   #abortOn(response$, signal, request) {
+      return new Observable((subscriber) => {
+         const onAbort = () => subscriber.error(new Core_AbortError(request, signal.reason));
+
+         if (signal.aborted) {
+            onAbort();
+            return;
+         }
+
+         signal.addEventListener('abort', onAbort);
+         const subscription = response$.subscribe(subscriber);
+
+         return () => {
+            signal.removeEventListener('abort', onAbort);
+            subscription.unsubscribe();
+         };
+      });
+   }
+
+   /**
+    * Completes the pending request of a channel when a new one is issued on it.
+    * The new request is subscribed before the old one is dropped, so that a shared call goes on.
+    * @param {Observable} response$ The request.
+    * @param {string} channel The channel name.
+    * @returns {Observable} The request, completing once superseded.
+    */
+   #supersede(response$, channel) {
+      return new Observable((subscriber) => {
+         const cancel$ = new Subject();
+         const subscription = response$.pipe(takeUntil(cancel$)).subscribe(subscriber);
+         const previous = this.#channels.get(channel);
+
+         this.#channels.set(channel, cancel$);
+         previous?.next();
+
+         return () => {
+            subscription.unsubscribe();
+            if (this.#channels.get(channel) === cancel$) {
+               this.#channels.delete(channel);
+            }
+         };
+      });
+   }
+
+   /**
+    * Passes a request to the interceptor at the given position, the last one handing it to the backend.
+    * @param {Object} request The request.
+    * @param {number} index The position of the interceptor in the chain.
+    * @returns {Observable<Object>} Emits the response.
+    */
+   #intercept(request, index) {
+      const interceptor = this.#interceptors[index];
+
+      if (!interceptor) {
+         return defer(() => this.#backend(request));
+      }
+      return defer(() => interceptor.fn(request, (nextRequest) => this.#intercept(nextRequest, index + 1)));
+   }
+
+   /**
+    * Actually sends a request, at the end of the interceptor chain.
+    * @param {Object} request The request.
+    * @returns {Observable<Object>} Emits the response ({ status, statusText, headers, body, request }),
+    * or errors with a Core_AjaxError.
     */
-   patch(url, body, headers = {}) {
+   #backend(request) {
+      const raw = this.#isRawBody(request.body);
+      const progress = request.options.progress;
+
       return ajax({
-         url: this.mapURL(url),
-         method: 'PATCH',
-         headers: {
+         url: this.mapURL(request.url),
+         method: request.method,
+         // The browser sets the Content-Type of raw bodies (with the multipart boundary for FormData)
+         headers: raw ? { ...request.headers } : {
             'Content-Type': 'application/json',
-            ...headers
+            ...request.headers
          },
-         body: JSON.stringify(body)
+         body: (request.body === undefined || raw) ? request.body : JSON.stringify(request.body),
+         timeout: request.options.timeout ?? this.#deps.config.getNumber('ajax.timeout'),
+         responseType: request.options.responseType ?? 'json',
+         includeUploadProgress: typeof progress === 'function',
+         includeDownloadProgress: typeof progress === 'function'
       }).pipe(
+         // Only the final response goes through the chain, progress events go to the 'progress' option
+         filter((response) => {
+            if (response.type === 'download_load') {
+               return true;
+            }
+            if (response.type.endsWith('_progress') || response.type === 'upload_load') {
+               progress({
+                  type: 'progress',
+                  direction: response.type.startsWith('upload') ? 'upload' : 'download',
+                  loaded: response.loaded,
+                  total: response.total,
+                  percent: (response.total > 0) ? Math.round(response.loaded * 100 / response.total) : null
+               });
+            }
+            return false;
+         }),
+         this.#track(request.method, request.url),
          map(response => {
-            if (response.status >= 200 && response.status < 300) {
-               return response.response;
+            // Check HTTP status first - CORE handles technical errors
+            // 304 only answers the If-None-Match of the cache interceptor
+            if ((response.status >= 200 && response.status < 300) || response.status === 304) {
+               return {
+                  status: response.status,
+                  statusText: response.xhr?.statusText ?? '',
+                  headers: this.#parseHeaders(response.xhr),
+                  body: response.response,
+                  request: request
+               };
             } else {
-               throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+               throw new Core_HttpError(request, response.status, response.xhr?.statusText ?? '', response.response, this.#parseHeaders(response.xhr));
             }
          }),
-         catchError(error => this.handleError(error))
+         catchError(error => throwError(() => this.toAjaxError(error, request)))
       );
    }
 
    /**
-    * Handles errors for all AJAX requests.
-    * Preserves HTTP status codes and response information.
-    * @param {*} error The error object.
-    * @returns {Observable} An observable with the enhanced error.
-    */
-   handleError(error) {
-      
-      
-      // CORE handles technical errors with English messages by default
-      // since CORE doesn't know what language system the project uses
-      let errorMessage = 'Network error occurred';
-      
-      if (error.xhr) {
-         const status = error.xhr.status;
-         const statusText = error.xhr.statusText;
-         
-         // Generate English error messages for common HTTP errors
-         switch (status) {
-            case 400:
-               errorMessage = 'Bad Request: Invalid data sent to server';
-               break;
-            case 401:
-               errorMessage = 'Unauthorized: Please log in again';
-               break;
-            case 403:
-               errorMessage = 'Forbidden: You do not have permission to perform this action';
-               break;
-            case 404:
-               errorMessage = 'Not Found: The requested resource was not found';
-               break;
-            case 500:
-               errorMessage = 'Internal Server Error: Please try again later';
-               break;
-            case 503:
-               errorMessage = 'Service Unavailable: Server is temporarily unavailable';
-               break;
-            default:
-               errorMessage = `HTTP ${status}: ${statusText}`;
+    * Asks the server for a response, with the ETag of the cached one if any, then caches it.
+    * @param {Object} request The request.
+    * @param {function(Object): Observable} next The rest of the chain.
+    * @param {Object|null} entry The expired cache entry, if any.
+    * @param {Object} policy The cache policy.
+    * @returns {Observable<Object>} Emits the response, flagged notModified if the cached one is still valid.
+    */
+   #revalidate(request, next, entry, policy) {
+      const conditional = entry?.etag
+         ? { ...request, headers: { ...request.headers, 'If-None-Match': entry.etag } }
+         : request;
+
+      return next(conditional).pipe(
+         switchMap((response) => {
+            const notModified = (response.status === 304) && (entry !== null);
+            const now = Date.now();
+            const newEntry = {
+               key: policy.key,
+               partition: policy.partition,
+               url: request.url,
+               body: notModified ? entry.body : response.body,
+               etag: response.headers.etag ?? entry?.etag ?? null,
+               tags: policy.tags,
+               storedAt: now,
+               expiresAt: now + policy.ttl
+            };
+
+            // The session changed meanwhile, the response is not cached for the new one
+            const stored = (policy.partition === this.#cachePartition) ? this.getCacheStore().set(newEntry) : Promise.resolve();
+
+            return from(stored.catch(() => { })).pipe(
+               map(() => notModified ? { ...this.#cachedResponse(newEntry, request), notModified: true } : response)
+            );
+         })
+      );
+   }
+
+   /**
+    * Builds a response from a cache entry.
+    * @param {Object} entry The cache entry.
+    * @param {Object} request The request.
+    * @returns {Object} The response, flagged fromCache.
+    */
+   #cachedResponse(entry, request) {
+      return {
+         status: 200,
+         statusText: 'OK',
+         headers: entry.etag ? { etag: entry.etag } : {},
+         body: entry.body,
+         request: request,
+         fromCache: true
+      };
+   }
+
+   /**
+    * Tells if a URL matches a pattern accepting * as wildcard.
+    * @param {string} pattern The pattern.
+    * @param {string} url The URL.
+    * @returns {boolean} True if matching.
+    */
+   #matchUrl(pattern, url) {
+      const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      return new RegExp('^' + escaped + '$').test(url ?? '');
+   }
+
+   /**
+    * Computes the delay before retrying a failed request.
+    * @param {Core_AjaxError} error The failure.
+    * @param {number} attempt The number of the coming retry (from 1).
+    * @param {Object} policy The retry policy.
+    * @returns {number|null} The delay in ms, null if the failure is not worth retrying.
+    */
+   #retryDelay(error, attempt, policy) {
+      const transient = (error instanceof Core_TimeoutError) ? policy.timeouts
+         : (error instanceof Core_NetworkError) ? policy.networkErrors
+         : (error instanceof Core_HttpError) && (policy.statuses ?? []).includes(error.status);
+
+      if (!transient) {
+         return null;
+      }
+
+      // The server tells when to come back, in seconds or as an HTTP date
+      const retryAfter = error.headers?.['retry-after'];
+      if (retryAfter) {
+         const wait = /^\d+$/.test(retryAfter) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now();
+         if (!Number.isNaN(wait)) {
+            return (wait > policy.maxDelay) ? null : Math.max(0, wait);
          }
-         
-         // Show alert with English message (CORE doesn't know project's notification system)
-         alert(`CORE Error: ${errorMessage}`);
-         
-         const enhancedError = {
-            ...error,
-            status: status,
-            statusText: statusText,
-            response: error.xhr.response,
-            message: errorMessage
-         };
-         return of(enhancedError);
       }
-      
-      // Generic error
-      alert('CORE Error: Network connection failed');
-      return of(error);
+
+      const backoff = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.factor, attempt - 1));
+      return Math.round(backoff * (1 - policy.jitter * Math.random()));
+   }
+
+   /**
+    * Turns a request into an Observable of its progress events followed by a final event.
+    * @param {function(function(Object)): Observable} send Sends the request, given the progress callback.
+    * @param {function(*): Object} done Builds the final event from what the request emits.
+    * @returns {Observable<Object>} The events.
+    */
+   #withProgress(send, done) {
+      return new Observable((subscriber) => {
+         const sub = send((event) => subscriber.next(event)).subscribe({
+            next: (value) => subscriber.next(done(value)),
+            error: (error) => subscriber.error(error),
+            complete: () => subscriber.complete()
+         });
+         return () => sub.unsubscribe();
+      });
+   }
+
+   /**
+    * Builds the form data of an upload.
+    * @param {FormData|Blob|Object} data The form data, a file, or the fields.
+    * @returns {FormData} The form data.
+    */
+   #toFormData(data) {
+      if (data instanceof FormData) {
+         return data;
+      }
+
+      const formData = new FormData();
+      const append = (name, value) => {
+         if (value instanceof Blob) {
+            formData.append(name, value, value.name ?? name);
+         } else {
+            formData.append(name, (value !== null && typeof value === 'object') ? JSON.stringify(value) : String(value));
+         }
+      };
+
+      if (data instanceof Blob) {
+         append(this.#deps.config.getString('ajax.upload.fieldName'), data);
+      } else {
+         Object.entries(data ?? {})
+            .filter(([, value]) => value !== undefined && value !== null)
+            .forEach(([name, value]) => (Array.isArray(value) ? value : [value]).forEach((item) => append(name, item)));
+      }
+      return formData;
+   }
+
+   /**
+    * Tells if a body is sent as is rather than as JSON.
+    * @param {*} body The request body.
+    * @returns {boolean} True for FormData, Blob, ArrayBuffer (and views) and URLSearchParams bodies.
+    */
+   #isRawBody(body) {
+      return body instanceof FormData || body instanceof Blob || body instanceof ArrayBuffer
+         || ArrayBuffer.isView(body) || body instanceof URLSearchParams;
+   }
+
+   /**
+    * Returns the last path segment of a URL, used as file name when the server gives none.
+    * @param {string} url The URL.
+    * @returns {string} The segment.
+    */
+   #lastSegment(url) {
+      const segment = url.split(/[?#]/)[0].split('/').filter((part) => part !== '').pop() ?? 'download';
+      try {
+         return decodeURIComponent(segment);
+      } catch (e) {
+         return segment;
+      }
+   }
+
+   /**
+    * Retrieves a service on first use, from the scope which built this service (from the Core singleton otherwise).
+    * @param {string} svcName The name of the service.
+    * @returns {*} The service instance.
+    */
+   #service(svcName) {
+      const scope = Core_ServiceScope.forService(this);
+      return (scope !== null) ? scope.getService(svcName) : $svc(svcName);
+   }
+
+   /**
+    * Built-in 'auth' interceptor: hands the request to the auth service of the scope which built this service,
+    * if there is one (see Core_AuthService::authInterceptor()).
+    * @param {Object} request The request.
+    * @param {function(Object): Observable} next The rest of the chain.
+    * @returns {Observable<Object>} Emits the response.
+    */
+   #authInterceptor(request, next) {
+      const scope = Core_ServiceScope.forService(this);
+
+      if (request.options.auth === false || !scope?.hasService('auth')) {
+         return next(request);
+      }
+      return scope.getService('auth').authInterceptor(request, next);
+   }
+
+   /**
+    * Generates a unique key identifying a mutation, sent in the Idempotency-Key header.
+    * @returns {string} The key.
+    */
+   #idempotencyKey() {
+      if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+         return crypto.randomUUID();
+      }
+      return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+   }
+
+   /**
+    * Reads the response headers, names in lower case.
+    * @param {XMLHttpRequest} xhr The request object.
+    * @returns {Object<string, string>} The headers.
+    */
+   #parseHeaders(xhr) {
+      const headers = {};
+
+      (xhr?.getAllResponseHeaders() ?? '').split(/\r?\n/).forEach((line) => {
+         const index = line.indexOf(':');
+         if (index > 0) {
+            headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+         }
+      });
+      return headers;
+   }
+
+   /**
+    * Leaves a breadcrumb for the error service once a request is answered.
+    * @param {string} method The HTTP method.
+    * @param {string} url The endpoint URL.
+    * @returns {OperatorFunction} The operator to pipe right after the request.
+    */
+   #track(method, url) {
+      const start = performance.now();
+      const addBreadcrumb = (status) => {
+         this.#deps?.error.addBreadcrumb('ajax', method + ' ' + url, {
+            status: status,
+            duration: Math.round(performance.now() - start)
+         });
+      };
+
+      return tap({
+         next: (response) => addBreadcrumb(response.status),
+         error: (error) => addBreadcrumb(error.status ?? 0)
+      });
    }
 
    /**
@@ -205,4 +1252,4 @@ export class Core_AjaxService {
    mapURL(url) {
       return url;
    }
-}
\ No newline at end of file
+}
@@ -0,0 +1,414 @@
+import { BehaviorSubject, defer, of, catchError, finalize, map, shareReplay, switchMap, tap, throwError } from 'rxjs';
+
+/**
+ * Keeps the session of the user: access and refresh tokens, and the user itself.
+ * Answers the 'auth' interceptor of the ajax service, which sends the access token with each request
+ * ('auth.header', 'auth.scheme') and transparently refreshes it ('auth.refreshUrl') when the server answers 401:
+ * a single refresh is sent at a time, requests issued meanwhile wait for it and go with the new token.
+ * Logins, logouts and refreshes are broadcast to the other tabs of the application.
+ *
+ * The token is sent to relative URLs, and to the absolute ones starting with an origin of 'auth.origins'.
+ * A request can opt out with the 'auth' ajax option set to false.
+ * The responses cached by the ajax service are kept apart for each session, and dropped once it is closed.
+ *
+ * Usage:
+ *   $svc('auth').login({ accessToken, refreshToken, expiresIn: 3600, user: { name: 'John' } });
+ *   $svc('auth').currentUser$.subscribe((user) => header.setUser(user));
+ *   router.addRoute({ route: 'account', routeName: 'account', class: AccountPage, requiresAuth: true });
+ */
+export class Core_AuthService {
+
+   // Where the session is kept when 'auth.storage' is 'local' or 'session'
+   static storageKey = 'core.auth';
+
+   // Name of the BroadcastChannel shared by the tabs of the application
+   static channelName = 'core.auth';
+
+   // Services to be built before this one
+   static dependencies = ['config', 'log', 'ajax'];
+
+   #deps;            // Injected services
+   #log;             // Logger of the 'auth' category
+   #session;         // Current session ({ sessionId, accessToken, refreshToken, expiresAt, user }), null if logged out
+   #currentUser$;    // Current user, null if logged out
+   #refreshing$;     // Refresh in flight, shared by all requests waiting for it, null if none
+   #channel;         // Channel to the other tabs, null if BroadcastChannel is not available
+   #returnUrl;       // URL asked before being sent to the login route
+
+   /**
+    * Constructs the auth service.
+    */
+   constructor() {
+      this.#session = null;
+      this.#currentUser$ = new BehaviorSubject(null);
+      this.#refreshing$ = null;
+      this.#channel = null;
+      this.#returnUrl = null;
+   }
+
+   /**
+    * Lifecycle hook: restores the stored session and listens to the other tabs.
+    * @param {Object} deps Injected services (see static dependencies).
+    */
+   init(deps) {
+      this.#deps = deps;
+      this.#log = deps.log.getLogger('auth');
+
+      const stored = this.#readSession();
+      if (stored !== null) {
+         this.#setSession(stored);
+      }
+
+      if (typeof BroadcastChannel !== 'undefined') {
+         this.#channel = new BroadcastChannel(Core_AuthService.channelName);
+         this.#channel.onmessage = (event) => this.#onMessage(event.data);
+
+         // Under Node (tests), an open channel must not keep the process alive
+         this.#channel.unref?.();
+      }
+   }
+
+   /**
+    * Lifecycle hook: closes the channel to the other tabs.
+    */
+   dispose() {
+      this.#channel?.close();
+      this.#currentUser$.complete();
+   }
+
+   /**
+    * Opens a session, usually with the response of the login request.
+    * @param {Object} session The session.
+    * @param {string} session.accessToken The token sent with the requests.
+    * @param {string} [session.refreshToken] The token sent to get a new access token.
+    * @param {number} [session.expiresIn] Lifetime of the access token in seconds; it is then refreshed before being sent.
+    * @param {Object} [session.user] The logged user.
+    * @param {string} [session.sessionId] Identifies the session, a new one by default.
+    */
+   login(session) {
+      this.#setSession(session);
+      this.#log.info('Logged in' + (this.#session.user?.name ? ' as ' + this.#session.user.name : ''));
+      this.#broadcast('login');
+   }
+
+   /**
+    * Closes the session, in this tab and in the other ones.
+    */
+   logout() {
+      this.#clearSession();
+      this.#log.info('Logged out');
+      this.#broadcast('logout');
+   }
+
+   /**
+    * Gets a new access token with the refresh token ('auth.refreshUrl').
+    * Only one refresh is sent at a time, concurrent calls share it. The session is closed if the refresh fails.
+    * The refresh endpoint receives { refreshToken } and must answer { accessToken, refreshToken?, expiresIn?, user? }.
+    * @returns {Observable<string>} Emits the new access token.
+    */
+   refresh() {
+      if (this.#refreshing$ === null) {
+         const refreshUrl = this.#deps.config.getString('auth.refreshUrl');
+         const refreshToken = this.#session?.refreshToken;
+
+         if (!refreshUrl || !refreshToken) {
+            return throwError(() => new Error('No way to refresh the session: ' + (refreshUrl ? 'no refresh token' : 'no auth.refreshUrl')));
+         }
+
+         this.#refreshing$ = this.#deps.ajax.post(refreshUrl, { refreshToken: refreshToken }, {
+            auth: false,
+            offline: false,
+            retry: false,
+            skipErrorHandlers: true
+         }).pipe(
+            tap((session) => {
+               this.#setSession({ sessionId: this.#session?.sessionId, refreshToken: refreshToken, user: this.#session?.user, ...session });
+               this.#log.info('Session refreshed');
+               this.#broadcast('refresh');
+            }),
+            map(() => this.#session.accessToken),
+            catchError((error) => {
+               this.#log.info('Session refresh failed, logging out : ' + error.message);
+               this.logout();
+               return throwError(() => error);
+            }),
+            finalize(() => this.#refreshing$ = null),
+            shareReplay(1)
+         );
+      }
+      return this.#refreshing$;
+   }
+
+   /**
+    * 'auth' interceptor of the ajax service: sends the access token, refreshing it first if expired,
+    * waits for a refresh in flight, and refreshes then sends again a request answered 401.
+    * @param {Object} request The request.
+    * @param {function(Object): Observable} next The rest of the chain.
+    * @returns {Observable<Object>} Emits the response.
+    */
+   authInterceptor(request, next) {
+      if (request.options.auth === false || !this.#appliesTo(request.url)) {
+         return next(request);
+      }
+
+      return defer(() => {
+         const ready$ = (this.#refreshing$ !== null || (this.#isExpired() && this.#session?.refreshToken))
+            ? this.refresh()
+            : null;
+         const send = () => {
+            const token = this.#session?.accessToken ?? null;
+            return next(this.#withToken(request, token)).pipe(
+               catchError((error) => {
+                  if (error.status !== 401 || token === null) {
+                     return throwError(() => error);
+                  }
+                  // Another request already refreshed the token meanwhile
+                  if (this.#session?.accessToken && this.#session.accessToken !== token) {
+                     return next(this.#withToken(request, this.#session.accessToken));
+                  }
+                  if (!this.#session?.refreshToken) {
+                     return throwError(() => error);
+                  }
+                  return this.refresh().pipe(
+                     catchError(() => throwError(() => error)),
+                     switchMap((newToken) => next(this.#withToken(request, newToken)))
+                  );
+               })
+            );
+         };
+
+         // A failed refresh closed the session, the request then goes without token
+         return (ready$ === null) ? send() : ready$.pipe(
+            catchError(() => of(null)),
+            switchMap(() => send())
+         );
+      });
+   }
+
+   /**
+    * Tells if the user can see a route; if not, keeps the URL and gives the login route ('auth.loginRoute').
+    * Called by the routers for the routes declaring requiresAuth, which then redirect to the login route.
+    * @param {Object} routeDesc The route descriptor.
+    * @param {string} url The URL asked.
+    * @returns {boolean|string} True if the route can be displayed, otherwise the login route, or false if none.
+    */
+   canActivate(routeDesc, url) {
+      if (!routeDesc.requiresAuth || this.isAuthenticated) {
+         return true;
+      }
+
+      this.#returnUrl = url;
+      const loginRoute = this.#deps.config.getString('auth.loginRoute');
+      this.#log.info('Route ' + routeDesc.route + ' requires authentication' + (loginRoute ? ', going to ' + loginRoute : ''));
+      return loginRoute || false;
+   }
+
+   /**
+    * Returns the URL the user asked before being sent to the login route, then forgets it.
+    * @param {string|null} [defaultUrl=null] The URL to return if none was kept.
+    * @returns {string|null} The URL.
+    */
+   takeReturnUrl(defaultUrl = null) {
+      const url = this.#returnUrl ?? defaultUrl;
+      this.#returnUrl = null;
+      return url;
+   }
+
+   /**
+    * Returns the access token.
+    * @returns {string|null} The token, null if logged out.
+    */
+   getAccessToken() {
+      return this.#session?.accessToken ?? null;
+   }
+
+   /**
+    * Replaces the session, stores it and notifies the new user.
+    * @param {Object} session The session (see login()).
+    */
+   #setSession(session) {
+      this.#session = {
+         sessionId: session.sessionId ?? Core_AuthService.#newSessionId(),
+         accessToken: session.accessToken,
+         refreshToken: session.refreshToken ?? null,
+         expiresAt: session.expiresAt ?? ((session.expiresIn > 0) ? Date.now() + session.expiresIn * 1000 : null),
+         user: session.user ?? null
+      };
+      this.#writeSession(this.#session);
+      this.#partitionCache();
+      if (this.#currentUser$.value !== this.#session.user) {
+         this.#currentUser$.next(this.#session.user);
+      }
+   }
+
+   /**
+    * Forgets the session and notifies there is no user anymore.
+    */
+   #clearSession() {
+      this.#session = null;
+      this.#writeSession(null);
+      this.#partitionCache();
+      if (this.#currentUser$.value !== null) {
+         this.#currentUser$.next(null);
+      }
+   }
+
+   /**
+    * Keeps the responses cached by the ajax service for the current session only.
+    */
+   #partitionCache() {
+      this.#deps.ajax.setCachePartition(this.#session?.sessionId ?? null).catch((error) => {
+         this.#log.error('Could not clear the cached responses : ' + error.message);
+      });
+   }
+
+   /**
+    * Generates a unique id for a new session.
+    * @returns {string} The id.
+    */
+   static #newSessionId() {
+      if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+         return crypto.randomUUID();
+      }
+      return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+   }
+
+   /**
+    * Applies a message of another tab.
+    * @param {{type: string, session: Object|null}} message The message.
+    */
+   #onMessage(message) {
+      if (message?.type === 'logout') {
+         this.#clearSession();
+      } else if (message?.type === 'login' || message?.type === 'refresh') {
+         this.#setSession(message.session);
+      }
+   }
+
+   /**
+    * Tells the other tabs about a change of the session.
+    * @param {string} type 'login', 'logout' or 'refresh'.
+    */
+   #broadcast(type) {
+      this.#channel?.postMessage({ type: type, session: this.#session });
+   }
+
+   /**
+    * Adds the access token to a request.
+    * @param {Object} request The request.
+    * @param {string|null} token The access token.
+    * @returns {Object} The request to send.
+    */
+   #withToken(request, token) {
+      if (token === null) {
+         return request;
+      }
+
+      const scheme = this.#deps.config.getString('auth.scheme');
+      return {
+         ...request,
+         headers: { ...request.headers, [this.#deps.config.getString('auth.header')]: scheme ? scheme + ' ' + token : token }
+      };
+   }
+
+   /**
+    * Tells if the token must be sent to a URL: relative URLs, or absolute ones on an origin of 'auth.origins'.
+    * @param {string} url The URL.
+    * @returns {boolean} True if the token must be sent.
+    */
+   #appliesTo(url) {
+      if (!/^[a-z][a-z0-9+.-]*:|^\/\//i.test(url ?? '')) {
+         return true;
+      }
+      return this.#deps.config.getArray('auth.origins').some((origin) => url.startsWith(origin.replace(/\/$/, '') + '/'));
+   }
+
+   /**
+    * Tells if the access token is expired, or about to ('auth.expirySkew' ms before its expiry).
+    * @returns {boolean} True if expired.
+    */
+   #isExpired() {
+      const expiresAt = this.#session?.expiresAt ?? null;
+      return expiresAt !== null && Date.now() >= expiresAt - this.#deps.config.getNumber('auth.expirySkew');
+   }
+
+   /**
+    * Returns the storage of the session ('auth.storage'), null to keep it in memory only.
+    * @returns {Storage|null} The storage.
+    */
+   #storage() {
+      try {
+         switch (this.#deps.config.getString('auth.storage')) {
+            case 'local': return localStorage;
+            case 'session': return sessionStorage;
+            default: return null;
+         }
+      } catch (e) {
+         return null;
+      }
+   }
+
+   /**
+    * Reads the stored session.
+    * @returns {Object|null} The session, null if none.
+    */
+   #readSession() {
+      try {
+         return JSON.parse(this.#storage()?.getItem(Core_AuthService.storageKey) ?? 'null');
+      } catch (e) {
+         return null;
+      }
+   }
+
+   /**
+    * Stores the session, or removes it.
+    * @param {Object|null} session The session, null to remove it.
+    */
+   #writeSession(session) {
+      try {
+         if (session === null) {
+            this.#storage()?.removeItem(Core_AuthService.storageKey);
+         } else {
+            this.#storage()?.setItem(Core_AuthService.storageKey, JSON.stringify(session));
+         }
+      } catch (e) {
+         // No storage available, the session only lives in this page
+      }
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * Tells if a user is logged in.
+    * @returns {boolean} True if a session is open.
+    */
+   get isAuthenticated() {
+      return this.#session !== null;
+   }
+
+   /**
+    * Identifies the current session.
+    * @returns {string|null} The id, null if logged out.
+    */
+   get sessionId() {
+      return this.#session?.sessionId ?? null;
+   }
+
+   /**
+    * The logged user.
+    * @returns {Object|null} The user, null if logged out.
+    */
+   get user() {
+      return this.#session?.user ?? null;
+   }
+
+   /**
+    * The logged user, then each change (null once logged out).
+    * @returns {Observable<Object|null>} The user.
+    */
+   get currentUser$() {
+      return this.#currentUser$.asObservable();
+   }
+}
@@ -0,0 +1,189 @@
+import { isObservable, firstValueFrom } from 'rxjs';
+
+/**
+ * Ordered list of asynchronous tasks to run when the page starts.
+ * A task runs once all the tasks it depends on are done; among the tasks ready to run,
+ * the one with the highest priority goes first. Tasks are run one at a time.
+ *
+ * Usage:
+ *   pipeline.addTask('config', () => loadConfig(), { priority: 100 });
+ *   pipeline.addTask('lang', () => loadLabels(), { dependsOn: ['config'], timeout: 5000 });
+ *   const report = await pipeline.run();
+ */
+export class Core_BootstrapPipeline {
+
+   // All possible states of a task in the run report
+   static taskStatus = {
+      DONE: 'done',
+      FAILED: 'failed',
+      SKIPPED: 'skipped'
+   };
+
+   #tasks;     // All registered tasks (name -> task descriptor)
+   #running;   // The promise of the current run, null if not run yet
+
+   /**
+    * Constructs an empty pipeline.
+    */
+   constructor() {
+      this.#tasks = new Map();
+      this.#running = null;
+   }
+
+   /**
+    * Registers a new task or overwrites an existing one.
+    * @param {string} name The unique name of the task.
+    * @param {function(): (Promise|Observable|*)} fn The work to do. Observables are awaited up to their first value.
+    * @param {Object} [options={}] Task options.
+    * @param {number} [options.priority=0] Tasks with higher priorities run first when ready at the same time.
+    * @param {string[]} [options.dependsOn=[]] Names of the tasks to complete before this one.
+    * @param {number} [options.timeout=10000] Time in ms after which the task is considered failed (0 = none).
+    * @param {boolean} [options.optional=false] If true, a failure does not fail the whole pipeline.
+    */
+   addTask(name, fn, options = {}) {
+      if (this.#running !== null) {
+         throw new Error('Cannot add startup task [' + name + '] once the bootstrap pipeline is running');
+      }
+
+      this.#tasks.set(name, {
+         name: name,
+         fn: fn,
+         priority: options.priority ?? 0,
+         dependsOn: options.dependsOn ?? [],
+         timeout: options.timeout ?? 10000,
+         optional: options.optional ?? false
+      });
+   }
+
+   /**
+    * Removes a registered task.
+    * @param {string} name The name of the task.
+    */
+   removeTask(name) {
+      this.#tasks.delete(name);
+   }
+
+   /**
+    * Tells if a task is registered.
+    * @param {string} name The name of the task.
+    * @returns {boolean} True if registered.
+    */
+   hasTask(name) {
+      return this.#tasks.has(name);
+   }
+
+   /**
+    * Runs all tasks, once. Later calls return the promise of the first run.
+    * Tasks depending on a failed (or skipped) task are skipped.
+    * @returns {Promise<Object>} Resolves with the report { success, duration, tasks: [{ name, status, duration, error }] },
+    * success being false if a non optional task failed or was skipped.
+    */
+   run() {
+      if (this.#running === null) {
+         this.#running = this.#runAll();
+      }
+      return this.#running;
+   }
+
+   /**
+    * Runs all tasks in dependency then priority order.
+    * @returns {Promise<Object>} The report.
+    */
+   async #runAll() {
+      const start = performance.now();
+      const results = new Map();
+      const pending = new Map(this.#tasks);
+
+      while (pending.size > 0) {
+         // Tasks whose dependencies are all settled
+         const ready = Array.from(pending.values())
+            .filter((task) => task.dependsOn.every((dep) => results.has(dep) || !this.#tasks.has(dep)))
+            .sort((a, b) => b.priority - a.priority);
+
+         // Remaining tasks wait for each other
+         if (ready.length === 0) {
+            const names = Array.from(pending.keys());
+            pending.forEach((task) => {
+               results.set(task.name, this.#makeResult(task, Core_BootstrapPipeline.taskStatus.FAILED, 0,
+                  new Error('Startup task dependency cycle between [' + names.join(', ') + ']')));
+            });
+            break;
+         }
+
+         const task = ready[0];
+         pending.delete(task.name);
+
+         const missing = task.dependsOn.find((dep) => !this.#tasks.has(dep));
+         const failed = task.dependsOn.find((dep) => results.get(dep)?.status !== Core_BootstrapPipeline.taskStatus.DONE);
+
+         if (missing) {
+            results.set(task.name, this.#makeResult(task, Core_BootstrapPipeline.taskStatus.FAILED, 0,
+               new Error('Startup task [' + task.name + '] depends on unknown task [' + missing + ']')));
+         } else if (failed) {
+            results.set(task.name, this.#makeResult(task, Core_BootstrapPipeline.taskStatus.SKIPPED, 0,
+               new Error('Startup task [' + task.name + '] skipped because [' + failed + '] did not succeed')));
+         } else {
+            results.set(task.name, await this.#runTask(task));
+         }
+      }
+
+      const tasks = Array.from(results.values());
+      return {
+         success: tasks.every((result) => result.optional || result.status === Core_BootstrapPipeline.taskStatus.DONE),
+         duration: performance.now() - start,
+         tasks: tasks
+      };
+   }
+
+   /**
+    * Runs a single task, applying its timeout.
+    * @param {Object} task The task descriptor.
+    * @returns {Promise<Object>} The task result.
+    */
+   async #runTask(task) {
+      const start = performance.now();
+      let timer = null;
+
+      try {
+         let work = task.fn();
+         if (isObservable(work)) {
+            work = firstValueFrom(work);
+         }
+
+         const promises = [Promise.resolve(work)];
+         if (task.timeout > 0) {
+            promises.push(new Promise((resolve, reject) => {
+               timer = setTimeout(
+                  () => reject(new Error('Startup task [' + task.name + '] timed out after ' + task.timeout + 'ms')),
+                  task.timeout
+               );
+            }));
+         }
+         await Promise.race(promises);
+
+         return this.#makeResult(task, Core_BootstrapPipeline.taskStatus.DONE, performance.now() - start);
+      } catch (error) {
+         return this.#makeResult(task, Core_BootstrapPipeline.taskStatus.FAILED, performance.now() - start, error);
+      } finally {
+         clearTimeout(timer);
+      }
+   }
+
+   /**
+    * Builds the report entry of a task.
+    * @param {Object} task The task descriptor.
+    * @param {string} status The task status (see Core_BootstrapPipeline.taskStatus).
+    * @param {number} duration The run duration in ms.
+    * @param {Error|null} [error=null] The failure reason, if any.
+    * @returns {Object} The task result.
+    */
+   #makeResult(task, status, duration, error = null) {
+      return {
+         name: task.name,
+         status: status,
+         optional: task.optional,
+         duration: duration,
+         error: error
+      };
+   }
+}
@@ -0,0 +1,89 @@
+/**
+ * Records all method calls made on a service object.
+ * Mainly designed to spy on the fake services given to Core.createTestInstance().
+ *
+ * Usage:
+ *   const recorder = new Core_CallRecorder({ getJSON: () => of({ status: 'SUCCESS' }) });
+ *   recorder.proxy.getJSON('loadLang', { lang: 'fr' });
+ *   recorder.calls; // [{ method: 'getJSON', args: ['loadLang', { lang: 'fr' }], result: Observable }]
+ */
+export class Core_CallRecorder {
+   #target;    // The recorded object
+   #proxy;     // The object to hand to clients in place of the target
+   #calls;     // All calls made so far, in order
+
+   /**
+    * Constructs the recorder around a target object.
+    * @param {Object} target The object whose method calls must be recorded.
+    */
+   constructor(target) {
+      this.#target = target;
+      this.#calls = [];
+      this.#proxy = new Proxy(target, {
+         get: (obj, prop) => {
+            // Read with the target as receiver so that getters relying on private fields still work
+            const value = Reflect.get(obj, prop, obj);
+
+            if (typeof value !== 'function' || typeof prop === 'symbol') {
+               return value;
+            }
+
+            return (...args) => {
+               const call = { method: prop, args: args, result: undefined, error: undefined };
+               this.#calls.push(call);
+               try {
+                  call.result = value.apply(obj, args);
+               } catch (error) {
+                  call.error = error;
+                  throw error;
+               }
+               return call.result;
+            };
+         }
+      });
+   }
+
+   /**
+    * Returns the calls made on a given method.
+    * @param {string} method The method name.
+    * @returns {Array<Object>} The matching calls, in order.
+    */
+   callsTo(method) {
+      return this.#calls.filter((call) => call.method === method);
+   }
+
+   /**
+    * Forgets all recorded calls.
+    */
+   reset() {
+      this.#calls = [];
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * The recording object to use in place of the target.
+    * @returns {Proxy} The proxy.
+    */
+   get proxy() {
+      return this.#proxy;
+   }
+
+   /**
+    * The recorded object itself.
+    * @returns {Object} The target.
+    */
+   get target() {
+      return this.#target;
+   }
+
+   /**
+    * All calls made so far, in order. Each call is { method, args, result, error }.
+    * @returns {Array<Object>} The calls.
+    */
+   get calls() {
+      return this.#calls;
+   }
+}
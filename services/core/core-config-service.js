@@ -1,30 +1,581 @@
+import { Subject, map, startWith, distinctUntilChanged, firstValueFrom } from 'rxjs';
+import { Core_ServiceScope } from './core-service-scope';
+
 /**
  * Core Configuration Service
- * Provides basic configuration functionality for routing and other core features
+ * Provides one hierarchical configuration for routing and all other core features.
+ *
+ * The configuration is merged from several layers, each one overriding the previous ones:
+ * - defaults : built-in values, including all values of Core_DefaultService
+ * - file     : a JSON file fetched at startup, from the 'configUrl' key or <meta name="core-config" content="...">
+ * - page     : <meta name="core:cart.addItemAPI" content="..."> tags and JSON data-core-config attributes
+ *              on <html> and <body>
+ * - query    : URL query parameters prefixed with 'core.', e.g. ?core.log.level=4, restricted to the keys
+ *              allowed by 'queryKeys' (a crafted link must not redirect the configuration file, the tokens...)
+ * - runtime  : values set by the code through set()
+ *
+ * Named profiles (development/staging/production...) overlay the base configuration: the profile
+ * named by the 'environment' key is merged right above the file layer. Profiles are read from the
+ * 'profiles' key (e.g. { profiles: { production: { log: { level: 12 } } } }) or given through defineProfile().
+ *
+ * A declarative schema (see defineSchema()) gives types, required keys, enums and defaults;
+ * the whole configuration is validated at startup and all violations are reported at once.
+ *
+ * Usage:
+ *   $svc('config').get('cart.addItemAPI');
+ *   $svc('config').getNumber('paginator.nbValidEntries', 5);
+ *   $svc('config').watch('log.level').subscribe((level) => { ... });
  */
 export class Core_ConfigService {
-    
+
+    // All configuration layers, from the lowest to the highest precedence
+    static layers = {
+        DEFAULTS: 'defaults',
+        FILE: 'file',
+        PAGE: 'page',
+        QUERY: 'query',
+        RUNTIME: 'runtime'
+    };
+
+    // Built-in profile names
+    static profiles = {
+        DEVELOPMENT: 'development',
+        STAGING: 'staging',
+        PRODUCTION: 'production'
+    };
+
+    // Prefix of the URL query parameters read as configuration
+    static queryPrefix = 'core.';
+
+    // Services to be built before this one
+    static dependencies = ['default'];
+
     /**
-     * Configuration object
+     * Configuration layers (layer name -> values)
      * @private
      */
-    #config = {
-        baseUrl: '/',
-        routes: {},
-        environment: 'development'
-    };
-    
+    #layers;
+
+    /**
+     * Merged configuration, recomputed on each layer update
+     * @private
+     */
+    #config;
+
+    /**
+     * Notifies clients of each configuration update
+     * @private
+     */
+    #changes;
+
+    /**
+     * Declarative schema (dotted key -> rule)
+     * @private
+     */
+    #schema;
+
+    /**
+     * Profiles defined by the code (profile name -> values)
+     * @private
+     */
+    #profiles;
+
+    /**
+     * Messages logged before the end of init(), the log service depending on this one (null once logged)
+     * @private
+     */
+    #pendingLogs;
+
     constructor() {
+        this.#schema = {};
+        this.#profiles = new Map();
+        this.#pendingLogs = [];
+        this.#layers = new Map(Object.values(Core_ConfigService.layers).map((layer) => [layer, {}]));
+        this.#layers.set(Core_ConfigService.layers.DEFAULTS, this.getBuiltInDefaults());
+        this.#changes = new Subject();
+        this.defineSchema(this.getDefaultSchema());
+
         // Call environment detection - can be overridden by child classes
         this.detectEnvironment();
     }
 
+    /**
+     * Lifecycle hook: adds the default service values to the built-in defaults,
+     * then reads the page and URL query layers.
+     * @param {Object} deps - Injected services (see static dependencies)
+     */
+    init(deps) {
+        this.setLayer(Core_ConfigService.layers.DEFAULTS, this.#deepMerge(this.getBuiltInDefaults(), { ...deps.default }));
+        this.setLayer(Core_ConfigService.layers.PAGE, this.readPageConfig());
+        this.setLayer(Core_ConfigService.layers.QUERY, this.readQueryConfig());
+
+        // The log service can only be built once this one is
+        queueMicrotask(() => this.#flushLogs());
+    }
+
+    /**
+     * Lifecycle hook: completes the change notifications.
+     */
+    dispose() {
+        this.#changes.complete();
+    }
+
+    /**
+     * Built-in values of the keys owned by this service.
+     * Can be enriched in child classes.
+     * @returns {Object} The default values
+     */
+    getBuiltInDefaults() {
+        return {
+            baseUrl: '/',
+            routes: {},
+            environment: 'development',
+            configUrl: null,
+            queryKeys: ['log.level', 'log.categories']
+        };
+    }
+
+    /**
+     * Built-in schema of the keys used by the core features.
+     * Can be enriched in child classes.
+     * @returns {Object} The schema (see defineSchema())
+     */
+    getDefaultSchema() {
+        return {
+            'baseUrl': { type: 'string' },
+            'routes': { type: 'object' },
+            'environment': { type: 'string' },
+            'configUrl': { type: 'string', nullable: true },
+            'queryKeys': { type: 'array' },
+            'log.level': { type: 'integer' },
+            'log.transports': { type: 'object' },
+            'log.categories': { type: ['string', 'object'] },
+            'paginator.nbValidEntries': { type: 'integer' },
+            'lang.api': { type: 'string' },
+            'lang.globalContainer': { type: 'string' },
+            'lang.isActivated': { type: 'boolean' },
+            'cart.loadItemsAPI': { type: 'string' },
+            'cart.addItemAPI': { type: 'string' },
+            'cart.removeItemAPI': { type: 'string' },
+            'ajax.timeout': { type: 'integer' },
+            'ajax.loginUrl': { type: 'string', nullable: true },
+            'ajax.errorHandlers': { type: 'array' },
+            'ajax.retry': { type: 'object' },
+            'ajax.cache': { type: 'object' },
+            'ajax.cache.store': { type: 'string', enum: ['memory', 'indexedDB'] },
+            'ajax.cache.rules': { type: 'array' },
+            'ajax.offline': { type: 'object' },
+            'ajax.offline.enabled': { type: 'boolean' },
+            'ajax.offline.methods': { type: 'array' },
+            'ajax.offline.retryDelay': { type: 'integer' },
+            'ajax.upload.fieldName': { type: 'string' },
+            'ajax.upload.chunkSize': { type: 'integer' },
+            'ajax.mock': { type: 'object' },
+            'ajax.mock.enabled': { type: 'boolean' },
+            'ajax.mock.errorRate': { type: 'number' },
+            'ajax.mock.errorStatus': { type: 'integer' },
+            'ajax.mock.passthrough': { type: 'boolean' },
+            'ajax.mock.record': { type: 'boolean' },
+            'ajax.mock.routes': { type: 'array' },
+            'auth.storage': { type: 'string', enum: ['local', 'session', 'memory'] },
+            'auth.refreshUrl': { type: 'string', nullable: true },
+            'auth.loginRoute': { type: 'string', nullable: true },
+            'auth.header': { type: 'string' },
+            'auth.scheme': { type: 'string' },
+            'auth.origins': { type: 'array' },
+            'auth.expirySkew': { type: 'integer' },
+            'error.endpoint': { type: 'string', nullable: true },
+            'error.maxBreadcrumbs': { type: 'integer' },
+            'error.dedupeDelay': { type: 'integer' },
+            'error.maxStored': { type: 'integer' },
+            'error.breadcrumbLogLevel': { type: 'integer' },
+            'router.emptyURL': { type: 'string' },
+            'router.rootPath': { type: 'string' }
+        };
+    }
+
+    //---------------------
+    // SCHEMA & PROFILES --
+    //---------------------
+
+    /**
+     * Adds rules to the schema, overriding the rules already given for the same keys.
+     * A rule is { type, required, enum, default, nullable }:
+     * - type     : 'string', 'number', 'integer', 'boolean', 'array', 'object', 'any', or an array of them
+     * - required : the key must be set (and not null); pointless for keys which get a default value (from this rule,
+     *              getBuiltInDefaults() or Core_DefaultService), as they are always set
+     * - enum     : the list of accepted values
+     * - default  : the value used when no layer sets the key
+     * - nullable : null is accepted whatever the type
+     * @param {Object<string, Object>} schema - The rules by dotted key
+     */
+    defineSchema(schema) {
+        this.#schema = { ...this.#schema, ...schema };
+        this.#merge(Core_ConfigService.layers.DEFAULTS);
+    }
+
+    /**
+     * Returns the whole schema.
+     * @returns {Object<string, Object>} The rules by dotted key
+     */
+    getSchema() {
+        return this.#schema;
+    }
+
+    /**
+     * Validates the whole configuration against the schema.
+     * @returns {Array<{key: string, message: string}>} All violations, empty if the configuration is valid
+     */
+    validate() {
+        const violations = [];
+
+        Object.entries(this.#schema).forEach(([key, rule]) => {
+            const value = this.get(key);
+
+            if (value === undefined || value === null) {
+                if (rule.required) {
+                    violations.push({ key: key, message: 'is required' });
+                } else if (value === null && !rule.nullable && rule.type && rule.type !== 'any') {
+                    violations.push({ key: key, message: 'must not be null' });
+                }
+                return;
+            }
+
+            const types = Array.isArray(rule.type) ? rule.type : [rule.type ?? 'any'];
+            if (!types.some((type) => this.#checkType(value, type))) {
+                violations.push({ key: key, message: 'must be of type ' + types.join('|') + ', got ' + JSON.stringify(value) });
+            }
+
+            if (Array.isArray(rule.enum) && !rule.enum.includes(value)) {
+                violations.push({ key: key, message: 'must be one of [' + rule.enum.join(', ') + '], got ' + JSON.stringify(value) });
+            }
+        });
+
+        const profiles = this.getProfiles();
+        if (!profiles.includes(this.getProfile())) {
+            violations.push({ key: 'environment', message: 'must be a known profile [' + profiles.join(', ') + '], got ' + JSON.stringify(this.getProfile()) });
+        }
+
+        return violations;
+    }
+
+    /**
+     * Validates the whole configuration and reports all violations at once through the log service.
+     * Called at startup by the 'config' task of Core, after the configuration file is loaded.
+     * @throws {Error} If the configuration is invalid, with the list of violations as 'violations' property
+     */
+    assertValid() {
+        const violations = this.validate();
+
+        if (violations.length > 0) {
+            const lines = violations.map((violation) => '  - [' + violation.key + '] ' + violation.message);
+            this.#log('error', 'Invalid configuration (' + violations.length + ' violation(s)) :\n' + lines.join('\n'));
+
+            const error = new Error('Invalid configuration: ' + violations.map((violation) => violation.key).join(', '));
+            error.violations = violations;
+            throw error;
+        }
+    }
+
+    /**
+     * Defines a profile from the code, or overwrites it.
+     * Values of the 'profiles.<name>' key, if any, override the ones given here.
+     * @param {string} name - The profile name
+     * @param {Object} values - The values overlaying the base configuration when the profile is active
+     */
+    defineProfile(name, values) {
+        this.#profiles.set(name, values ?? {});
+        this.#merge(Core_ConfigService.layers.DEFAULTS);
+    }
+
+    /**
+     * Returns the names of all known profiles: built-in ones, defined by the code, and read from the 'profiles' key.
+     * @returns {string[]} The profile names
+     */
+    getProfiles() {
+        return Array.from(new Set([
+            ...Object.values(Core_ConfigService.profiles),
+            ...this.#profiles.keys(),
+            ...Object.keys(this.getObject('profiles'))
+        ]));
+    }
+
+    /**
+     * Returns the active profile, i.e. the current environment.
+     * @returns {string} The profile name
+     */
+    getProfile() {
+        return this.getEnvironment();
+    }
+
+    /**
+     * Activates a profile, i.e. sets the current environment.
+     * @param {string} name - The profile name
+     */
+    setProfile(name) {
+        this.setEnvironment(name);
+    }
+
+    //---------------------
+    // LAYERS MANAGEMENT --
+    //---------------------
+
+    /**
+     * Replaces the values of a whole layer.
+     * @param {string} layer - The layer name (see Core_ConfigService.layers)
+     * @param {Object} values - The new values of the layer
+     */
+    setLayer(layer, values) {
+        if (!this.#layers.has(layer)) {
+            this.#log('error', 'Unknown configuration layer [' + layer + '] in Core_ConfigService');
+        } else {
+            this.#layers.set(layer, values ?? {});
+            this.#merge(layer);
+        }
+    }
+
+    /**
+     * Returns the values of a single layer.
+     * @param {string} layer - The layer name (see Core_ConfigService.layers)
+     * @returns {Object} The layer values
+     */
+    getLayer(layer) {
+        return this.#layers.get(layer) ?? {};
+    }
+
+    /**
+     * Fetches the JSON configuration file into the file layer.
+     * The URL defaults to the 'configUrl' key, or to the content of <meta name="core-config">.
+     * Called at startup by the 'config' task of Core.
+     * @param {string|null} [url=null] - The URL of the file
+     * @returns {Promise<Object>} Resolves with the file values ({} if there is no file to load)
+     */
+    async loadFile(url = null) {
+        const fileUrl = url
+            ?? this.get('configUrl')
+            ?? document.querySelector('meta[name="core-config"]')?.getAttribute('content')
+            ?? null;
+
+        let values = {};
+        if (fileUrl) {
+            // No session can be known before the configuration
+            values = await firstValueFrom(this.#service('ajax').get(fileUrl, {}, { auth: false }));
+            this.setLayer(Core_ConfigService.layers.FILE, values);
+
+            // The file may allow other query keys
+            this.setLayer(Core_ConfigService.layers.QUERY, this.readQueryConfig());
+        }
+
+        return values;
+    }
+
+    /**
+     * Reads the page layer from <meta name="core:dotted.key" content="..."> tags
+     * and JSON data-core-config attributes of <html> and <body>.
+     * Can be overridden by child classes.
+     * @returns {Object} The page values
+     */
+    readPageConfig() {
+        let values = {};
+
+        [document.documentElement, document.body].forEach((elt) => {
+            const json = elt?.getAttribute('data-core-config');
+            if (json) {
+                try {
+                    values = this.#deepMerge(values, JSON.parse(json));
+                } catch (e) {
+                    this.#log('error', 'Invalid JSON in data-core-config attribute of <' + elt.tagName.toLowerCase() + '>');
+                }
+            }
+        });
+
+        document.querySelectorAll('meta[name^="core:"]').forEach((meta) => {
+            this.#setPath(values, meta.getAttribute('name').substring(5), this.#parseValue(meta.getAttribute('content')));
+        });
+
+        return values;
+    }
+
+    /**
+     * Reads the query layer from the URL query parameters starting with Core_ConfigService.queryPrefix.
+     * Only the keys listed in 'queryKeys' (or below them) are read, the others are ignored (and logged);
+     * 'queryKeys' itself can never be given through the URL.
+     * Can be overridden by child classes.
+     * @returns {Object} The query values
+     */
+    readQueryConfig() {
+        const values = {};
+        const prefix = Core_ConfigService.queryPrefix;
+        const allowedKeys = this.getArray('queryKeys').filter((key) => key !== 'queryKeys');
+
+        new URLSearchParams(window.location.search).forEach((value, name) => {
+            if (name.startsWith(prefix)) {
+                const key = name.substring(prefix.length);
+
+                if (allowedKeys.some((allowedKey) => key === allowedKey || key.startsWith(allowedKey + '.'))) {
+                    this.#setPath(values, key, this.#parseValue(value));
+                } else {
+                    this.#log('info', 'Ignoring URL parameter [' + name + '] : key not allowed by queryKeys');
+                }
+            }
+        });
+
+        return values;
+    }
+
+    //--------------
+    // ACCESSORS --
+    //--------------
+
+    /**
+     * Gets a value by its dotted key.
+     * @param {string} key - The dotted key (e.g., 'cart.addItemAPI')
+     * @param {*} [fallback=undefined] - The value returned if the key is not set
+     * @returns {*} The value
+     */
+    get(key, fallback = undefined) {
+        let value = this.#config;
+
+        for (const part of key.split('.')) {
+            if (value !== null && typeof value === 'object' && part in value) {
+                value = value[part];
+            } else {
+                return fallback;
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Tells if a dotted key is set.
+     * @param {string} key - The dotted key
+     * @returns {boolean} True if set
+     */
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    /**
+     * Sets a value in the runtime layer.
+     * @param {string} key - The dotted key
+     * @param {*} value - The value to set
+     */
+    set(key, value) {
+        const runtime = { ...this.getLayer(Core_ConfigService.layers.RUNTIME) };
+        this.#setPath(runtime, key, value);
+        this.setLayer(Core_ConfigService.layers.RUNTIME, runtime);
+    }
+
+    /**
+     * Gets a value as a string.
+     * @param {string} key - The dotted key
+     * @param {string} [fallback=''] - The value returned if the key is not set
+     * @returns {string} The value
+     */
+    getString(key, fallback = '') {
+        const value = this.get(key);
+        return (value === undefined || value === null) ? fallback : String(value);
+    }
+
+    /**
+     * Gets a value as a number.
+     * @param {string} key - The dotted key
+     * @param {number} [fallback=0] - The value returned if the key is not set or not numeric
+     * @returns {number} The value
+     */
+    getNumber(key, fallback = 0) {
+        const value = this.get(key);
+        const number = Number(value);
+        return (value === undefined || value === null || value === '' || Number.isNaN(number)) ? fallback : number;
+    }
+
+    /**
+     * Gets a value as a boolean. Strings 'true', '1', 'yes' and 'on' are true.
+     * @param {string} key - The dotted key
+     * @param {boolean} [fallback=false] - The value returned if the key is not set
+     * @returns {boolean} The value
+     */
+    getBoolean(key, fallback = false) {
+        const value = this.get(key);
+
+        if (value === undefined || value === null) {
+            return fallback;
+        }
+        if (typeof value === 'string') {
+            return ['true', '1', 'yes', 'on'].includes(value.toLowerCase());
+        }
+        return Boolean(value);
+    }
+
+    /**
+     * Gets a value as an array. Strings are split on commas.
+     * @param {string} key - The dotted key
+     * @param {Array} [fallback=[]] - The value returned if the key is not set
+     * @returns {Array} The value
+     */
+    getArray(key, fallback = []) {
+        const value = this.get(key);
+
+        if (Array.isArray(value)) {
+            return value;
+        }
+        if (typeof value === 'string') {
+            return value.split(',').map((item) => item.trim()).filter((item) => item !== '');
+        }
+        return fallback;
+    }
+
+    /**
+     * Gets a value as a plain object.
+     * @param {string} key - The dotted key
+     * @param {Object} [fallback={}] - The value returned if the key is not set or not an object
+     * @returns {Object} The value
+     */
+    getObject(key, fallback = {}) {
+        const value = this.get(key);
+        return this.#isPlainObject(value) ? value : fallback;
+    }
+
+    /**
+     * Returns the complete merged configuration.
+     * @returns {Object} The configuration
+     */
+    getAll() {
+        return this.#config;
+    }
+
+    /**
+     * For clients to know when the configuration is updated.
+     * @returns {Observable<Object>} Emits { layer, config } on each update
+     */
+    onChange() {
+        return this.#changes.asObservable();
+    }
+
+    /**
+     * Observes the value of a dotted key: emits the current value, then each new one.
+     * @param {string} key - The dotted key
+     * @returns {Observable<*>} The value stream
+     */
+    watch(key) {
+        return this.#changes.pipe(
+            startWith(null),
+            map(() => this.get(key)),
+            distinctUntilChanged((a, b) => JSON.stringify(a) === JSON.stringify(b))
+        );
+    }
+
+    //------------------------
+    // ROUTING & ENVIRONMENT --
+    //------------------------
+
     /**
      * Get the base URL for the application
      * @returns {string} The base URL
      */
     getBaseUrl() {
-        return this.#config.baseUrl;
+        return this.get('baseUrl');
     }
 
     /**
@@ -32,7 +583,7 @@ export class Core_ConfigService {
      * @param {string} baseUrl - The base URL to set
      */
     setBaseUrl(baseUrl) {
-        this.#config.baseUrl = baseUrl;
+        this.set('baseUrl', baseUrl);
     }
 
     /**
@@ -43,18 +594,18 @@ export class Core_ConfigService {
      */
     getRelativePath(pathname = null) {
         const fullPath = pathname || window.location.pathname;
-        const baseUrl = this.#config.baseUrl;
-        
+        const baseUrl = this.getBaseUrl();
+
         // If baseUrl is not yet initialized or is '/', return the path as is
         if (!baseUrl || baseUrl === '/') {
             return fullPath;
         }
-        
+
         // Remove baseUrl from the beginning of the path
         if (fullPath.startsWith(baseUrl)) {
             return fullPath.substring(baseUrl.length) || '/';
         }
-        
+
         // If baseUrl doesn't match, return the original path
         return fullPath;
     }
@@ -64,7 +615,7 @@ export class Core_ConfigService {
      * @returns {Object} The routes configuration
      */
     getRoutes() {
-        return this.#config.routes;
+        return this.getObject('routes');
     }
 
     /**
@@ -72,7 +623,7 @@ export class Core_ConfigService {
      * @param {Object} routes - The routes to set
      */
     setRoutes(routes) {
-        this.#config.routes = routes;
+        this.set('routes', routes);
     }
 
     /**
@@ -81,17 +632,17 @@ export class Core_ConfigService {
      * @returns {string} The relative route URL
      */
     getRoute(routeName) {
-        const fullRoute = this.#config.routes[routeName];
+        const fullRoute = this.getRoutes()[routeName];
         if (!fullRoute) {
             return '';
         }
-        
+
         // If the route starts with the baseUrl, return the relative path
-        const baseUrl = this.#config.baseUrl;
+        const baseUrl = this.getBaseUrl();
         if (baseUrl !== '/' && fullRoute.startsWith(baseUrl)) {
             return fullRoute.substring(baseUrl.length) || '/';
         }
-        
+
         // Otherwise return the route as is
         return fullRoute;
     }
@@ -102,7 +653,7 @@ export class Core_ConfigService {
      * @returns {string} The full route URL
      */
     getFullRoute(routeName) {
-        return this.#config.routes[routeName] || '';
+        return this.getRoutes()[routeName] || '';
     }
 
     /**
@@ -111,15 +662,15 @@ export class Core_ConfigService {
      * @param {string} routeUrl - The route URL
      */
     setRoute(routeName, routeUrl) {
-        this.#config.routes[routeName] = routeUrl;
+        this.setRoutes({ ...this.getRoutes(), [routeName]: routeUrl });
     }
 
     /**
-     * Get the current environment
-     * @returns {string} The environment (development/production)
+     * Get the current environment, which is also the active profile
+     * @returns {string} The environment (development/staging/production)
      */
     getEnvironment() {
-        return this.#config.environment;
+        return this.get('environment');
     }
 
     /**
@@ -127,7 +678,7 @@ export class Core_ConfigService {
      * @param {string} environment - The environment to set
      */
     setEnvironment(environment) {
-        this.#config.environment = environment;
+        this.set('environment', environment);
     }
 
     /**
@@ -135,7 +686,15 @@ export class Core_ConfigService {
      * @returns {boolean} True if development
      */
     isDevelopment() {
-        return this.#config.environment === 'development';
+        return this.getEnvironment() === Core_ConfigService.profiles.DEVELOPMENT;
+    }
+
+    /**
+     * Check if running in staging mode
+     * @returns {boolean} True if staging
+     */
+    isStaging() {
+        return this.getEnvironment() === Core_ConfigService.profiles.STAGING;
     }
 
     /**
@@ -143,7 +702,7 @@ export class Core_ConfigService {
      * @returns {boolean} True if production
      */
     isProduction() {
-        return this.#config.environment === 'production';
+        return this.getEnvironment() === Core_ConfigService.profiles.PRODUCTION;
     }
 
     /**
@@ -155,4 +714,164 @@ export class Core_ConfigService {
         // Default implementation - does nothing
         // Child classes can override this method to detect their specific environment
     }
+
+    //------------
+    // INTERNALS --
+    //------------
+
+    /**
+     * Retrieves a service on first use, from the scope which built this service (from the Core singleton otherwise).
+     * @param {string} svcName - The name of the service
+     * @returns {*} The service instance
+     */
+    #service(svcName) {
+        const scope = Core_ServiceScope.forService(this);
+        return (scope !== null) ? scope.getService(svcName) : $svc(svcName);
+    }
+
+    /**
+     * Logs a message in the 'config' category, or keeps it until the end of init() (see #flushLogs()).
+     * @param {string} level - 'error' or 'info'
+     * @param {string} message - The message
+     */
+    #log(level, message) {
+        if (this.#pendingLogs !== null) {
+            this.#pendingLogs.push({ level: level, message: message });
+        } else {
+            this.#service('log')?.getLogger('config')[level](message);
+        }
+    }
+
+    /**
+     * Logs the messages kept while the service was being built.
+     */
+    #flushLogs() {
+        const pendingLogs = this.#pendingLogs ?? [];
+
+        this.#pendingLogs = null;
+        pendingLogs.forEach((pending) => this.#log(pending.level, pending.message));
+    }
+
+    /**
+     * Recomputes the merged configuration from the schema defaults and all layers, and notifies clients.
+     * The active profile is inserted right above the file layer.
+     * @param {string|null} [layer=null] - The updated layer
+     */
+    #merge(layer = null) {
+        let schemaDefaults = {};
+        Object.entries(this.#schema).forEach(([key, rule]) => {
+            if (rule.default !== undefined) {
+                this.#setPath(schemaDefaults, key, rule.default);
+            }
+        });
+
+        const mergeLayers = (profileValues) => {
+            let config = schemaDefaults;
+            this.#layers.forEach((values, name) => {
+                config = this.#deepMerge(config, values);
+                if (name === Core_ConfigService.layers.FILE) {
+                    config = this.#deepMerge(config, profileValues);
+                }
+            });
+            return config;
+        };
+
+        // First merge to know the active profile, then merge again with its values
+        const base = mergeLayers({});
+        const profileName = base.environment;
+        const profile = this.#deepMerge(this.#profiles.get(profileName) ?? {}, base.profiles?.[profileName] ?? {});
+        delete profile.environment;
+
+        this.#config = mergeLayers(profile);
+
+        if (layer !== null) {
+            this.#changes.next({ layer: layer, config: this.#config });
+        }
+    }
+
+    /**
+     * Tells if a value matches a schema type.
+     * @param {*} value - The value to test
+     * @param {string} type - The schema type
+     * @returns {boolean} True if the value matches
+     */
+    #checkType(value, type) {
+        switch (type) {
+            case 'any':
+                return true;
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && !Number.isNaN(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return this.#isPlainObject(value);
+            default:
+                return typeof value === type;
+        }
+    }
+
+    /**
+     * Merges source into a copy of target. Plain objects are merged recursively, other values replaced.
+     * @param {Object} target - The base values
+     * @param {Object} source - The overriding values
+     * @returns {Object} The merged values
+     */
+    #deepMerge(target, source) {
+        const result = { ...target };
+
+        Object.entries(source ?? {}).forEach(([key, value]) => {
+            result[key] = (this.#isPlainObject(value) && this.#isPlainObject(result[key]))
+                ? this.#deepMerge(result[key], value)
+                : value;
+        });
+
+        return result;
+    }
+
+    /**
+     * Sets a value in an object by its dotted key, creating intermediate objects when needed.
+     * @param {Object} obj - The object to update
+     * @param {string} key - The dotted key
+     * @param {*} value - The value
+     */
+    #setPath(obj, key, value) {
+        const parts = key.split('.');
+        const last = parts.pop();
+        let current = obj;
+
+        parts.forEach((part) => {
+            current[part] = this.#isPlainObject(current[part]) ? { ...current[part] } : {};
+            current = current[part];
+        });
+
+        current[last] = value;
+    }
+
+    /**
+     * Converts a string read from the page or the URL: JSON literals are parsed, other strings kept as is.
+     * @param {string} value - The raw value
+     * @returns {*} The converted value
+     */
+    #parseValue(value) {
+        if (/^(true|false|null|-?\d+(\.\d+)?|\{.*\}|\[.*\])$/s.test(value ?? '')) {
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Tells if a value is a plain object (not an array, a Map or a class instance).
+     * @param {*} value - The value to test
+     * @returns {boolean} True if plain object
+     */
+    #isPlainObject(value) {
+        return value !== null && typeof value === 'object'
+            && (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+    }
 }
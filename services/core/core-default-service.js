@@ -1,5 +1,10 @@
 import { Core_LogService } from "./core-log-service";
 
+/**
+ * Built-in default values of all core features.
+ * These values are the lowest layer of Core_ConfigService: read them through $svc('config').get('cart.addItemAPI')
+ * so that the configuration file, the page and the URL can override them.
+ */
 export class Core_DefaultService {
    constructor() {
       this.log = {
@@ -18,6 +23,64 @@ export class Core_DefaultService {
          addItemAPI: 'CART/addItem',
          removeItemAPI: 'CART/removeItem'
       };
+      this.ajax = {
+         timeout: 30000,
+         loginUrl: null,
+         errorHandlers: ['log', 'redirect', 'notify'],
+         retry: {
+            count: 2,
+            delay: 500,
+            factor: 2,
+            maxDelay: 10000,
+            jitter: 0.5,
+            statuses: [408, 429, 500, 502, 503, 504],
+            methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+            networkErrors: true,
+            timeouts: true
+         },
+         cache: {
+            store: 'memory',
+            dbName: 'core-cache',
+            ttl: 60000,
+            staleWhileRevalidate: false,
+            rules: []
+         },
+         offline: {
+            enabled: false,
+            dbName: 'core-offline',
+            methods: ['PUT', 'PATCH', 'DELETE'],
+            retryDelay: 30000
+         },
+         upload: {
+            fieldName: 'file',
+            chunkSize: 5 * 1024 * 1024
+         },
+         mock: {
+            enabled: false,
+            latency: 0,
+            errorRate: 0,
+            errorStatus: 500,
+            passthrough: false,
+            record: false,
+            routes: []
+         }
+      };
+      this.auth = {
+         storage: 'local',
+         refreshUrl: null,
+         loginRoute: null,
+         header: 'Authorization',
+         scheme: 'Bearer',
+         origins: [],
+         expirySkew: 30000
+      };
+      this.error = {
+         endpoint: null,
+         maxBreadcrumbs: 50,
+         dedupeDelay: 60000,
+         maxStored: 20,
+         breadcrumbLogLevel: Core_LogService.levels.INFO | Core_LogService.levels.ERROR | Core_LogService.levels.FATAL
+      };
       this.router = {
          emptyURL: 'home',
          rootPath: 'http://localhost/'
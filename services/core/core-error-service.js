@@ -0,0 +1,323 @@
+import { Subject, config as rxjsConfig } from 'rxjs';
+import { Core_BreadcrumbTransport } from '../../lib/log/transports/core-breadcrumb-transport';
+
+/**
+ * Captures all errors that would otherwise vanish: uncaught exceptions, unhandled promise rejections
+ * and errors thrown in RxJS subscriptions without error callback.
+ * Each error becomes a report carrying the last breadcrumbs (route changes, ajax calls, log lines).
+ * Identical errors are grouped by fingerprint, then reports are sent to the configured endpoint ('error.endpoint'),
+ * or kept in localStorage when no endpoint is set or when sending fails.
+ * Reports go through fetch() rather than the ajax service, which itself reports its errors here; the URL of the page
+ * is reported without its query string and hash, which may carry tokens or personal data.
+ *
+ * Usage:
+ *   $svc('error').captureError(err, { source: 'cart', action: 'load' });
+ *   $svc('error').addBreadcrumb('custom', 'Filter reset by user');
+ *   $svc('error').onReport().subscribe((report) => showNotif(report.message));
+ */
+export class Core_ErrorService {
+
+   // Types of breadcrumbs left by the core features
+   static breadcrumbTypes = {
+      NAVIGATION: 'navigation',
+      AJAX: 'ajax',
+      LOG: 'log',
+      CUSTOM: 'custom'
+   };
+
+   // localStorage key keeping the reports that could not be sent
+   static storageKey = 'core.errors';
+
+   // Services to be built before this one
+   static dependencies = ['config', 'log'];
+
+   #deps;               // Injected services
+   #log;                // Logger of the 'error' category
+   #breadcrumbs;        // Last breadcrumbs, the oldest first
+   #reports;            // Reports of the errors captured so far (fingerprint -> report)
+   #reported;           // Subject notifying each report sent
+   #listeners;          // DOM listeners, kept to be removed on dispose ([{ target, type, fn }])
+   #previousRxjsHandler;// RxJS unhandled error handler in place before this service
+   #capturing;          // True while capturing, to ignore the errors raised by the capture itself
+
+   /**
+    * Constructs the error service.
+    */
+   constructor() {
+      this.#breadcrumbs = [];
+      this.#reports = new Map();
+      this.#reported = new Subject();
+      this.#listeners = [];
+      this.#capturing = false;
+   }
+
+   /**
+    * Lifecycle hook: hooks the global error handlers and starts collecting breadcrumbs.
+    * @param {Object} deps Injected services (see static dependencies).
+    */
+   init(deps) {
+      this.#deps = deps;
+      this.#log = deps.log.getLogger('error');
+
+      this.#listen(window, 'error', (event) => {
+         this.captureError(event.error ?? event.message, {
+            source: 'window',
+            filename: event.filename,
+            line: event.lineno,
+            column: event.colno
+         });
+      });
+      this.#listen(window, 'unhandledrejection', (event) => {
+         this.captureError(event.reason, { source: 'promise' });
+      });
+      this.#listen(document, 'routeChanged', (event) => {
+         this.addBreadcrumb(Core_ErrorService.breadcrumbTypes.NAVIGATION, event.detail?.url ?? Core_ErrorService.#pageUrl(), {
+            route: event.detail?.route ?? null
+         });
+      });
+
+      this.#previousRxjsHandler = rxjsConfig.onUnhandledError;
+      rxjsConfig.onUnhandledError = (error) => this.captureError(error, { source: 'rxjs' });
+
+      deps.log.addTransport('breadcrumbs', new Core_BreadcrumbTransport({
+         errorService: this,
+         level: deps.config.getNumber('error.breadcrumbLogLevel')
+      }));
+   }
+
+   /**
+    * Lifecycle hook: unhooks the global error handlers.
+    */
+   dispose() {
+      this.#listeners.forEach(({ target, type, fn }) => target.removeEventListener(type, fn));
+      this.#listeners = [];
+
+      rxjsConfig.onUnhandledError = this.#previousRxjsHandler;
+      this.#deps.log.removeTransport('breadcrumbs');
+      this.#reported.complete();
+   }
+
+   /**
+    * Leaves a breadcrumb, attached to the next error reports.
+    * Only the last breadcrumbs are kept ('error.maxBreadcrumbs').
+    * @param {string} type The breadcrumb type (see Core_ErrorService.breadcrumbTypes).
+    * @param {string} message What happened.
+    * @param {Object|null} [data=null] Any data describing what happened.
+    */
+   addBreadcrumb(type, message, data = null) {
+      this.#breadcrumbs.push({
+         type: type,
+         message: message,
+         data: data,
+         timestamp: new Date().toISOString()
+      });
+
+      const max = this.#deps.config.getNumber('error.maxBreadcrumbs');
+      if (this.#breadcrumbs.length > max) {
+         this.#breadcrumbs.splice(0, this.#breadcrumbs.length - max);
+      }
+   }
+
+   /**
+    * Returns the breadcrumbs kept, the oldest first.
+    * @returns {Array<Object>} The breadcrumbs ({ type, message, data, timestamp }).
+    */
+   getBreadcrumbs() {
+      return [...this.#breadcrumbs];
+   }
+
+   /**
+    * Forgets all breadcrumbs.
+    */
+   clearBreadcrumbs() {
+      this.#breadcrumbs = [];
+   }
+
+   /**
+    * Captures an error: builds its report, logs it and sends it.
+    * An error with the same fingerprint as one captured less than 'error.dedupeDelay' ms ago
+    * only increments the count of the first report and is not sent again.
+    * @param {*} error The error (Error, message, rejection reason, ajax error...).
+    * @param {Object} [context={}] Where the error comes from (source, action...).
+    * @returns {Object|null} The report, null if the error was raised while capturing another one.
+    */
+   captureError(error, context = {}) {
+      if (this.#capturing) {
+         return null;
+      }
+
+      this.#capturing = true;
+      try {
+         const now = Date.now();
+         const normalized = this.#normalize(error);
+         const fingerprint = this.#fingerprint(normalized);
+         let report = this.#reports.get(fingerprint);
+
+         if (report && (now - report.lastSeen) < this.#deps.config.getNumber('error.dedupeDelay')) {
+            report.count++;
+            report.lastSeen = now;
+            return report;
+         }
+
+         report = {
+            fingerprint: fingerprint,
+            ...normalized,
+            context: context,
+            count: (report?.count ?? 0) + 1,
+            firstSeen: report?.firstSeen ?? now,
+            lastSeen: now,
+            url: Core_ErrorService.#pageUrl(),
+            userAgent: navigator.userAgent,
+            breadcrumbs: this.getBreadcrumbs()
+         };
+         this.#reports.set(fingerprint, report);
+
+         this.#log.error(normalized.name + ' : ' + normalized.message, { fingerprint: fingerprint, ...context });
+         this.sendReport(report);
+         this.#reported.next(report);
+
+         return report;
+      } finally {
+         this.#capturing = false;
+      }
+   }
+
+   /**
+    * Sends a report to the configured endpoint ('error.endpoint'), or keeps it in localStorage
+    * if no endpoint is set or if sending fails.
+    * The report is POSTed as JSON ({ report }) with fetch(), kept alive if the page is unloaded meanwhile,
+    * or with navigator.sendBeacon() where fetch() is not available.
+    * Can be overridden in child classes to use another reporting backend.
+    * @param {Object} report The report.
+    */
+   sendReport(report) {
+      const endpoint = this.#deps.config.getString('error.endpoint');
+      const body = JSON.stringify({ report: report });
+
+      if (!endpoint) {
+         this.storeReport(report);
+      } else if (typeof fetch === 'function') {
+         fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: body, keepalive: true })
+            .then((response) => {
+               if (!response.ok) {
+                  this.storeReport(report);
+               }
+            })
+            .catch(() => this.storeReport(report));
+      } else if (!navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'application/json' }))) {
+         this.storeReport(report);
+      }
+   }
+
+   /**
+    * Keeps a report in localStorage, dropping the oldest ones beyond 'error.maxStored'.
+    * @param {Object} report The report.
+    */
+   storeReport(report) {
+      try {
+         const reports = [...this.getStoredReports(), report];
+         const max = this.#deps.config.getNumber('error.maxStored');
+         localStorage.setItem(Core_ErrorService.storageKey, JSON.stringify(reports.slice(Math.max(0, reports.length - max))));
+      } catch (e) {
+         // No storage available (or full), the report was logged anyway
+      }
+   }
+
+   /**
+    * Returns the reports kept in localStorage, the oldest first.
+    * @returns {Array<Object>} The reports.
+    */
+   getStoredReports() {
+      try {
+         return JSON.parse(localStorage.getItem(Core_ErrorService.storageKey) ?? '[]');
+      } catch (e) {
+         return [];
+      }
+   }
+
+   /**
+    * Removes the reports kept in localStorage.
+    */
+   clearStoredReports() {
+      try {
+         localStorage.removeItem(Core_ErrorService.storageKey);
+      } catch (e) {
+         // No storage available, nothing kept
+      }
+   }
+
+   /**
+    * Returns the reports of the errors captured since the page was loaded.
+    * @returns {Array<Object>} The reports.
+    */
+   getReports() {
+      return Array.from(this.#reports.values());
+   }
+
+   /**
+    * Returns an observable emitting each report sent (duplicates within 'error.dedupeDelay' are not emitted).
+    * @returns {Observable<Object>} The reports.
+    */
+   onReport() {
+      return this.#reported.asObservable();
+   }
+
+   /**
+    * Returns the URL of the page, without its query string and hash.
+    * @returns {string} The URL.
+    */
+   static #pageUrl() {
+      return location.origin + location.pathname;
+   }
+
+   /**
+    * Adds a DOM listener, kept to be removed on dispose.
+    * @param {EventTarget} target The listened object.
+    * @param {string} type The event type.
+    * @param {function(Event)} fn The listener.
+    */
+   #listen(target, type, fn) {
+      target.addEventListener(type, fn);
+      this.#listeners.push({ target: target, type: type, fn: fn });
+   }
+
+   /**
+    * Extracts the name, message and stack of anything thrown.
+    * @param {*} error The error.
+    * @returns {{name: string, message: string, stack: string|null}} The normalized error.
+    */
+   #normalize(error) {
+      if (error instanceof Error) {
+         return { name: error.name, message: error.message, stack: error.stack ?? null };
+      }
+      if (error !== null && typeof error === 'object') {
+         let message = error.message;
+         if (message === undefined) {
+            try {
+               message = JSON.stringify(error);
+            } catch (e) {
+               message = String(error);
+            }
+         }
+         return { name: error.name ?? 'Error', message: message, stack: error.stack ?? null };
+      }
+      return { name: 'Error', message: String(error), stack: null };
+   }
+
+   /**
+    * Computes the fingerprint of an error: a hash of its name, message and first stack frame.
+    * @param {Object} normalized The normalized error.
+    * @returns {string} The fingerprint.
+    */
+   #fingerprint(normalized) {
+      const frame = (normalized.stack ?? '').split('\n').find((line) => line.trim().startsWith('at ')) ?? '';
+      const key = normalized.name + '|' + normalized.message + '|' + frame.trim();
+
+      // djb2 string hash
+      let hash = 5381;
+      for (let i = 0; i < key.length; i++) {
+         hash = ((hash << 5) + hash + key.charCodeAt(i)) | 0;
+      }
+      return (hash >>> 0).toString(16);
+   }
+}
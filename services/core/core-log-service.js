@@ -1,5 +1,21 @@
+import { Core_ConsoleTransport } from "../../lib/log/transports/core-console-transport";
+import { Core_MemoryTransport } from "../../lib/log/transports/core-memory-transport";
+import { Core_HttpTransport } from "../../lib/log/transports/core-http-transport";
+import { Core_StorageTransport } from "../../lib/log/transports/core-storage-transport";
+import { Core_Logger } from "../../lib/log/core-logger";
+import { Core_Span } from "../../lib/log/core-span";
+import { Core_ServiceScope } from "./core-service-scope";
+
 // Core_LogService: Centralized logging utility for the application
+// Each message becomes a structured record (see Core_LogTransport) written to all registered transports
 export class Core_LogService {
+   #configSub;    // Follows the global and category levels set in the configuration
+   #transports;   // All destinations of the log records (name -> Core_LogTransport)
+   #loggers;      // Named loggers already created (category -> Core_Logger)
+   #categoryLevels;  // Levels set by category pattern ([{ pattern, regExp, level }]), most specific first
+   #activeSpans;  // Spans currently running, the innermost last
+   #spans;        // Ended spans, the oldest first (see Core_LogService.maxSpans)
+   #disposed;     // True once dispose() is called
 
    // All log levels accepted (bitmask values)
    static levels = {
@@ -12,23 +28,97 @@ export class Core_LogService {
       ALL: 31            // All log levels
    };
 
+   // Level names accepted in category levels, each one enabling its level and all the more severe ones
+   static thresholds = {
+      NONE: 0,
+      FATAL: 8,
+      ERROR: 12,
+      INFO: 13,
+      DEBUG: 31,
+      ALL: 31
+   };
+
+   // localStorage key keeping the category levels set from the browser console
+   static categoryLevelsStorageKey = 'core.log.categories';
+
+   // Number of ended spans kept for the trace report
+   static maxSpans = 1000;
+
+   // Services to be built before this one
+   static dependencies = ['config'];
+
    // Human-readable string for each log level
    static levelString = {
       "1": "INFO",
       "2": "DEBUG",
       "4": "ERROR",
       "8": "FATAL",
-      "16": "TIMESTAMP"
+      "16": "TIMESTAMP",
+      "8192": "ALWAYS"
    }
 
+   // Transport classes that can be declared in the configuration ('log.transports')
+   static transportTypes = {
+      console: Core_ConsoleTransport,
+      memory: Core_MemoryTransport,
+      http: Core_HttpTransport,
+      storage: Core_StorageTransport
+   };
+
    /**
-    * Constructor: Sets the default log level and output function.
-    * The log level is initialized from the default service and always includes ALWAYS.
+    * Constructor: Sets the default log level and the console transport.
+    * All levels are enabled until init() applies the configured one.
     * Output defaults to console.log.
     */
    constructor() {
-      this.level = $svc('default').log.level | Core_LogService.levels.ALWAYS;
-      this.output = console.log; // Default output is console.log
+      this.level = Core_LogService.levels.ALL | Core_LogService.levels.ALWAYS;
+      this.#transports = new Map();
+      this.#loggers = new Map();
+      this.#categoryLevels = [];
+      this.#activeSpans = [];
+      this.#spans = [];
+      this.#disposed = false;
+      this.addTransport('console', new Core_ConsoleTransport());
+   }
+
+   /**
+    * Lifecycle hook: follows the log level set in the configuration ('log.level'),
+    * and creates the transports declared in the configuration ('log.transports'), e.g.
+    * { memory: { capacity: 500 }, errors: { type: 'http', url: 'LOG/push', level: 12 } }.
+    * The type of a transport defaults to its name, see Core_LogService.transportTypes.
+    * Transports are given the ajax service of the scope as params.ajax, a function (see #ajaxService()).
+    * Category levels are read from the configuration ('log.categories', see setCategoryLevels()),
+    * then from the ones persisted from the browser console.
+    * @param {Object} deps - Injected services (see static dependencies)
+    */
+   init(deps) {
+      this.#configSub = deps.config.watch('log.level').subscribe(() => {
+         this.setLevel(deps.config.getNumber('log.level', Core_LogService.levels.ALL));
+      });
+      this.#configSub.add(deps.config.watch('log.categories').subscribe((categories) => {
+         this.#applyCategoryLevels(categories ?? {});
+      }));
+
+      Object.entries(deps.config.getObject('log.transports')).forEach(([name, params]) => {
+         const transportClass = Core_LogService.transportTypes[params.type ?? name];
+
+         if (!transportClass) {
+            this.error('Unknown log transport type [' + (params.type ?? name) + ']');
+         } else {
+            this.addTransport(name, new transportClass({ ...params, ajax: () => this.#ajaxService() }));
+         }
+      });
+   }
+
+   /**
+    * Lifecycle hook: stops following the configuration and releases all transports.
+    */
+   dispose() {
+      this.#disposed = true;
+      this.#configSub?.unsubscribe();
+      Array.from(this.#transports.keys()).forEach((name) => this.removeTransport(name));
+      this.#activeSpans = [];
+      this.#spans = [];
    }
 
    /**
@@ -40,61 +130,231 @@ export class Core_LogService {
    }
 
    /**
-    * Set a custom output function for logs.
+    * Returns a named logger, whose messages are logged under the given category.
+    * @param {string} category - Dotted category (e.g. 'data.browserSource')
+    * @returns {Core_Logger} The logger
+    */
+   getLogger(category) {
+      if (!this.#loggers.has(category)) {
+         this.#loggers.set(category, new Core_Logger(this, category));
+      }
+      return this.#loggers.get(category);
+   }
+
+   /**
+    * Replaces the configured category levels. Can be called from the browser console, e.g.
+    * $svc('log').setCategoryLevels('data.*=DEBUG, router=ERROR', true)
+    * Patterns may use * as wildcard; for a given category, the most specific pattern wins
+    * (exact name first, then the longest pattern). Levels are names (see Core_LogService.thresholds)
+    * or bitmask values (see Core_LogService.levels).
+    * @param {string|Object} spec - 'pattern=LEVEL, ...' or { pattern: level }
+    * @param {boolean} [persist=false] - If true, the levels are kept in localStorage and survive page reloads
+    */
+   setCategoryLevels(spec, persist = false) {
+      this.#categoryLevels = [];
+      this.#addCategoryLevels(spec);
+
+      if (persist) {
+         try {
+            const saved = Object.fromEntries(this.#categoryLevels.map((entry) => [entry.pattern, entry.level]));
+            localStorage.setItem(Core_LogService.categoryLevelsStorageKey, JSON.stringify(saved));
+         } catch (e) {
+            this.error('Could not persist log category levels');
+         }
+      }
+   }
+
+   /**
+    * Sets the level of a single category pattern, keeping the others.
+    * @param {string} pattern - Category pattern, may use * as wildcard
+    * @param {string|number} level - Level name or bitmask value
+    */
+   setCategoryLevel(pattern, level) {
+      this.#addCategoryLevels({ [pattern]: level });
+   }
+
+   /**
+    * Removes all category levels, including the persisted ones: all categories follow the global level again.
+    */
+   clearCategoryLevels() {
+      this.#categoryLevels = [];
+      try {
+         localStorage.removeItem(Core_LogService.categoryLevelsStorageKey);
+      } catch (e) {
+         // No storage available, nothing persisted
+      }
+   }
+
+   /**
+    * Returns the category levels currently applied, from the most to the least specific.
+    * @returns {Array<{pattern: string, level: number}>} The category levels
+    */
+   getCategoryLevels() {
+      return this.#categoryLevels.map((entry) => ({ pattern: entry.pattern, level: entry.level }));
+   }
+
+   /**
+    * Computes the level bitmask applied to a category.
+    * @param {string|null} category - Dotted category, null for messages without category
+    * @returns {number} The level bitmask (always including ALWAYS)
+    */
+   getLevelFor(category) {
+      if (category) {
+         const entry = this.#categoryLevels.find((candidate) => candidate.regExp.test(category));
+         if (entry) {
+            return entry.level | Core_LogService.levels.ALWAYS;
+         }
+      }
+      return this.level;
+   }
+
+   /**
+    * Set a custom output function for the console transport.
     * @param {function} fn - Output function (signature: (msg, ...args) => void)
     */
    setOutput(fn) {
-      this.output = typeof fn === 'function' ? fn : console.log;
+      const consoleTransport = this.getTransport('console');
+
+      if (consoleTransport) {
+         consoleTransport.output = fn;
+      } else {
+         this.addTransport('console', new Core_ConsoleTransport({ output: fn }));
+      }
+   }
+
+   /**
+    * Registers a transport, or replaces (and disposes) the one with the same name.
+    * @param {string} name - The transport name
+    * @param {Core_LogTransport} transport - The transport
+    */
+   addTransport(name, transport) {
+      this.removeTransport(name);
+      this.#transports.set(name, transport);
+   }
+
+   /**
+    * Removes and disposes a transport.
+    * @param {string} name - The transport name
+    */
+   removeTransport(name) {
+      const transport = this.#transports.get(name);
+
+      if (transport) {
+         this.#transports.delete(name);
+         transport.dispose();
+      }
+   }
+
+   /**
+    * Returns a registered transport.
+    * @param {string} name - The transport name
+    * @returns {Core_LogTransport|null} The transport, null if not registered
+    */
+   getTransport(name) {
+      return this.#transports.get(name) ?? null;
+   }
+
+   /**
+    * Asks all transports to send or persist their pending records.
+    */
+   flush() {
+      this.#transports.forEach((transport) => transport.flush());
    }
 
    /**
     * Generic method to log a message if the log level is enabled.
-    * Adds an ISO timestamp and supports logging objects.
+    * Builds a structured record and writes it to all transports accepting its level.
+    * Errors given as message are turned into their message, the error itself going to context.error.
     * @param {number} type - Log level/type
     * @param {*} msg - Message or object to log
+    * @param {Object|null} [context=null] - Structured data attached to the message
+    * @param {string|null} [category=null] - Category of the message (e.g. 'data.browserSource')
     */
-   pushError(type, msg) {
-      if (this.level & type) {
-         const time = new Date().toISOString();
-         const prefix = `[${Core_LogService.levelString[type] || type}][${time}] :`;
-         if (typeof msg === 'object') {
-            this.output(prefix, msg);
-         } else {
-            this.output(`${prefix} ${msg}`);
-         }
+   pushError(type, msg, context = null, category = null) {
+      if (this.getLevelFor(category) & type) {
+         this.writeRecord(this.makeRecord(type, msg, context, category));
+      }
+   }
+
+   /**
+    * Builds a structured log record.
+    * @param {number} type - Log level/type
+    * @param {*} msg - Message or object to log
+    * @param {Object|null} context - Structured data attached to the message
+    * @param {string|null} category - Category of the message
+    * @returns {Object} The record (see Core_LogTransport)
+    */
+   makeRecord(type, msg, context, category) {
+      const now = new Date();
+      let message = msg;
+
+      if (msg instanceof Error) {
+         message = msg.message;
+         context = { ...context, error: { name: msg.name, message: msg.message, stack: msg.stack } };
       }
+
+      return {
+         level: type,
+         levelName: Core_LogService.levelString[type] || String(type),
+         timestamp: now.toISOString(),
+         time: now.getTime(),
+         category: category,
+         message: message,
+         context: context ?? null
+      };
+   }
+
+   /**
+    * Writes a record to all transports accepting its level.
+    * A failing transport never prevents the others from writing.
+    * @param {Object} record - The log record
+    */
+   writeRecord(record) {
+      this.#transports.forEach((transport) => {
+         if (transport.accepts(record)) {
+            try {
+               transport.write(record);
+            } catch (e) {
+               // Logging must never break the application
+            }
+         }
+      });
    }
 
    /**
     * Log a fatal error message.
     * @param {*} msg - Message or object to log
+    * @param {Object|null} [context=null] - Structured data attached to the message
     */
-   fatalError(msg) {
-      this.pushError(Core_LogService.levels.FATAL, msg);
+   fatalError(msg, context = null) {
+      this.pushError(Core_LogService.levels.FATAL, msg, context);
    }
 
    /**
     * Log an error message.
     * @param {*} msg - Message or object to log
+    * @param {Object|null} [context=null] - Structured data attached to the message
     */
-   error(msg) {
-      this.pushError(Core_LogService.levels.ERROR, msg);
+   error(msg, context = null) {
+      this.pushError(Core_LogService.levels.ERROR, msg, context);
    }
 
    /**
     * Log a debug message.
     * @param {*} msg - Message or object to log
+    * @param {Object|null} [context=null] - Structured data attached to the message
     */
-   debug(msg) {
-      this.pushError(Core_LogService.levels.DEBUG, msg);
+   debug(msg, context = null) {
+      this.pushError(Core_LogService.levels.DEBUG, msg, context);
    }
 
    /**
     * Log an informational message.
     * @param {*} msg - Message or object to log
+    * @param {Object|null} [context=null] - Structured data attached to the message
     */
-   info(msg) {
-      this.pushError(Core_LogService.levels.INFO, msg);
+   info(msg, context = null) {
+      this.pushError(Core_LogService.levels.INFO, msg, context);
    }
 
    /**
@@ -110,4 +370,205 @@ export class Core_LogService {
       const customTime = `${hours}:${minutes}:${seconds}.${milliseconds}`;
       this.pushError(Core_LogService.levels.TIMESTAMP, `${msg} : ${customTime}`);
    }
-}
\ No newline at end of file
+
+   /**
+    * Starts a tracing span. Spans started while this one is running become its children.
+    * When ended, the span is logged at TIMESTAMP level, kept for the trace report (see getTraceReport()),
+    * and shows up as a performance measure named 'core:<name>' in the browser performance tools.
+    * @param {string} name - Name of the traced work (e.g. 'computeContextView')
+    * @param {Object} [attributes={}] - Any data describing the work
+    * @param {string|null} [category=null] - Category of the span (named loggers give their own)
+    * @returns {Core_Span} The running span, to end with span.end()
+    */
+   startSpan(name, attributes = {}, category = null) {
+      const parent = this.#activeSpans.at(-1) ?? null;
+      const span = new Core_Span(name, attributes, parent, category, (ended) => this.#endSpan(ended));
+
+      this.#activeSpans.push(span);
+      this.#mark(span, 'start');
+      return span;
+   }
+
+   /**
+    * Returns the ended spans still kept, the oldest first.
+    * @returns {Array<Core_Span>} The spans
+    */
+   getSpans() {
+      return [...this.#spans];
+   }
+
+   /**
+    * Forgets all ended spans.
+    */
+   clearSpans() {
+      this.#spans = [];
+   }
+
+   /**
+    * Summarizes the ended spans by name, the most time consuming first.
+    * @returns {Array<{name: string, category: string|null, count: number, total: number, average: number, min: number, max: number}>}
+    * The summary, durations in ms
+    */
+   getTraceReport() {
+      const report = new Map();
+
+      this.#spans.forEach((span) => {
+         const key = (span.category ?? '') + '/' + span.name;
+         const entry = report.get(key) ?? { name: span.name, category: span.category, count: 0, total: 0, min: Infinity, max: 0 };
+
+         entry.count++;
+         entry.total += span.duration;
+         entry.min = Math.min(entry.min, span.duration);
+         entry.max = Math.max(entry.max, span.duration);
+         report.set(key, entry);
+      });
+
+      return Array.from(report.values())
+         .map((entry) => ({ ...entry, average: entry.total / entry.count }))
+         .sort((a, b) => b.total - a.total);
+   }
+
+   /**
+    * Logs the trace report, whatever the log level. Handy from the browser console: $svc('log').logTraceReport()
+    */
+   logTraceReport() {
+      const lines = this.getTraceReport().map((entry) =>
+         `${entry.category ? entry.category + ' > ' : ''}${entry.name} : ${entry.count} call(s), `
+         + `total ${entry.total.toFixed(1)}ms, avg ${entry.average.toFixed(1)}ms, `
+         + `min ${entry.min.toFixed(1)}ms, max ${entry.max.toFixed(1)}ms`);
+
+      this.pushError(Core_LogService.levels.ALWAYS, 'Trace report :\n' + lines.join('\n'), { report: this.getTraceReport() });
+   }
+
+   /**
+    * Handles the end of a span: unstacks it, measures it, keeps it and logs it.
+    * @param {Core_Span} span - The ended span
+    */
+   #endSpan(span) {
+      // Spans of asynchronous work may end in any order
+      const index = this.#activeSpans.lastIndexOf(span);
+      if (index >= 0) {
+         this.#activeSpans.splice(index, 1);
+      }
+
+      this.#mark(span, 'end');
+      try {
+         performance.measure('core:' + span.name, this.#markName(span, 'start'), this.#markName(span, 'end'));
+         performance.clearMarks(this.#markName(span, 'start'));
+         performance.clearMarks(this.#markName(span, 'end'));
+      } catch (e) {
+         // No performance timeline available, the span is still traced below
+      }
+
+      this.#spans.push(span);
+      if (this.#spans.length > Core_LogService.maxSpans) {
+         this.#spans.shift();
+      }
+
+      this.pushError(
+         Core_LogService.levels.TIMESTAMP,
+         `${'  '.repeat(span.depth)}${span.name} : ${span.duration.toFixed(1)}ms`,
+         { span: { name: span.name, duration: span.duration, depth: span.depth, attributes: span.attributes } },
+         span.category
+      );
+   }
+
+   /**
+    * Sets a performance mark for a span.
+    * @param {Core_Span} span - The span
+    * @param {string} step - 'start' or 'end'
+    */
+   #mark(span, step) {
+      try {
+         performance.mark(this.#markName(span, step));
+      } catch (e) {
+         // No performance timeline available
+      }
+   }
+
+   /**
+    * Builds the name of a performance mark for a span.
+    * @param {Core_Span} span - The span
+    * @param {string} step - 'start' or 'end'
+    * @returns {string} The mark name
+    */
+   #markName(span, step) {
+      return `core:${span.name}#${span.id}:${step}`;
+   }
+
+   /**
+    * Replaces the category levels by the configured ones, then adds the persisted ones on top.
+    * @param {string|Object} configured - Category levels set in the configuration
+    */
+   #applyCategoryLevels(configured) {
+      let persisted = null;
+      try {
+         persisted = JSON.parse(localStorage.getItem(Core_LogService.categoryLevelsStorageKey) ?? 'null');
+      } catch (e) {
+         // No storage available, nothing persisted
+      }
+
+      this.#categoryLevels = [];
+      this.#addCategoryLevels(configured);
+      this.#addCategoryLevels(persisted ?? {});
+   }
+
+   /**
+    * Adds category levels to the current ones, replacing the entries with the same pattern.
+    * @param {string|Object} spec - 'pattern=LEVEL, ...' or { pattern: level }
+    */
+   #addCategoryLevels(spec) {
+      let entries = spec;
+
+      if (typeof spec === 'string') {
+         entries = Object.fromEntries(spec.split(',')
+            .map((item) => item.split('=').map((part) => part.trim()))
+            .filter((parts) => parts.length === 2 && parts[0] !== ''));
+      }
+
+      Object.entries(entries).forEach(([pattern, levelSpec]) => {
+         const level = (typeof levelSpec === 'number')
+            ? levelSpec
+            : Core_LogService.thresholds[String(levelSpec).toUpperCase()] ?? Number(levelSpec);
+
+         if (Number.isNaN(level)) {
+            this.error('Unknown log level [' + levelSpec + '] for category [' + pattern + ']');
+            return;
+         }
+
+         const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+         this.#categoryLevels = this.#categoryLevels.filter((entry) => entry.pattern !== pattern);
+         this.#categoryLevels.push({ pattern: pattern, regExp: new RegExp('^' + escaped + '$'), level: level });
+      });
+
+      // Most specific first: exact names, then the longest patterns
+      this.#categoryLevels.sort((a, b) =>
+         (a.pattern.includes('*') - b.pattern.includes('*')) || (b.pattern.length - a.pattern.length));
+   }
+
+   /**
+    * Gives the ajax service of the scope which built this service, for the transports shipping their records.
+    * @returns {Core_AjaxService|null} The service, null once this service is disposed (the ajax service, which depends
+    * on it, is gone first) or without Core.
+    */
+   #ajaxService() {
+      if (this.#disposed) {
+         return null;
+      }
+
+      const scope = Core_ServiceScope.forService(this);
+      return (scope !== null) ? scope.getService('ajax') : ($svc('ajax') ?? null);
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * Returns the output function of the console transport.
+    * @returns {function|null} The output function, null without console transport.
+    */
+   get output() {
+      return this.getTransport('console')?.output ?? null;
+   }
+}
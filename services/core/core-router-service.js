@@ -1,16 +1,42 @@
+import { Subject } from "rxjs";
 import { Core_HTMLElement } from "../../lib/base/core-html-element";
+import { Core_RoutePattern } from "../../lib/routing/core-route-pattern";
 
 export class Core_RouterService {
    static router = null;    // The one instance for the one Router that can be instantiated
    static instance = null;  // Quick access to the local instance of the service  
    #rootPath;               // A constant used only to build the relative path 
+   #config;                 // The configuration service
+   #guards;                 // Global navigation guards, by decreasing priority ([{ name, guard, priority }])
+   #events$;                // Navigation events of all routers
+
+   // Services to be built before this one
+   static dependencies = ['config'];
 
    constructor() {
       // This is required to access the object in some static methods later on
       Core_RouterService.instance = this;
+      this.#guards = [];
+      this.#events$ = new Subject();
+   }
+
+   /**
+    * Lifecycle hook: reads the root path from the configuration.
+    * @param {Object} deps Injected services (see static dependencies).
+    */
+   init(deps) {
+      this.#config = deps.config;
+      this.#rootPath = deps.config.getString('router.rootPath');
+   }
 
-      // Init from repo
-      this.#rootPath = $svc('default').router.rootPath;
+   /**
+    * Lifecycle hook: releases the static access to this instance.
+    */
+   dispose() {
+      if (Core_RouterService.instance === this) {
+         Core_RouterService.instance = null;
+      }
+      this.#events$.complete();
    }
 
    /**
@@ -60,7 +86,7 @@ export class Core_RouterService {
       if (Core_RouterService.router !== null) {
 
          if (url === '') {
-            url = $svc('default').router.emptyURL;
+            url = $svc('config').getString('router.emptyURL');
          }
 
          // Use relative URL directly to avoid rootPath issues
@@ -81,14 +107,19 @@ export class Core_RouterService {
    /**
     * Provide the Site with a method to move to a new URL without clicking on a link.
     * A kind of wrapper around window.location
-    * @param {string} url The URL to navigate to.
+    * @param {string|{route: string, params: Object, query: Object}} url The URL to navigate to, or the route to build it from
+    * (see buildUrl()).
     */
    goTo(url) {
+      if ((url !== null) && (typeof url === 'object')) {
+         url = this.buildUrl(url.route, url.params, url.query);
+      }
+
       // If a valid router object was registered
       if (Core_RouterService.router !== null) {
 
          if (url === '') {
-            url = $svc('default').router.emptyURL;
+            url = this.#config.getString('router.emptyURL');
          }
 
          // If no Router active, then simply change the browser location for the user to surf
@@ -100,9 +131,69 @@ export class Core_RouterService {
       }
    }
 
+   /**
+    * Builds the URL of a route of the configuration, filling its named parameters (see Core_RoutePattern).
+    * Throws an Error if the route is unknown, a required parameter is missing or does not match its regex.
+    * @param {string} routeName The name of the route, in the 'routes' configuration.
+    * @param {Object} [params={}] The named params (e.g. { teamId: 12, tab: 'admins' }).
+    * @param {Object} [query={}] The query parameters (e.g. { page: 2 }).
+    * @returns {string} The relative URL (e.g. '/team/12/members/admins?page=2').
+    */
+   buildUrl(routeName, params = {}, query = {}) {
+      if (!Object.hasOwn(this.#config.getRoutes(), routeName)) {
+         throw new Error(`Unknown route [${routeName}] in Core_RouterService::buildUrl`);
+      }
+      return Core_RoutePattern.compile(this.#config.getRoute(routeName)).build(params, query);
+   }
+
+   /**
+    * Registers a global navigation guard, applying to all routes of all routers, or replaces the one with the same name.
+    * A guard may define these hooks, called with the navigation context ({ from, to, router }, from and to being
+    * matches { routeDesc, url, params, query }), each returning a value, a Promise or an Observable:
+    * - canLeave: checked before leaving the current route (e.g. confirm unsaved changes)
+    * - canEnter: checked before entering the new route (e.g. permissions)
+    * - resolve: { key: (context) => data } fetched before displaying the new route, given to its component
+    * A check answering false cancels the navigation, a URL or a { route, params, query } redirects to it
+    * (see goTo()), anything else lets it go on. Routes can declare the same hooks.
+    * @param {string} name The unique name of the guard.
+    * @param {{canLeave: function, canEnter: function, resolve: Object}} guard The guard hooks.
+    * @param {Object} [options={}] Guard options.
+    * @param {number} [options.priority=0] Guards with higher priorities are checked first.
+    */
+   addGuard(name, guard, options = {}) {
+      this.removeGuard(name);
+      this.#guards.push({ name: name, guard: guard, priority: options.priority ?? 0 });
+      this.#guards.sort((a, b) => b.priority - a.priority);
+   }
+
+   /**
+    * Removes a global navigation guard.
+    * @param {string} name The name of the guard.
+    */
+   removeGuard(name) {
+      this.#guards = this.#guards.filter((guard) => guard.name !== name);
+   }
+
+   /**
+    * Returns the global navigation guards, in check order.
+    * @returns {Array<Object>} The guards ({ canLeave, canEnter, resolve }).
+    */
+   getGuards() {
+      return this.#guards.map((guard) => guard.guard);
+   }
+
+   /**
+    * Publishes a navigation event on events$; called by the routers.
+    * @param {Object} event The event (see events$).
+    */
+   publishEvent(event) {
+      this.#events$.next(event);
+   }
+
    /**
     * Manage clicks on a link when a Router is active.
-    * Ignores links with 'core-ignore' in the href.
+    * Ignores links with 'core-ignore' in the href, resolves the ones starting with './' or '../' from the level of
+    * the router containing them (see Core_Router.resolveUrl()).
     * @param {Event} event The click event.
     */
    static manageLink(event) {
@@ -127,6 +218,12 @@ export class Core_RouterService {
 
                // core-ignore is THE url to use for this Router not to handle the click
                if (!href.includes('core-ignore')) {
+                  // Links relative to a level of nested routers ('./', '../') start from the closest router
+                  const router = target.closest('[data-core-isRouter="yes"]') ?? Core_RouterService.router;
+                  if (typeof router?.resolveUrl === 'function') {
+                     href = router.resolveUrl(href);
+                  }
+
                   // Then process the page change
                   Core_RouterService.pushState(href);
                }
@@ -159,4 +256,29 @@ export class Core_RouterService {
       let rel = relativePath.startsWith('/') ? relativePath.slice(1) : relativePath;
       return `${root}/${rel}`;
    }
-}
\ No newline at end of file
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * Navigation events of all routers, of one of the Core_Router.eventTypes each:
+    * - NavigationStart: a new route was found for the URL
+    * - GuardsChecked: the canLeave and canEnter guards answered (allowed tells if the navigation goes on)
+    * - ResolveEnd: the resolvers fetched their data
+    * - NavigationEnd: the new route is displayed
+    * - NavigationCancel: the navigation stopped (reason: 'guard', 'auth' or 'redirect' with redirectTo, or 'superseded'
+    *   by a newer navigation)
+    * - NavigationError: a guard, a resolver or the loading of the component failed (error)
+    * Each event carries { type, id, url, from, to, params, query, timestamp, duration, router }: from and to describe
+    * the routes ({ route, routeName, url, params, query }, from being null for the first navigation), params and query
+    * are the ones of the new route, duration is the time elapsed since NavigationStart in ms.
+    * Usage:
+    *   $svc('router').events$.pipe(filter((event) => event.type === Core_Router.eventTypes.NAVIGATION_END))
+    *      .subscribe((event) => analytics.page(event.url, event.duration));
+    * @returns {Observable<Object>} The events.
+    */
+   get events$() {
+      return this.#events$.asObservable();
+   }
+}
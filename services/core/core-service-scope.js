@@ -0,0 +1,371 @@
+/**
+ * A container of services.
+ * The root container is the Core singleton itself; child containers are created with createScope().
+ * A child scope inherits all registrations of its parent and may override some of them locally:
+ * a service is built (and cached) in the scope where it is registered, its dependencies being resolved from that
+ * very scope; unless one of its dependencies, direct or not, is overridden in a child scope, which then builds
+ * its own instance of the service with the overridden dependency.
+ * A scope attached to a DOM element (see attachTo()) serves the $svc calls made from inside its subtree,
+ * such as the svc() calls of the components (see Core_HTMLElement::svc).
+ *
+ * Usage:
+ *   const scope = $core.createScope(panelElement);
+ *   scope.registerService('cart', Core_PreviewCartService);   // components under panelElement now use this cart
+ */
+export class Core_ServiceScope {
+   // Scope attached to DOM elements, to resolve $svc calls made from inside a subtree
+   static #elementScopes = new WeakMap();
+
+   // Scope which built each service instance (see forService())
+   static #serviceScopes = new WeakMap();
+
+   #services;        // Services registered locally (name -> { class, dependencies, eager, inherited, instance })
+   #parent;          // Parent scope, null for the root container
+   #children;        // Child scopes created from this one
+   #resolving;       // Names of the services currently being built, to detect dependency cycles
+   #creationOrder;   // Names of the instantiated services, in the order they were built
+   #elements;        // DOM elements this scope is attached to
+
+   /**
+    * Constructs an empty scope.
+    * @param {Core_ServiceScope|null} [parent=null] The scope to inherit registrations from.
+    */
+   constructor(parent = null) {
+      this.#services = new Map();
+      this.#parent = parent;
+      this.#children = new Set();
+      this.#resolving = [];
+      this.#creationOrder = [];
+      this.#elements = new Set();
+
+      if (parent !== null) {
+         parent.#children.add(this);
+      }
+   }
+
+   /**
+    * Creates a child scope inheriting all registrations of this one.
+    * @param {Node|null} [element=null] The element whose subtree the scope serves, if any (see attachTo()).
+    * @returns {Core_ServiceScope} The new child scope.
+    */
+   createScope(element = null) {
+      const scope = new Core_ServiceScope(this);
+
+      if (element !== null) {
+         scope.attachTo(element);
+      }
+      return scope;
+   }
+
+   /**
+    * Registers a specific service or overwrites an existing one in this scope.
+    * Dependencies are read from the static `dependencies` array of the class, unless given in options.
+    * If an instance of the overwritten service was already built, it is disposed along with its dependents.
+    * @param {string} svcName The name of the service.
+    * @param {Function} svcClass The class of the service.
+    * @param {Object} [options={}] Registration options.
+    * @param {string[]} [options.dependencies] Names of the services to inject, overriding the class declaration.
+    * @param {boolean} [options.eager=false] If true, the service is built by startEagerServices() instead of on first use.
+    */
+   registerService(svcName, svcClass, options = {}) {
+      if (this.#services.has(svcName)) {
+         this.disposeService(svcName);
+      } else {
+         // Services built from an inherited registration may depend on it
+         this.#disposeDependents(svcName);
+      }
+
+      this.#children.forEach((child) => child.#dropInherited(svcName));
+
+      this.#services.set(svcName, {
+         class: svcClass,
+         dependencies: options.dependencies ?? svcClass.dependencies ?? [],
+         eager: options.eager ?? false,
+         inherited: false,
+         instance: null
+      });
+   }
+
+   /**
+    * Registers an already built object as a service, or overwrites an existing one.
+    * The object is not owned by the scope: it is never disposed nor rebuilt.
+    * @param {string} svcName The name of the service.
+    * @param {*} instance The service object.
+    */
+   registerInstance(svcName, instance) {
+      if (this.#services.has(svcName)) {
+         this.disposeService(svcName);
+      } else {
+         this.#disposeDependents(svcName);
+      }
+
+      this.#children.forEach((child) => child.#dropInherited(svcName));
+
+      this.#services.set(svcName, {
+         class: null,
+         dependencies: [],
+         eager: false,
+         inherited: false,
+         instance: instance
+      });
+   }
+
+   /**
+    * Builds the services of this scope registered with the eager option, if not built yet.
+    * Used for services that must be up before anything asks for them (e.g. to hook global handlers).
+    */
+   startEagerServices() {
+      this.#services.forEach((svcData, svcName) => {
+         if (svcData.eager && svcData.instance === null) {
+            this.getService(svcName);
+         }
+      });
+   }
+
+   /**
+    * Tells if a service is registered in this scope or in one of its parents.
+    * @param {string} svcName The name of the service.
+    * @returns {boolean} True if the service can be retrieved from this scope.
+    */
+   hasService(svcName) {
+      return this.#services.has(svcName) || (this.#parent?.hasService(svcName) ?? false);
+   }
+
+   /**
+    * Retrieves a service instance by its name, from this scope or the closest parent registering it
+    * (built in this scope if it depends on a service overridden here, see class description).
+    * Instantiates the service if it hasn't been created yet, after all its dependencies.
+    * Once built, the service receives its dependencies through its optional init(deps) hook,
+    * deps being an object mapping each dependency name to its instance.
+    * @param {string} svcName The name of the service.
+    * @returns {*} The service instance.
+    * @throws {Error} If the service (or one of its dependencies) is not found, or if dependencies loop.
+    */
+   getService(svcName) {
+      let svc = null;
+      let svcData = this.#services.get(svcName);
+
+      if (svcData) {
+         if (svcData.instance === null) {
+            // The service is required while being built: dependencies loop
+            if (this.#resolving.includes(svcName)) {
+               const chain = [...this.#resolving.slice(this.#resolving.indexOf(svcName)), svcName];
+               throw new Error("Core service dependency cycle : [" + chain.join(' -> ') + "]");
+            }
+
+            this.#resolving.push(svcName);
+            try {
+               // Build all dependencies first, in declaration order
+               const deps = {};
+               svcData.dependencies.forEach((depName) => {
+                  deps[depName] = this.getService(depName);
+               });
+
+               svcData.instance = new svcData.class();
+               this.#creationOrder.push(svcName);
+               Core_ServiceScope.#serviceScopes.set(svcData.instance, this);
+
+               // Lifecycle hook: the service is built and its dependencies are available
+               if (typeof svcData.instance.init === 'function') {
+                  svcData.instance.init(deps);
+               }
+            } finally {
+               this.#resolving.pop();
+            }
+         }
+         svc = svcData.instance;
+      } else if (this.#parent !== null && this.#parent.hasService(svcName)) {
+         const registration = this.#parent.#registration(svcName);
+
+         if (registration.class !== null && this.#dependsOnLocal(registration.dependencies, new Set([svcName]))) {
+            // The parent instance is wired to the services this scope overrides: build one here
+            this.#services.set(svcName, { ...registration, eager: false, inherited: true, instance: null });
+            svc = this.getService(svcName);
+         } else {
+            svc = this.#parent.getService(svcName);
+         }
+      } else {
+         const requiredBy = this.#resolving.length > 0 ? " required by [" + this.#resolving.join(' -> ') + "]" : '';
+         throw new Error("Core service not found : [" + svcName + "]" + requiredBy);
+      }
+
+      return svc;
+   }
+
+   /**
+    * Tears down a service built in this scope so that it is rebuilt on next access.
+    * All built services declaring it as a dependency (here or in child scopes) are disposed first.
+    * Calls the optional dispose() hook of the service.
+    * @param {string} svcName The name of the service.
+    */
+   disposeService(svcName) {
+      const svcData = this.#services.get(svcName);
+
+      // Instances registered from outside are not owned by the scope, only their dependents go
+      if (svcData && svcData.class === null) {
+         this.#disposeDependents(svcName);
+      }
+      else if (svcData && svcData.instance !== null) {
+         // Dependents hold a reference to this instance, they must go first
+         this.#disposeDependents(svcName);
+
+         const instance = svcData.instance;
+         svcData.instance = null;
+         this.#creationOrder.splice(this.#creationOrder.indexOf(svcName), 1);
+
+         if (typeof instance.dispose === 'function') {
+            instance.dispose();
+         }
+      }
+   }
+
+   /**
+    * Tears down all services built in this scope, in the reverse order of their creation.
+    */
+   disposeAllServices() {
+      while (this.#creationOrder.length > 0) {
+         this.disposeService(this.#creationOrder[this.#creationOrder.length - 1]);
+      }
+   }
+
+   /**
+    * Tears down this scope: its child scopes, all its services, its DOM attachments and the link to its parent.
+    */
+   dispose() {
+      this.#children.forEach((child) => child.dispose());
+      this.disposeAllServices();
+      this.#elements.forEach((element) => this.detachFrom(element));
+
+      if (this.#parent !== null) {
+         this.#parent.#children.delete(this);
+         this.#parent = null;
+      }
+   }
+
+   /**
+    * Finds the registration of a service, in this scope or the closest parent registering it.
+    * @param {string} svcName The name of the service.
+    * @returns {Object|null} The registration, null if not registered.
+    */
+   #registration(svcName) {
+      return this.#services.get(svcName) ?? this.#parent?.#registration(svcName) ?? null;
+   }
+
+   /**
+    * Tells if some services depend, directly or not, on a service registered in this scope.
+    * @param {string[]} dependencies The names of the services.
+    * @param {Set<string>} visited The names already checked, to stop on dependency cycles.
+    * @returns {boolean} True if one of them is registered here, or depends on a service registered here.
+    */
+   #dependsOnLocal(dependencies, visited) {
+      return dependencies.some((depName) => {
+         if (this.#services.has(depName)) {
+            return true;
+         }
+         if (visited.has(depName)) {
+            return false;
+         }
+         visited.add(depName);
+         return this.#dependsOnLocal(this.#registration(depName)?.dependencies ?? [], visited);
+      });
+   }
+
+   /**
+    * Forgets the instances built here from a registration of a parent scope, here and in child scopes,
+    * once the parent registers that service again.
+    * @param {string} svcName The name of the service.
+    */
+   #dropInherited(svcName) {
+      const svcData = this.#services.get(svcName);
+
+      if (svcData && !svcData.inherited) {
+         return;
+      }
+      if (svcData) {
+         this.disposeService(svcName);
+         this.#services.delete(svcName);
+      }
+      this.#children.forEach((child) => child.#dropInherited(svcName));
+   }
+
+   /**
+    * Disposes all built services depending on a given service name, here and in child scopes
+    * which do not register that name themselves.
+    * @param {string} svcName The name of the service.
+    */
+   #disposeDependents(svcName) {
+      for (const [name, data] of this.#services) {
+         if (data.instance !== null && data.dependencies.includes(svcName)) {
+            this.disposeService(name);
+         }
+      }
+
+      this.#children.forEach((child) => {
+         if (!child.#services.has(svcName)) {
+            child.#disposeDependents(svcName);
+         }
+      });
+   }
+
+   /**
+    * Attaches this scope to a DOM element: $svc calls made from inside its subtree resolve against it.
+    * @param {Node} element The root element of the subtree.
+    * @returns {Core_ServiceScope} This scope, for chained calls.
+    */
+   attachTo(element) {
+      Core_ServiceScope.#elementScopes.set(element, this);
+      this.#elements.add(element);
+      return this;
+   }
+
+   /**
+    * Detaches this scope from a DOM element.
+    * @param {Node} element The element given to attachTo().
+    */
+   detachFrom(element) {
+      if (Core_ServiceScope.#elementScopes.get(element) === this) {
+         Core_ServiceScope.#elementScopes.delete(element);
+      }
+      this.#elements.delete(element);
+   }
+
+   /**
+    * Finds the nearest scope attached to a node or one of its ancestors (crossing shadow roots).
+    * @param {Node|null} node The node to start from.
+    * @returns {Core_ServiceScope|null} The nearest scope, or null if none is attached.
+    */
+   static forElement(node) {
+      let current = node;
+
+      while (current) {
+         const scope = Core_ServiceScope.#elementScopes.get(current);
+         if (scope) {
+            return scope;
+         }
+         current = current.parentNode ?? current.host ?? null;
+      }
+
+      return null;
+   }
+
+   /**
+    * Finds the scope which built a service instance, for a service to resolve other ones lazily from that very scope.
+    * @param {Object} instance The service instance.
+    * @returns {Core_ServiceScope|null} The scope, null if the instance was not built by a scope.
+    */
+   static forService(instance) {
+      return Core_ServiceScope.#serviceScopes.get(instance) ?? null;
+   }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * Returns the parent scope.
+    * @returns {Core_ServiceScope|null} The parent scope, null for the root container.
+    */
+   get parent() {
+      return this.#parent;
+   }
+}
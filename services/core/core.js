@@ -1,4 +1,5 @@
 import { Core_AjaxService } from "../api/core-ajax-service";
+import { Core_AuthService } from "../api/core-auth-service";
 import { Core_ResourceService } from "../ui/core-resource-service";
 import { Core_SemanticService } from "../ui/core-semantic-service";
 import { Core_LogService } from "./core-log-service";
@@ -11,8 +12,17 @@ import { Core_RouterService } from "./core-router-service";
 import { Core_BrowserService } from "../ui/core-browser-service";
 import { Core_ZipService } from "../utils/core-zip-service";
 import { Core_ConfigService } from "./core-config-service.js";
+import { Core_ServiceScope } from "./core-service-scope";
+import { Core_CallRecorder } from "./core-call-recorder";
+import { Core_BootstrapPipeline } from "./core-bootstrap-pipeline";
+import { Core_ErrorService } from "./core-error-service";
+import { ReplaySubject, filter } from 'rxjs';
 
-export class Core {
+/**
+ * The root container of all services.
+ * Child containers can be created with createScope() (see Core_ServiceScope).
+ */
+export class Core extends Core_ServiceScope {
    /**
     * Holds the singleton instance of Core.
     * All services exposed by this object are available everywhere in the code.
@@ -20,7 +30,12 @@ export class Core {
     */
    static #instance = null;
 
-   #services;
+   #loadListener;    // Bootstraps the page once loaded, kept to be removed on reset
+   #recorders;       // Call recorders of the services stubbed by createTestInstance (name -> Core_CallRecorder)
+   #pipeline;        // Startup tasks run when the page is loaded
+   #ready;           // Promise settled once the startup tasks are all run
+   #ready$;          // Same as #ready, as an observable
+   #started;         // True once start() was called
 
    /**
     * Constructs the Core object and registers all available services.
@@ -30,14 +45,110 @@ export class Core {
       if (Core.#instance) {
          return Core.#instance;
       }
-      // Initialize the services map and register all services
-      this.#services = new Map();
+      super();
+
+      // Register all services
       this.registerAllServices();
 
+      this.#recorders = new Map();
+
+      // Prepare the startup pipeline, run once the page is loaded
+      this.#pipeline = new Core_BootstrapPipeline();
+      this.#ready$ = new ReplaySubject(1);
+      this.#ready = new Promise((resolve, reject) => {
+         this.#ready$.subscribe({ next: resolve, error: reject });
+      });
+      this.#ready.catch(() => { });  // Failures are reported by start(), clients may not listen
+      this.#started = false;
+      this.registerStartupTasks();
+
       // Bootstrap the page when loaded
-      window.addEventListener('load', (event) => { this.bootstrap(); });
+      this.#loadListener = (event) => { this.start(); };
+      window.addEventListener('load', this.#loadListener);
 
       Core.#instance = this;
+
+      // Services hooking global handlers are up at once
+      this.startEagerServices();
+   }
+
+   /**
+    * Returns the singleton instance of Core, if any.
+    * @returns {Core|null} The instance.
+    */
+   static getInstance() {
+      return Core.#instance;
+   }
+
+   /**
+    * Destroys the singleton instance: all its services are disposed and the page bootstrap is unhooked.
+    * A new Core (or child class) can then be instantiated.
+    */
+   static resetInstance() {
+      const instance = Core.#instance;
+
+      if (instance !== null) {
+         Core.#instance = null;
+         window.removeEventListener('load', instance.#loadListener);
+         instance.dispose();
+
+         if (window.$core === instance) {
+            window.$core = undefined;
+         }
+      }
+   }
+
+   /**
+    * Testing entry point: resets the singleton and builds a fresh instance of this class (or child class),
+    * exposed as window.$core, that never bootstraps on window load: it is started by the start option, or by calling
+    * start() (routers and everything waiting for ready only run once started).
+    * Overridden services are given either as classes, or as objects whose method calls are recorded
+    * (see calls()).
+    *
+    * Usage:
+    *   const core = Core.createTestInstance({ overrides: { ajax: { getJSON: () => of(fakeResponse) } } });
+    *   $svc('lang').getData();
+    *   core.calls('ajax'); // [{ method: 'getJSON', args: [...], result, error }]
+    *   await Core.createTestInstance({ start: true }).ready;
+    *
+    * @param {Object} [options={}] Options for the test instance.
+    * @param {Object<string, Function|Object>} [options.overrides={}] Services to register in place of the default ones.
+    * @param {boolean} [options.start=false] True to run the startup tasks at once (see start()).
+    * @returns {Core} The new instance.
+    */
+   static createTestInstance({ overrides = {}, start = false } = {}) {
+      Core.resetInstance();
+
+      const core = new this();
+      window.removeEventListener('load', core.#loadListener);
+      window.$core = core;
+
+      Object.entries(overrides).forEach(([svcName, override]) => {
+         if (typeof override === 'function') {
+            core.registerService(svcName, override);
+         } else {
+            const recorder = new Core_CallRecorder(override);
+            core.#recorders.set(svcName, recorder);
+            core.registerInstance(svcName, recorder.proxy);
+         }
+      });
+
+      // Overriding a service disposes its dependents, eager ones must be rebuilt
+      core.startEagerServices();
+
+      if (start) {
+         core.start();
+      }
+      return core;
+   }
+
+   /**
+    * Returns the calls recorded on a service stubbed with an object by createTestInstance.
+    * @param {string} svcName The name of the service.
+    * @returns {Array<Object>} The calls ({ method, args, result, error }), empty if the service is not recorded.
+    */
+   calls(svcName) {
+      return this.#recorders.get(svcName)?.calls ?? [];
    }
 
    /**
@@ -47,6 +158,7 @@ export class Core {
    registerAllServices() {
       this.registerService('log', Core_LogService);
       this.registerService('ajax', Core_AjaxService);
+      this.registerService('auth', Core_AuthService);
       this.registerService('router', Core_RouterService);
       this.registerService('resource', Core_ResourceService);
       this.registerService('semantic', Core_SemanticService);
@@ -58,50 +170,112 @@ export class Core {
       this.registerService('zip', Core_ZipService);
       this.registerService('lang', Core_LangService);
       this.registerService('config', Core_ConfigService);
+      this.registerService('error', Core_ErrorService, { eager: true });
    }
 
    /**
-    * Registers a specific service or overwrites an existing one.
-    * @param {string} svcName The name of the service.
-    * @param {Function} svcClass The class of the service.
+    * Registers the startup tasks provided by this central object.
+    * If this method is overridden in child classes, the parent method should be called.
     */
-   registerService(svcName, svcClass) {
-      this.#services.set(svcName, { class: svcClass, instance: null });
+   registerStartupTasks() {
+      // The configuration file comes first, everything else may depend on it
+      // The whole configuration is then validated, so that a missing key fails early
+      this.addStartupTask('config', async () => {
+         await this.getService('config').loadFile();
+         this.getService('config').assertValid();
+      }, { priority: 100 });
+
+      // The stored session must be restored before the first authenticated request
+      this.addStartupTask('auth', () => {
+         this.getService('auth');
+      }, { priority: 90, dependsOn: ['config'] });
+
+      // Language labels must be there before anything is displayed
+      this.addStartupTask('lang', () => {
+         if (this.getService('config').getBoolean('lang.isActivated')) {
+            return this.getService('lang').getData().pipe(filter((data) => data !== null));
+         }
+      }, { priority: 50, dependsOn: ['config'], optional: true });
    }
 
    /**
-    * Retrieves a service instance by its name.
-    * Instantiates the service if it hasn't been created yet.
-    * @param {string} svcName The name of the service.
-    * @returns {*} The service instance.
-    * @throws {Error} If the service is not found.
+    * Registers a startup task, run when the page is loaded (see Core_BootstrapPipeline::addTask).
+    * @param {string} name The unique name of the task.
+    * @param {function(): (Promise|Observable|*)} fn The work to do.
+    * @param {Object} [options={}] Task options: priority, dependsOn, timeout, optional.
     */
-   getService(svcName) {
-      let svc = null;
-      let svcData = this.#services.get(svcName);
+   addStartupTask(name, fn, options = {}) {
+      this.#pipeline.addTask(name, fn, options);
+   }
 
-      if (svcData) {
-         if (svcData.instance === null) {
-            svcData.instance = new svcData.class();
-         }
-         svc = svcData.instance;
-      } else {
-         throw new Error("Core service not found : [" + svcName + "]");
+   /**
+    * Starts the page: calls the bootstrap() hook, then runs all startup tasks.
+    * Called automatically on window load; later calls do nothing but return the ready promise.
+    * Once done, dispatches 'core:ready' on document (or 'core:bootstrapError' if a required task failed),
+    * with the pipeline report as detail. If the report cannot be handled (e.g. the log service failing), the ready promise
+    * rejects with that error.
+    * @returns {Promise<Object>} The ready promise.
+    */
+   start() {
+      if (!this.#started) {
+         this.#started = true;
+
+         this.bootstrap();
+
+         this.#pipeline.run().then((report) => {
+            report.tasks.filter((task) => task.error).forEach((task) => {
+               this.getService('log').getLogger('core').error('Startup task [' + task.name + '] ' + task.status + ' : ' + task.error.message);
+            });
+
+            if (report.success) {
+               this.#ready$.next(report);
+               this.#ready$.complete();
+               document.dispatchEvent(new CustomEvent('core:ready', { detail: report }));
+            } else {
+               this.#ready$.error(report);
+               document.dispatchEvent(new CustomEvent('core:bootstrapError', { detail: report }));
+            }
+         }).catch((error) => {
+            // The report could not be handled: ready must settle all the same (ignored if already settled)
+            this.#ready$.error(error);
+         });
       }
 
-      return svc;
+      return this.#ready;
    }
 
    /**
-    * Method called when the page is displayed.
-    * Should be overridden by child classes to perform bootstrap logic.
+    * Method called when the page is displayed, before the startup tasks are run.
+    * Should be overridden by child classes to perform bootstrap logic, or to register startup tasks.
     */
    bootstrap() {
       // To be implemented by child classes if needed
    }
+
+   //-------------
+   // ACCESSORS --
+   //-------------
+
+   /**
+    * Resolves with the pipeline report once all startup tasks are run, rejects with it if a required task failed.
+    * @returns {Promise<Object>} The ready promise.
+    */
+   get ready() {
+      return this.#ready;
+   }
+
+   /**
+    * Same as ready, as an observable emitting the report then completing.
+    * @returns {Observable<Object>} The ready observable.
+    */
+   get ready$() {
+      return this.#ready$.asObservable();
+   }
 }
 
 // To quick access a registered service without having to know about the Core class
-window.$svc = function (svcName) {
-   return $core?.getService(svcName);
+// When a context node is given, the service is resolved against the nearest scope attached to its subtree
+window.$svc = function (svcName, context = null) {
+   const scope = (context !== null) ? Core_ServiceScope.forElement(context) : null;
+   return (scope ?? Core.getInstance())?.getService(svcName);
 }
\ No newline at end of file
@@ -3,19 +3,57 @@ import { Observable, BehaviorSubject } from "rxjs";
 export class Core_CartService {
    #contentUpdated;     // Notifies clients when the cart content is updated
    #items;              // All the items in the cart
+   #deps;               // Injected services
+   #loadSub;            // Subscription to the initial cart load
+
+   // Services to be built before this one
+   static dependencies = ['ajax', 'config', 'error'];
 
    /**
-    * Constructs the cart service, initializes the cart content,
-    * and loads the current cart from the backend.
+    * Constructs the cart service and initializes the cart content.
     */
    constructor() {
       // Initialize core objects
       this.#contentUpdated = new BehaviorSubject([]);
       this.#items = new Map();
+      this.#loadSub = null;
+   }
+
+   /**
+    * Lifecycle hook: keeps the injected services and loads the current cart from the backend.
+    * When the offline mode is enabled, changes made offline are replayed later: if the server rejects one,
+    * the cart is reloaded to show its actual content.
+    * @param {Object} deps Injected services (see static dependencies).
+    */
+   init(deps) {
+      this.#deps = deps;
+
+      const cartUrls = [deps.config.getString('cart.addItemAPI'), deps.config.getString('cart.removeItemAPI')];
+      deps.ajax.getOfflineQueue()?.addConflictHandler('cart', (entry) => {
+         if (cartUrls.includes(entry.url)) {
+            this.#load();
+         }
+      });
 
-      // Get the current cart content from the backend
-      $svc('ajax').getJSON(
-         $svc('default').cart.loadItemsAPI, {}
+      this.#load();
+   }
+
+   /**
+    * Lifecycle hook: stops the pending load and completes the notification stream.
+    */
+   dispose() {
+      this.#deps.ajax.getOfflineQueue()?.removeConflictHandler('cart');
+      this.#loadSub?.unsubscribe();
+      this.#contentUpdated.complete();
+   }
+
+   /**
+    * Gets the current cart content from the backend (a read, safe to retry on flaky networks).
+    */
+   #load() {
+      this.#loadSub?.unsubscribe();
+      this.#loadSub = this.#deps.ajax.getJSON(
+         this.#deps.config.getString('cart.loadItemsAPI'), {}, { idempotent: true }
       ).subscribe({
          next: (data) => {
             if (data) {
@@ -27,23 +65,25 @@ export class Core_CartService {
             }
          },
          error: (err) => {
-            // Handle or log the error as needed
-            console.error("Failed to load cart items:", err);
+            this.#deps.error.captureError(err, { source: 'cart', action: 'load' });
          }
       });
    }
 
    /**
     * Adds an item to the cart and returns an Observable indicating success or failure.
+    * While offline (with 'ajax.offline.enabled'), the change is queued and the Observable emits once it is replayed.
+    * Never retried: the change would be applied twice if the first request reached the backend.
     * Notifies all subscribers with the updated cart content.
     * @param {*} item The item to add to the cart.
     * @returns {Observable<boolean>} Emits true if added, false otherwise.
     */
    addItem(item) {
       return new Observable((observer) => {
-         $svc('ajax').put(
-            $svc('default').cart.addItemAPI,
-            { item: item }
+         this.#deps.ajax.put(
+            this.#deps.config.getString('cart.addItemAPI'),
+            { item: item },
+            { invalidates: ['cart'], retry: false }
          ).subscribe({
             next: (data) => {
                if (data.result === 'SUCCESS') {
@@ -64,7 +104,8 @@ export class Core_CartService {
                observer.complete();
             },
             error: (err) => {
-               // Notify the observer of the error
+               // Report, then notify the observer of the error
+               this.#deps.error.captureError(err, { source: 'cart', action: 'update' });
                observer.error(err);
             }
          });
@@ -73,15 +114,18 @@ export class Core_CartService {
 
    /**
     * Removes an item from the cart and returns an Observable indicating success or failure.
+    * While offline (with 'ajax.offline.enabled'), the change is queued and the Observable emits once it is replayed.
+    * Never retried: the change would be applied twice if the first request reached the backend.
     * Notifies all subscribers with the updated cart content.
     * @param {*} item The item to remove from the cart.
     * @returns {Observable<boolean>} Emits true if removed, false otherwise.
     */
    removeItem(item) {
       return new Observable((observer) => {
-         $svc('ajax').put(
-            $svc('default').cart.removeItemAPI,
-            { item: item }
+         this.#deps.ajax.put(
+            this.#deps.config.getString('cart.removeItemAPI'),
+            { item: item },
+            { invalidates: ['cart'], retry: false }
          ).subscribe({
             next: (data) => {
                if (data.result === 'SUCCESS') {
@@ -102,7 +146,8 @@ export class Core_CartService {
                observer.complete();
             },
             error: (err) => {
-               // Notify the observer of the error
+               // Report, then notify the observer of the error
+               this.#deps.error.captureError(err, { source: 'cart', action: 'update' });
                observer.error(err);
             }
          });
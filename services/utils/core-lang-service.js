@@ -5,6 +5,11 @@ export class Core_LangService {
    #data;               // All language mappings, organized by containers
    #notif;              // BehaviorSubject to notify clients of language data changes
    #defaultContainer;   // Default container for language labels
+   #deps;               // Injected services
+   #log;                // Logger of the 'lang' category
+
+   // Services to be built before this one
+   static dependencies = ['config', 'ajax', 'log', 'error'];
 
    /**
     * Constructs the language service.
@@ -14,7 +19,23 @@ export class Core_LangService {
       this.#data = null;
       this.#currentLang = defaultLang;
       this.#notif = new BehaviorSubject(this.#data);
-      this.#defaultContainer = $svc('default').lang.globalContainer;
+   }
+
+   /**
+    * Lifecycle hook: keeps the injected services and reads the language settings.
+    * @param {Object} deps Injected services (see static dependencies).
+    */
+   init(deps) {
+      this.#deps = deps;
+      this.#log = deps.log.getLogger('lang');
+      this.#defaultContainer = deps.config.getString('lang.globalContainer');
+   }
+
+   /**
+    * Lifecycle hook: completes the notification stream.
+    */
+   dispose() {
+      this.#notif.complete();
    }
 
    /**
@@ -23,44 +44,36 @@ export class Core_LangService {
     * @returns {BehaviorSubject<Object>} Observable emitting language data.
     */
    getData() {
-      let targetAPI = $svc('default').lang.api;
-
-      // Prevent multiple simultaneous loads
-      if ((this.#data === null)
-         && ($svc('resource').lock("api", targetAPI))) {
-
-         // Fetch language data from the source
-         $svc('ajax').getJSON(
-            targetAPI,
-            { lang: this.#currentLang }
-         ).subscribe(
-            (response) => {
-               console.log('response', response, response?.status);
+      if (this.#data === null) {
+
+         // Fetch language data from the source (a read, safe to retry on flaky networks)
+         // Simultaneous loads share the same call, and only the last one is handled on the 'lang' channel
+         this.#deps.ajax.getJSON(
+            this.#deps.config.getString('lang.api'),
+            { lang: this.#currentLang },
+            { idempotent: true, channel: 'lang' }
+         ).subscribe({
+            next: (response) => {
                // getJSON now returns the API response directly
                // Check the functional status in response.status
                if (response && response.status === 'SUCCESS') {
                   this.#data = response.data.labels;
 
-                  $svc('resource').unlock("api", targetAPI);
-
                   // Update all registered objects with the new language
                   this.processLangSelected();
 
                   // Notify all interested clients of the update
                   this.#notif.next(this.#data);
-               } else if (response && response.status === 'LANG_ERROR') {
-                  // Handle language loading error
-                  $svc('resource').unlock("api", targetAPI);
-                  
-                  // Notify clients of the error
-                  this.#notif.next(null);
                } else {
-                  // Handle HTTP errors or unexpected response format
-                  $svc('resource').unlock("api", targetAPI);
+                  // Language loading error (LANG_ERROR) or unexpected response format: notify clients
                   this.#notif.next(null);
                }
+            },
+            error: (err) => {
+               this.#deps.error.captureError(err, { source: 'lang', action: 'load', lang: this.#currentLang });
+               this.#notif.next(null);
             }
-         );
+         });
       }
 
       return this.#notif;
@@ -125,7 +138,7 @@ export class Core_LangService {
 
       if (!theValue) {
          theValue = '<b>Label not found</b>';
-         $svc('log').error('Lang label [' + info.name + '] not found in [' + info.container + ']');
+         this.#log.error('Lang label [' + info.name + '] not found in [' + info.container + ']');
       }
       else {
          // Update an attribute if required, or innerHTML otherwise 
@@ -4,6 +4,10 @@
  */
 export class Core_ZipService {
    #contexts; // Stores all possible contexts
+   #log;      // Logger of the service
+
+   // Services to be built before this one
+   static dependencies = ['log'];
 
    /**
     * Constructs the zip service and initializes the context map.
@@ -12,6 +16,14 @@ export class Core_ZipService {
       this.#contexts = new Map();
    }
 
+   /**
+    * Lifecycle hook: takes the logger of the service.
+    * @param {Object} deps Injected services (see static dependencies).
+    */
+   init(deps) {
+      this.#log = deps.log.getLogger('zip');
+   }
+
    /**
     * Initializes a new context with given parameters.
     * @param {string} contextName The name of the context.
@@ -20,7 +32,7 @@ export class Core_ZipService {
     */
    initContext(contextName, contextParams) {
       if (this.#contexts.has(contextName)) {
-         $svc('log').error('Cannot create twice the same context [' + contextName + '] in core-zip-service');
+         this.#log.error('Cannot create twice the same context [' + contextName + '] in core-zip-service');
       } else {
          this.#contexts.set(contextName, {
             params: contextParams,
@@ -0,0 +1,317 @@
+/**
+ * Tests of the ajax service, answered by a mock backend: retries, shared in-flight calls, the response cache
+ * and the offline queue.
+ * Run with core-test-setup.mjs (see its usage).
+ */
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { firstValueFrom, lastValueFrom, merge, throwError, toArray } from 'rxjs';
+
+const { Core } = await import('../services/core/core.js');
+const { Core_MockBackend } = await import('../lib/api/core-mock-backend.js');
+const { Core_MemoryTransport } = await import('../lib/log/transports/core-memory-transport.js');
+const { Core_NetworkError } = await import('../lib/api/errors/core-network-error.js');
+
+// Retries without waiting for long: 10ms, then 20ms...
+const fastRetry = { delay: 10, factor: 2, jitter: 0 };
+
+/**
+ * Builds a test instance whose ajax service is answered by a mock backend.
+ * @param {Object} [settings={}] The settings of the mock backend (see Core_MockBackend).
+ * @param {Object<string, *>} [config={}] Configuration values set before the ajax service is built, by key.
+ * @returns {{ajax: Core_AjaxService, backend: Core_MockBackend}} The ajax service and its backend.
+ */
+function mockedAjax(settings = {}, config = {}) {
+   Core.createTestInstance();
+   $svc('log').setOutput(() => { });
+   $svc('log').addTransport('memory', new Core_MemoryTransport());
+   Object.entries(config).forEach(([key, value]) => $svc('config').set(key, value));
+
+   const backend = new Core_MockBackend(settings);
+   $svc('ajax').setMockBackend(backend);
+   return { ajax: $svc('ajax'), backend: backend };
+}
+
+/**
+ * Adds a route failing with a status a number of times, then answering.
+ * @param {Core_MockBackend} backend The mock backend.
+ * @param {string} method The HTTP method.
+ * @param {string} url The URL.
+ * @param {Array<number|Object>} failures The statuses of the failures, or replies (see Core_MockBackend.reply()).
+ * @returns {{count: number}} Counts the requests received.
+ */
+function flakyRoute(backend, method, url, failures) {
+   const received = { count: 0 };
+
+   backend.addRoute(method, url, () => {
+      const failure = failures[received.count++];
+      if (failure === undefined) {
+         return { result: 'SUCCESS' };
+      }
+      return (typeof failure === 'number') ? Core_MockBackend.reply(failure) : failure;
+   });
+   return received;
+}
+
+/**
+ * Gives the delays of the retries logged by the ajax service.
+ * @returns {Array<number>} The delays in ms.
+ */
+function retryDelays() {
+   return $svc('log').getTransport('memory').getRecords()
+      .filter((record) => record.category === 'ajax' && record.context?.attempt !== undefined)
+      .map((record) => record.context.delay);
+}
+
+/**
+ * Sets the connection status seen by the application, and notifies it.
+ * @param {boolean} online False to be offline.
+ */
+function setOnline(online) {
+   Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+   window.dispatchEvent(new Event(online ? 'online' : 'offline'));
+}
+
+afterEach(() => {
+   delete navigator.onLine;
+   localStorage.clear();
+   sessionStorage.clear();
+   Core.resetInstance();
+});
+
+test('transient failures of idempotent requests are retried with an exponential backoff', async () => {
+   const { ajax, backend } = mockedAjax();
+   const received = flakyRoute(backend, 'GET', 'TEAMS', [503, 502]);
+
+   const body = await firstValueFrom(ajax.get('TEAMS', {}, { retry: fastRetry }));
+
+   assert.deepEqual(body, { result: 'SUCCESS' });
+   assert.equal(received.count, 3);
+   assert.deepEqual(retryDelays(), [10, 20]);
+});
+
+test('retries stop after the count of the policy, with the last failure', async () => {
+   const { ajax, backend } = mockedAjax();
+   const received = flakyRoute(backend, 'GET', 'TEAMS', [503, 503, 503, 503]);
+
+   await assert.rejects(firstValueFrom(ajax.get('TEAMS', {}, { retry: { ...fastRetry, count: 2 } })), { status: 503 });
+   assert.equal(received.count, 3);
+});
+
+test('PUT is retried by default, POST only when idempotent, and any request can opt out', async () => {
+   const { ajax, backend } = mockedAjax();
+   const put = flakyRoute(backend, 'PUT', 'CART/addItem', [503]);
+   const post = flakyRoute(backend, 'POST', 'TEAMS', [503, 503]);
+   const noRetry = flakyRoute(backend, 'DELETE', 'TEAMS/1', [503]);
+
+   await firstValueFrom(ajax.put('CART/addItem', {}, { retry: fastRetry }));
+   await assert.rejects(firstValueFrom(ajax.post('TEAMS', {}, { retry: fastRetry })), { status: 503 });
+   await firstValueFrom(ajax.post('TEAMS', {}, { retry: fastRetry, idempotent: true }));
+   await assert.rejects(firstValueFrom(ajax.delete('TEAMS/1', {}, { retry: false })), { status: 503 });
+
+   assert.deepEqual([put.count, post.count, noRetry.count], [2, 3, 1]);
+});
+
+test('failures which are not transient are not retried', async () => {
+   const { ajax, backend } = mockedAjax();
+   const received = flakyRoute(backend, 'GET', 'TEAMS', [404]);
+
+   await assert.rejects(firstValueFrom(ajax.get('TEAMS', {}, { retry: fastRetry })), { status: 404 });
+   assert.equal(received.count, 1);
+});
+
+test('Retry-After sets the delay, and gives up when longer than maxDelay', async () => {
+   const { ajax, backend } = mockedAjax();
+   const soon = flakyRoute(backend, 'GET', 'SOON', [Core_MockBackend.reply(429, null, { 'retry-after': '0' })]);
+   const late = flakyRoute(backend, 'GET', 'LATE', [Core_MockBackend.reply(503, null, { 'retry-after': '120' })]);
+
+   await firstValueFrom(ajax.get('SOON', {}, { retry: fastRetry }));
+   await assert.rejects(firstValueFrom(ajax.get('LATE', {}, { retry: { ...fastRetry, maxDelay: 1000 } })), { status: 503 });
+
+   assert.deepEqual([soon.count, late.count], [2, 1]);
+   assert.deepEqual(retryDelays(), [0]);
+});
+
+test('identical requests in flight share one call, unless they differ or opt out', async () => {
+   const { ajax, backend } = mockedAjax({ latency: 10 });
+   const received = { count: 0 };
+   backend.addRoute('*', 'TEAMS', () => ({ call: ++received.count }));
+
+   const bodies = await lastValueFrom(merge(
+      ajax.get('TEAMS'),
+      ajax.get('TEAMS'),
+      ajax.get('TEAMS', { Accept: 'text/csv' }),
+      ajax.get('TEAMS', {}, { dedupe: false }),
+      ajax.post('TEAMS', { name: 'Blue' }),
+      ajax.post('TEAMS', { name: 'Blue' }, { idempotent: true }),
+      ajax.post('TEAMS', { name: 'Blue' }, { idempotent: true })
+   ).pipe(toArray()));
+
+   assert.equal(received.count, 5);
+   assert.equal(bodies.length, 7);
+});
+
+test('a request in flight for a session is not shared with the next session', async () => {
+   const { ajax, backend } = mockedAjax({ latency: 10 });
+   const tokens = [];
+   backend.addRoute('GET', 'CART/loadItems', ({ request }) => {
+      tokens.push(request.headers.Authorization);
+      return { token: request.headers.Authorization };
+   });
+
+   $svc('auth').login({ accessToken: 'alice' });
+   const alice = firstValueFrom(ajax.get('CART/loadItems'));
+   $svc('auth').logout();
+   $svc('auth').login({ accessToken: 'bob' });
+   const bob = firstValueFrom(ajax.get('CART/loadItems'));
+
+   assert.deepEqual([await alice, await bob], [{ token: 'Bearer alice' }, { token: 'Bearer bob' }]);
+   assert.deepEqual(tokens.sort(), ['Bearer alice', 'Bearer bob']);
+});
+
+/**
+ * Adds a route answering a versioned resource with its ETag, and 304 when asked with the current ETag.
+ * @param {Core_MockBackend} backend The mock backend.
+ * @param {string} url The URL.
+ * @returns {{version: number, count: number, conditional: number}} The current version (to change it),
+ *          counting the requests received and the conditional ones.
+ */
+function versionedRoute(backend, url) {
+   const resource = { version: 1, count: 0, conditional: 0 };
+
+   backend.addRoute('GET', url, ({ request }) => {
+      const etag = '"v' + resource.version + '"';
+      resource.count++;
+      if (request.headers['If-None-Match'] !== undefined) {
+         resource.conditional++;
+      }
+      return (request.headers['If-None-Match'] === etag)
+         ? Core_MockBackend.reply(304)
+         : Core_MockBackend.reply(200, { version: resource.version }, { etag: etag });
+   });
+   return resource;
+}
+
+test('a cached response is answered without asking the server while fresh', async () => {
+   const { ajax, backend } = mockedAjax();
+   $svc('config').set('ajax.cache.rules', [{ url: 'REF/*', ttl: 60000 }]);
+   const countries = versionedRoute(backend, 'REF/countries');
+   const teams = versionedRoute(backend, 'TEAMS');
+
+   await firstValueFrom(ajax.get('REF/countries'));
+   const cached = await firstValueFrom(ajax.get('REF/countries', {}, { observe: 'response' }));
+   await firstValueFrom(ajax.get('REF/countries', {}, { cache: false }));
+   await firstValueFrom(ajax.get('TEAMS'));
+   await firstValueFrom(ajax.get('TEAMS'));
+
+   assert.equal(cached.fromCache, true);
+   assert.deepEqual(cached.body, { version: 1 });
+   assert.deepEqual([countries.count, teams.count], [2, 2]);
+});
+
+test('an expired response is revalidated with its ETag, and kept while not modified', async () => {
+   const { ajax, backend } = mockedAjax();
+   const teams = versionedRoute(backend, 'TEAMS');
+   const cache = { ttl: 0 };
+
+   await firstValueFrom(ajax.get('TEAMS', {}, { cache: cache }));
+   const notModified = await firstValueFrom(ajax.get('TEAMS', {}, { cache: cache, observe: 'response' }));
+   teams.version = 2;
+   const modified = await firstValueFrom(ajax.get('TEAMS', {}, { cache: cache }));
+
+   assert.equal(notModified.fromCache, true);
+   assert.deepEqual(notModified.body, { version: 1 });
+   assert.deepEqual(modified, { version: 2 });
+   assert.deepEqual([teams.count, teams.conditional], [3, 2]);
+});
+
+test('with staleWhileRevalidate, an expired response is emitted at once, then the fresh one', async () => {
+   const { ajax, backend } = mockedAjax();
+   const teams = versionedRoute(backend, 'TEAMS');
+   const cache = { ttl: 0, staleWhileRevalidate: true };
+
+   await firstValueFrom(ajax.get('TEAMS', {}, { cache: cache }));
+   const unchanged = await lastValueFrom(ajax.get('TEAMS', {}, { cache: cache }).pipe(toArray()));
+   teams.version = 2;
+   const changed = await lastValueFrom(ajax.get('TEAMS', {}, { cache: cache }).pipe(toArray()));
+
+   assert.deepEqual(unchanged, [{ version: 1 }]);
+   assert.deepEqual(changed, [{ version: 1 }, { version: 2 }]);
+});
+
+test('a successful request drops the cached responses of the tags it invalidates', async () => {
+   const { ajax, backend } = mockedAjax();
+   const teams = versionedRoute(backend, 'TEAMS');
+   backend.addRoute('POST', 'TEAMS', () => ({ result: 'SUCCESS' }));
+   const cache = { ttl: 60000, tags: ['teams'] };
+
+   await firstValueFrom(ajax.get('TEAMS', {}, { cache: cache }));
+   await firstValueFrom(ajax.post('TEAMS', { name: 'Blue' }, { invalidates: ['teams'] }));
+   await firstValueFrom(ajax.get('TEAMS', {}, { cache: cache }));
+
+   assert.equal(teams.count, 2);
+});
+
+test('the responses cached for a session are never answered to another one', async () => {
+   const { ajax, backend } = mockedAjax();
+   const cart = versionedRoute(backend, 'CART/loadItems');
+   const cache = { ttl: 60000 };
+
+   $svc('auth').login({ accessToken: 'alice' });
+   await firstValueFrom(ajax.get('CART/loadItems', {}, { cache: cache }));
+   $svc('auth').login({ accessToken: 'bob' });
+   const response = await firstValueFrom(ajax.get('CART/loadItems', {}, { cache: cache, observe: 'response' }));
+
+   assert.equal(response.fromCache, undefined);
+   assert.equal(cart.count, 2);
+});
+
+test('mutations made while offline are queued, then replayed in order once online', async () => {
+   const { ajax, backend } = mockedAjax({}, { 'ajax.offline.enabled': true });
+   const received = [];
+   backend.addRoute('PUT', 'CART/:action', ({ request, params }) => {
+      received.push([params.action, request.headers['Idempotency-Key'] !== undefined]);
+      return { result: params.action };
+   });
+
+   setOnline(false);
+   const added = firstValueFrom(ajax.put('CART/addItem', { item: 1 }, { retry: false }));
+   const removed = firstValueFrom(ajax.put('CART/removeItem', { item: 2 }, { retry: false }));
+   await new Promise((resolve) => setTimeout(resolve));
+   assert.equal(ajax.getOfflineQueue().pending, 2);
+   assert.deepEqual(received, []);
+
+   setOnline(true);
+
+   assert.deepEqual([await added, await removed], [{ result: 'addItem' }, { result: 'removeItem' }]);
+   assert.deepEqual(received, [['addItem', true], ['removeItem', true]]);
+   assert.equal(ajax.getOfflineQueue().pending, 0);
+});
+
+test('a mutation which cannot reach the server is queued, and tried again after the retry delay', async () => {
+   const { ajax, backend } = mockedAjax({}, { 'ajax.offline.enabled': true, 'ajax.offline.retryDelay': 10 });
+   const received = { count: 0 };
+   backend.addRoute('PUT', 'CART/addItem', ({ request }) => (++received.count < 3)
+      ? throwError(() => new Core_NetworkError(request, new Error('unreachable')))
+      : { result: 'SUCCESS' });
+
+   const body = await firstValueFrom(ajax.put('CART/addItem', { item: 1 }, { retry: false }));
+
+   assert.deepEqual(body, { result: 'SUCCESS' });
+   assert.equal(received.count, 3);
+});
+
+test('a replayed mutation rejected by the server is dropped, after calling the conflict handlers', async () => {
+   const { ajax, backend } = mockedAjax({}, { 'ajax.offline.enabled': true });
+   const conflicts = [];
+   backend.addRoute('PUT', 'CART/addItem', () => Core_MockBackend.reply(409, { result: 'OUT_OF_STOCK' }));
+   ajax.getOfflineQueue().addConflictHandler('cart', (entry, error) => conflicts.push([entry.url, error.status]));
+
+   setOnline(false);
+   const added = firstValueFrom(ajax.put('CART/addItem', { item: 1 }, { retry: false }));
+   setOnline(true);
+
+   await assert.rejects(added, { status: 409 });
+   assert.deepEqual(conflicts, [['CART/addItem', 409]]);
+   assert.deepEqual(await ajax.getOfflineQueue().getEntries(), []);
+});
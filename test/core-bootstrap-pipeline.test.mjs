@@ -0,0 +1,114 @@
+/**
+ * Tests of the startup pipeline: task order, dependencies, timeouts and optional tasks.
+ * Run with core-test-setup.mjs (see its usage).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { of } from 'rxjs';
+
+const { Core_BootstrapPipeline } = await import('../services/core/core-bootstrap-pipeline.js');
+
+const { DONE, FAILED, SKIPPED } = Core_BootstrapPipeline.taskStatus;
+
+/**
+ * Gives the status of each task of a report.
+ * @param {Object} report The pipeline report.
+ * @returns {Object<string, string>} The statuses by task name.
+ */
+function statuses(report) {
+   return Object.fromEntries(report.tasks.map((task) => [task.name, task.status]));
+}
+
+test('tasks ready at the same time run by decreasing priority', async () => {
+   const pipeline = new Core_BootstrapPipeline();
+   const order = [];
+   pipeline.addTask('low', () => order.push('low'), { priority: -10 });
+   pipeline.addTask('high', () => order.push('high'), { priority: 100 });
+   pipeline.addTask('normal', () => order.push('normal'));
+
+   const report = await pipeline.run();
+
+   assert.deepEqual(order, ['high', 'normal', 'low']);
+   assert.equal(report.success, true);
+});
+
+test('a task waits for its dependencies, whatever its priority', async () => {
+   const pipeline = new Core_BootstrapPipeline();
+   const order = [];
+   pipeline.addTask('lang', () => order.push('lang'), { priority: 100, dependsOn: ['config'] });
+   pipeline.addTask('config', async () => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      order.push('config');
+   });
+   pipeline.addTask('labels', () => order.push('labels'), { dependsOn: ['lang'] });
+
+   await pipeline.run();
+
+   assert.deepEqual(order, ['config', 'lang', 'labels']);
+});
+
+test('observables are awaited up to their first value', async () => {
+   const pipeline = new Core_BootstrapPipeline();
+   pipeline.addTask('labels', () => of('loaded'));
+
+   assert.deepEqual(statuses(await pipeline.run()), { labels: DONE });
+});
+
+test('the tasks depending on a failed task are skipped, and the run fails', async () => {
+   const pipeline = new Core_BootstrapPipeline();
+   pipeline.addTask('config', () => Promise.reject(new Error('no file')));
+   pipeline.addTask('lang', () => { }, { dependsOn: ['config'] });
+   pipeline.addTask('menu', () => { }, { dependsOn: ['lang'] });
+
+   const report = await pipeline.run();
+
+   assert.deepEqual(statuses(report), { config: FAILED, lang: SKIPPED, menu: SKIPPED });
+   assert.equal(report.tasks[0].error.message, 'no file');
+   assert.equal(report.success, false);
+});
+
+test('a task running past its timeout fails', async () => {
+   const pipeline = new Core_BootstrapPipeline();
+   pipeline.addTask('slow', () => new Promise(() => { }), { timeout: 10 });
+
+   const report = await pipeline.run();
+
+   assert.deepEqual(statuses(report), { slow: FAILED });
+   assert.match(report.tasks[0].error.message, /timed out after 10ms/);
+});
+
+test('an optional task may fail without failing the run', async () => {
+   const pipeline = new Core_BootstrapPipeline();
+   pipeline.addTask('config', () => { });
+   pipeline.addTask('lang', () => { throw new Error('no labels'); }, { dependsOn: ['config'], optional: true });
+
+   const report = await pipeline.run();
+
+   assert.deepEqual(statuses(report), { config: DONE, lang: FAILED });
+   assert.equal(report.success, true);
+});
+
+test('unknown dependencies and dependency cycles fail the tasks concerned', async () => {
+   const pipeline = new Core_BootstrapPipeline();
+   pipeline.addTask('orphan', () => { }, { dependsOn: ['missing'] });
+   pipeline.addTask('chicken', () => { }, { dependsOn: ['egg'] });
+   pipeline.addTask('egg', () => { }, { dependsOn: ['chicken'] });
+
+   const report = await pipeline.run();
+
+   assert.deepEqual(statuses(report), { orphan: FAILED, chicken: FAILED, egg: FAILED });
+   assert.match(report.tasks.find((task) => task.name === 'egg').error.message, /dependency cycle/);
+});
+
+test('the pipeline runs once, and takes no task once running', async () => {
+   const pipeline = new Core_BootstrapPipeline();
+   let runs = 0;
+   pipeline.addTask('count', () => runs++);
+
+   const first = pipeline.run();
+
+   assert.equal(pipeline.run(), first);
+   assert.throws(() => pipeline.addTask('late', () => { }), /once the bootstrap pipeline is running/);
+   await first;
+   assert.equal(runs, 1);
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests of the configuration service: layers and their precedence, URL query keys, getters, change stream,
+ * schema validation and profiles.
+ * Run with core-test-setup.mjs (see its usage).
+ */
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { of } from 'rxjs';
+
+const { Core } = await import('../services/core/core.js');
+const { Core_ConfigService } = await import('../services/core/core-config-service.js');
+
+/**
+ * Builds a test instance whose configuration file holds the given values, the page being set up beforehand.
+ * @param {Object} [fileValues={}] The values of the configuration file.
+ * @param {Object} [page={}] The page: URL search and <meta name="core:..."> tags.
+ * @param {string} [page.search=''] The query string of the URL.
+ * @param {Object<string, string>} [page.metas={}] The contents of the meta tags, by dotted key.
+ * @returns {Promise<Core_ConfigService>} The configuration service, its file loaded.
+ */
+async function configWith(fileValues = {}, { search = '', metas = {} } = {}) {
+   history.replaceState(null, '', '/' + search);
+   Object.entries(metas).forEach(([key, content]) => {
+      const meta = document.createElement('meta');
+      meta.setAttribute('name', 'core:' + key);
+      meta.setAttribute('content', content);
+      document.head.appendChild(meta);
+   });
+
+   Core.createTestInstance({ overrides: { ajax: { get: () => of(fileValues) } } });
+   $svc('log').setOutput(() => { });
+   await $svc('config').loadFile('/config.json');
+   return $svc('config');
+}
+
+afterEach(() => {
+   document.head.innerHTML = '';
+   history.replaceState(null, '', '/');
+   Core.resetInstance();
+});
+
+test('each layer overrides the lower ones: defaults, file, page, query, runtime', async () => {
+   const config = await configWith(
+      { lang: { api: 'fileLang' }, paginator: { nbValidEntries: 9 }, log: { level: 2 } },
+      { search: '?core.log.level=4', metas: { 'paginator.nbValidEntries': '7', 'log.level': '3' } }
+   );
+
+   assert.equal(config.get('lang.globalContainer'), 'global');
+   assert.equal(config.get('lang.api'), 'fileLang');
+   assert.equal(config.get('paginator.nbValidEntries'), 7);
+   assert.equal(config.get('log.level'), 4);
+
+   config.set('log.level', 5);
+   assert.equal(config.get('log.level'), 5);
+   assert.deepEqual(config.getLayer(Core_ConfigService.layers.QUERY), { log: { level: 4 } });
+});
+
+test('the URL query only sets the keys allowed by queryKeys, which the file may extend', async () => {
+   const search = '?core.configUrl=//evil.example/config.json&core.lang.api=queryLang&core.log.level=1';
+
+   let config = await configWith({}, { search: search });
+   assert.equal(config.get('configUrl'), null);
+   assert.equal(config.get('lang.api'), 'loadLang');
+   assert.equal(config.get('log.level'), 1);
+
+   config = await configWith({ queryKeys: ['lang'] }, { search: search + '&core.queryKeys=configUrl' });
+   assert.equal(config.get('lang.api'), 'queryLang');
+   assert.equal(config.get('configUrl'), null);
+});
+
+test('typed getters convert the values, or give the fallback when missing or not convertible', async () => {
+   const config = await configWith({ cart: { addItemAPI: 'CART/add' }, custom: { count: '3', size: 'big', list: 'a, b' } });
+
+   assert.equal(config.getString('cart.addItemAPI'), 'CART/add');
+   assert.equal(config.getString('cart.missing', 'none'), 'none');
+   assert.equal(config.getNumber('paginator.nbValidEntries'), 5);
+   assert.equal(config.getNumber('custom.count'), 3);
+   assert.equal(config.getNumber('custom.size', 1), 1);
+   assert.deepEqual(config.getArray('custom.list'), ['a', 'b']);
+   assert.deepEqual(config.getObject('custom.list', { none: true }), { none: true });
+   assert.equal(config.getBoolean('lang.isActivated', true), false);
+   assert.equal(config.has('cart.loadItemsAPI'), true);
+});
+
+test('watch emits the value of a key, then each of its changes only', async () => {
+   const config = await configWith();
+   const values = [];
+   const sub = config.watch('log.level').subscribe((value) => values.push(value));
+
+   config.set('log.level', 2);
+   config.set('cart.addItemAPI', 'CART/add');
+   config.set('log.level', 8);
+   sub.unsubscribe();
+
+   assert.deepEqual(values, [config.getLayer(Core_ConfigService.layers.DEFAULTS).log.level, 2, 8]);
+});
+
+test('validation reports all violations of the schema at once', async () => {
+   const config = await configWith({ ajax: { cache: { store: 'disk' } }, lang: { api: null }, paginator: { nbValidEntries: 2.5 } });
+   config.defineSchema({
+      'shop.apiUrl': { type: 'string', required: true },
+      'shop.currency': { type: 'string', default: 'EUR' }
+   });
+
+   assert.equal(config.get('shop.currency'), 'EUR');
+   assert.deepEqual(config.validate().map((violation) => violation.key).sort(),
+      ['ajax.cache.store', 'lang.api', 'paginator.nbValidEntries', 'shop.apiUrl']);
+   assert.throws(() => config.assertValid(), (error) => error.violations.length === 4);
+
+   config.set('shop.apiUrl', '/shop');
+   config.set('ajax.cache.store', 'memory');
+   config.set('lang.api', 'loadLang');
+   config.set('paginator.nbValidEntries', 3);
+   assert.deepEqual(config.validate(), []);
+});
+
+test('the built-in schema only requires keys that a default value cannot fill', async () => {
+   const config = await configWith();
+   const defaults = config.getLayer(Core_ConfigService.layers.DEFAULTS);
+
+   const requiredWithDefault = Object.entries(config.getSchema())
+      .filter(([key, rule]) => rule.required && (rule.default !== undefined
+         || key.split('.').reduce((values, part) => values?.[part], defaults) !== undefined))
+      .map(([key]) => key);
+
+   assert.deepEqual(requiredWithDefault, []);
+});
+
+test('the profile named by the environment overlays the file layer, under the page', async () => {
+   const config = await configWith(
+      { environment: 'production', log: { level: 2 }, profiles: { production: { log: { level: 12 }, lang: { api: 'prodLang' } } } },
+      { metas: { 'lang.api': 'pageLang' } }
+   );
+   config.defineProfile('demo', { log: { level: 1 } });
+
+   assert.equal(config.getProfile(), 'production');
+   assert.equal(config.get('log.level'), 12);
+   assert.equal(config.get('lang.api'), 'pageLang');
+
+   config.setProfile('demo');
+   assert.equal(config.get('log.level'), 1);
+
+   config.setProfile('nowhere');
+   assert.equal(config.get('log.level'), 2);
+   assert.deepEqual(config.validate().map((violation) => violation.key), ['environment']);
+});
@@ -0,0 +1,37 @@
+/**
+ * Node module hooks loading the library as the bundlers of the projects do (see core-test-setup.mjs):
+ * relative imports without extension resolve to their .js file, and the .js files of the library are ES modules.
+ */
+const libraryRoot = new URL('../', import.meta.url).href;
+
+/**
+ * Resolves a module, adding the .js extension to relative imports that have none.
+ * @param {string} specifier The imported path.
+ * @param {Object} context The resolution context.
+ * @param {Function} nextResolve The next resolve hook.
+ * @returns {Promise<Object>} The resolved module.
+ */
+export async function resolve(specifier, context, nextResolve) {
+   try {
+      return await nextResolve(specifier, context);
+   } catch (error) {
+      if (error?.code === 'ERR_MODULE_NOT_FOUND' && /^\.{1,2}\//.test(specifier) && !/\.[a-z]+$/i.test(specifier)) {
+         return nextResolve(specifier + '.js', context);
+      }
+      throw error;
+   }
+}
+
+/**
+ * Loads a module, the .js files of the library as ES modules.
+ * @param {string} url The module URL.
+ * @param {Object} context The load context.
+ * @param {Function} nextLoad The next load hook.
+ * @returns {Promise<Object>} The loaded module.
+ */
+export async function load(url, context, nextLoad) {
+   if (url.startsWith(libraryRoot) && url.endsWith('.js') && !url.includes('/node_modules/')) {
+      return nextLoad(url, { ...context, format: 'module' });
+   }
+   return nextLoad(url, context);
+}
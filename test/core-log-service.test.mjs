@@ -0,0 +1,148 @@
+/**
+ * Tests of the log service: transports, levels by category, and tracing spans.
+ * Run with core-test-setup.mjs (see its usage).
+ */
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { of } from 'rxjs';
+
+const { Core } = await import('../services/core/core.js');
+const { Core_LogService } = await import('../services/core/core-log-service.js');
+const { Core_MemoryTransport } = await import('../lib/log/transports/core-memory-transport.js');
+const { Core_DataSource } = await import('../lib/data/core-data-source.js');
+
+const { INFO, DEBUG, ERROR } = Core_LogService.levels;
+
+/**
+ * Builds a test instance whose page configuration is given, and whose ajax service records its calls.
+ * @param {Object} [pageConfig={}] The configuration of the page (data-core-config attribute of <body>).
+ * @returns {Core} The instance.
+ */
+function coreWith(pageConfig = {}) {
+   document.body.setAttribute('data-core-config', JSON.stringify(pageConfig));
+
+   const core = Core.createTestInstance({ overrides: { ajax: { getJSON: () => of({}), mapURL: (url) => url } } });
+   $svc('log').setOutput(() => { });
+   return core;
+}
+
+/**
+ * Gives the messages of the records kept by the memory transport of the log service.
+ * @returns {Array<string>} The messages, as 'category:message'.
+ */
+function logged() {
+   return $svc('log').getTransport('memory').getRecords().map((record) => record.category + ':' + record.message);
+}
+
+afterEach(() => {
+   document.body.removeAttribute('data-core-config');
+   localStorage.clear();
+   Core.resetInstance();
+});
+
+test('the http transport ships full batches through the ajax service', () => {
+   const core = coreWith({ log: { transports: { ship: { type: 'http', url: 'LOG/push', batchSize: 2, level: 4 } } } });
+   const log = $svc('log').getLogger('shop');
+
+   log.error('first');
+   log.info('ignored by the transport');
+   assert.equal(core.calls('ajax').length, 0);
+
+   log.error('second');
+   const [call] = core.calls('ajax');
+   assert.equal(call.method, 'getJSON');
+   assert.equal(call.args[0], 'LOG/push');
+   assert.deepEqual(call.args[1].records.map((record) => record.message), ['first', 'second']);
+});
+
+test('the http transport drops its pending records when Core is reset', () => {
+   const core = coreWith({ log: { transports: { ship: { type: 'http', url: 'LOG/push', batchSize: 10 } } } });
+   $svc('log').getLogger('shop').error('pending');
+
+   assert.doesNotThrow(() => Core.resetInstance());
+   assert.equal(core.calls('ajax').length, 0);
+});
+
+test('category levels apply to the matching categories, the others following the global level', () => {
+   coreWith({ log: { level: ERROR, transports: { memory: {} } } });
+   $svc('log').setCategoryLevels('data.*=DEBUG, router=NONE');
+
+   $svc('log').getLogger('data.source').debug('data debug');
+   $svc('log').getLogger('data').getLogger('view').info('view info');
+   $svc('log').getLogger('router').error('router error');
+   $svc('log').getLogger('shop').info('shop info');
+   $svc('log').getLogger('shop').error('shop error');
+
+   assert.deepEqual(logged(), ['data.source:data debug', 'data.view:view info', 'shop:shop error']);
+   assert.equal($svc('log').getLogger('data.source').isEnabled(DEBUG), true);
+   assert.equal($svc('log').getLogger('router').isEnabled(ERROR), false);
+});
+
+test('the most specific category pattern wins: exact names, then the longest patterns', () => {
+   coreWith({ log: { level: ERROR } });
+   $svc('log').setCategoryLevels({ '*': 'NONE', 'data.*': 'ERROR', 'data.source.*': 'INFO', 'data.source.filters': 'DEBUG' });
+
+   assert.equal($svc('log').getLevelFor('data.source.filters') & DEBUG, DEBUG);
+   assert.equal($svc('log').getLevelFor('data.source.view') & (DEBUG | INFO), INFO);
+   assert.equal($svc('log').getLevelFor('data.repository') & (INFO | ERROR), ERROR);
+   assert.equal($svc('log').getLevelFor('router') & ERROR, 0);
+   assert.deepEqual($svc('log').getCategoryLevels().map((entry) => entry.pattern),
+      ['data.source.filters', 'data.source.*', 'data.*', '*']);
+});
+
+test('configured category levels come first, the persisted ones override them until cleared', () => {
+   coreWith({ log: { level: ERROR, categories: 'router=DEBUG, shop=DEBUG' } });
+   $svc('log').setCategoryLevels('router=ERROR', true);
+
+   coreWith({ log: { level: ERROR, categories: 'router=DEBUG, shop=DEBUG' } });
+   assert.equal($svc('log').getLevelFor('router') & DEBUG, 0);
+   assert.equal($svc('log').getLevelFor('shop') & DEBUG, DEBUG);
+
+   $svc('log').clearCategoryLevels();
+   assert.equal(localStorage.getItem(Core_LogService.categoryLevelsStorageKey), null);
+   assert.equal($svc('log').getLevelFor('router') & DEBUG, 0);
+});
+
+test('an unknown level name is reported, and leaves the category to the global level', () => {
+   coreWith({ log: { level: ERROR } });
+   $svc('log').addTransport('memory', new Core_MemoryTransport());
+   $svc('log').setCategoryLevels('router=LOUD');
+
+   assert.deepEqual($svc('log').getCategoryLevels(), []);
+   assert.deepEqual(logged(), ['null:Unknown log level [LOUD] for category [router]']);
+});
+
+test('spans started while another one runs become its children, and feed the trace report', () => {
+   coreWith();
+   const log = $svc('log').getLogger('data.source');
+
+   const outer = log.startSpan('dataUpdated', { mode: 1 });
+   const inner = log.startSpan('sort');
+   inner.end();
+   log.startSpan('sort').end();
+   outer.end({ nbLines: 3 });
+
+   assert.equal(inner.parent, outer);
+   assert.equal(outer.children.length, 2);
+   assert.equal(inner.depth, 1);
+   assert.deepEqual(outer.attributes, { mode: 1, nbLines: 3 });
+   assert.deepEqual($svc('log').getSpans().map((span) => span.name), ['sort', 'sort', 'dataUpdated']);
+   assert.deepEqual($svc('log').getTraceReport().map((entry) => [entry.category, entry.name, entry.count]).sort(),
+      [['data.source', 'dataUpdated', 1], ['data.source', 'sort', 2]]);
+});
+
+test('the spans of the data layer end when the work fails, and do not parent the next ones', () => {
+   coreWith();
+   const source = new (class extends Core_DataSource {
+      sort() {
+         throw new Error('bad sort');
+      }
+   })('id');
+
+   assert.throws(() => source.dataUpdated([{ id: 1 }]), /bad sort/);
+
+   const next = $svc('log').startSpan('next');
+   next.end();
+   assert.equal(next.parent, null);
+   assert.ok($svc('log').getSpans().some((span) => span.name === 'dataUpdated' && span.isEnded));
+});
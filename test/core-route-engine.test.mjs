@@ -0,0 +1,38 @@
+/**
+ * Tests of the route engine: matching URLs to routes, with their params and query.
+ * Run with core-test-setup.mjs (see its usage).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { Core_RouteEngine } = await import('../lib/routing/core-route-engine.js');
+
+// Patterns of the route names, as in the configuration
+const routePatterns = {
+   search: '/search/:terms',
+   team: '/team/:teamId(\\d+)'
+};
+
+/**
+ * Builds an engine resolving route names with routePatterns.
+ * @param {Array<Object>} routes The route descriptors.
+ * @returns {Core_RouteEngine} The engine.
+ */
+function engineWith(routes) {
+   const engine = new Core_RouteEngine({ resolveRoute: (routeName) => routePatterns[routeName] });
+   engine.addRoutes(routes);
+   return engine;
+}
+
+test('the query string starts at the first question mark, the others belonging to it', () => {
+   const engine = engineWith([
+      { route: 'search', routeName: 'search', tagName: 'search-page' },
+      { route: 'team', routeName: 'team', tagName: 'team-page', nested: true }
+   ]);
+
+   const search = engine.match('/search/blue?q=who?&page=2');
+   assert.deepEqual(search.params, { terms: 'blue' });
+   assert.deepEqual(search.query, { q: 'who?', page: '2' });
+
+   assert.equal(engine.match('/team/12/members?q=a?b').rest, '/members?q=a?b');
+});
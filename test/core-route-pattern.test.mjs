@@ -0,0 +1,72 @@
+/**
+ * Tests of the route patterns: matching, building, and URLs built then matched again.
+ * Run with core-test-setup.mjs (see its usage).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { Core_RoutePattern } = await import('../lib/routing/core-route-pattern.js');
+
+/**
+ * Builds a URL with a pattern, then matches it with the same pattern.
+ * @param {string} source The pattern.
+ * @param {Object} params The named params.
+ * @param {Object} [types={}] Types of the params.
+ * @returns {{url: string, params: Object}} The URL built, and the params matched in it.
+ */
+function roundTrip(source, params, types = {}) {
+   const pattern = Core_RoutePattern.compile(source);
+   const url = pattern.build(params);
+   return { url: url, params: pattern.exec(url, { anchored: true, types: types })?.params };
+}
+
+test('named params are matched, numeric ones coerced, optional ones left out', () => {
+   const pattern = Core_RoutePattern.compile('/team/:teamId(\\d+)/members/:tab?');
+
+   assert.deepEqual(pattern.exec('/team/12/members'), { url: '/team/12/members', params: { teamId: 12 }, rest: '' });
+   assert.deepEqual(pattern.exec('/team/12/members/admins').params, { teamId: 12, tab: 'admins' });
+   assert.equal(pattern.exec('/team/blue/members'), null);
+   assert.equal(Core_RoutePattern.compile('/user/:name').exec('/user/%E0%A4%A'), null);
+});
+
+test('built URLs match again with the same params', () => {
+   assert.deepEqual(roundTrip('/team/:teamId(\\d+)/members/:tab?', { teamId: 12, tab: 'admins' }),
+      { url: '/team/12/members/admins', params: { teamId: 12, tab: 'admins' } });
+   assert.deepEqual(roundTrip('/team/:teamId(\\d+)/members/:tab?', { teamId: 12 }),
+      { url: '/team/12/members', params: { teamId: 12 } });
+   assert.deepEqual(roundTrip('/search/:terms', { terms: 'blue & red/green?' }),
+      { url: '/search/blue%20%26%20red%2Fgreen%3F', params: { terms: 'blue & red/green?' } });
+   assert.deepEqual(roundTrip('/match/:won', { won: false }, { won: 'boolean' }).params, { won: false });
+
+   const day = new Date('2024-03-01T10:00:00.000Z');
+   assert.equal(roundTrip('/agenda/:day', { day: day }, { day: 'date' }).params.day.getTime(), day.getTime());
+});
+
+test('the query of a built URL parses back, with the types of its params', () => {
+   const url = Core_RoutePattern.compile('/teams').build({}, { page: 2, tags: ['a', 'b'], q: null });
+
+   assert.equal(url, '/teams?page=2&tags=a&tags=b');
+   assert.deepEqual(Core_RoutePattern.parseQuery(url.slice(url.indexOf('?')), { page: 'number' }), { page: 2, tags: ['a', 'b'] });
+});
+
+test('prefix matching leaves the rest of the path, anchored matching the whole path only', () => {
+   const pattern = Core_RoutePattern.compile('/team/:teamId');
+
+   assert.deepEqual(pattern.exec('/team/12/members', { prefix: true }), { url: '/team/12', params: { teamId: '12' }, rest: '/members' });
+   assert.equal(pattern.exec('/team/12/members', { anchored: true }), null);
+   assert.equal(pattern.exec('/teams', { prefix: true }), null);
+});
+
+test('patterns without named params give positional params, and cannot always be built', () => {
+   const pattern = Core_RoutePattern.compile('team/(\\d+)');
+
+   assert.deepEqual(pattern.exec('/app/team/12').params, ['12']);
+   assert.throws(() => pattern.build(), /cannot be turned into a URL/);
+});
+
+test('building fails when a required param is missing or does not match its regex', () => {
+   const pattern = Core_RoutePattern.compile('/team/:teamId(\\d+)');
+
+   assert.throws(() => pattern.build({}), /Missing parameter \[teamId\]/);
+   assert.throws(() => pattern.build({ teamId: 'blue' }), /does not match/);
+});
@@ -0,0 +1,340 @@
+/**
+ * Tests of the router element: guards and resolvers, navigation events, nested routers.
+ * Run with core-test-setup.mjs (see its usage).
+ */
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { of, throwError } from 'rxjs';
+
+const { Core } = await import('../services/core/core.js');
+const { Core_RouterService } = await import('../services/core/core-router-service.js');
+const { Core_Router } = await import('../lib/routing/core-router.js');
+
+// Patterns of the route names, as in the configuration
+const routePatterns = {
+   teams: '/teams',
+   team: '/team/:teamId(\\d+)',
+   forbidden: '/forbidden'
+};
+
+// URLs the routers were sent to by goTo()
+const redirects = [];
+
+// Router service recording the redirects instead of moving the browser
+class Core_TestRouterService extends Core_RouterService {
+   goTo(url) {
+      redirects.push(url);
+   }
+}
+
+// Component of the routes, keeping what the router gave it
+class Core_TestPage extends HTMLElement {
+   constructor(params = null, query = {}, data = {}) {
+      super();
+      this.params = params;
+      this.query = query;
+      this.data = data;
+   }
+
+   setRouteParams(params, query, data) {
+      this.params = params;
+      this.query = query;
+      this.data = data;
+   }
+}
+customElements.define('core-test-page', Core_TestPage);
+
+// Routes of the router inside Core_TestTeamPage, set by each test
+let teamRoutes = [];
+
+// Component of a nested route, holding a router for the rest of the URL
+class Core_TestTeamPage extends Core_TestPage {
+   constructor(params, query, data) {
+      super(params, query, data);
+      this.router = new Core_Router();
+      this.router.addRoutes(teamRoutes.map((route) => ({ class: Core_TestPage, ...route })));
+      this.appendChild(this.router);
+   }
+}
+customElements.define('core-test-team-page', Core_TestTeamPage);
+
+/**
+ * Builds a test instance and a router in the page, with the given routes.
+ * @param {Array<Object>} routes The route descriptors, their class being Core_TestPage by default.
+ * @returns {Core_Router} The router.
+ */
+function routerWith(routes) {
+   Core.createTestInstance({ overrides: { router: Core_TestRouterService } });
+   $svc('log').setOutput(() => { });
+   $svc('config').setRoutes(routePatterns);
+
+   const router = new Core_Router();
+   router.addRoutes(routes.map((route) => ({ class: Core_TestPage, ...route })));
+   document.body.appendChild(router);
+   return router;
+}
+
+/**
+ * Records the navigation events published by the routers.
+ * @returns {Array<Object>} The events, filled as published.
+ */
+function recordEvents() {
+   const events = [];
+   $svc('router').events$.subscribe((event) => events.push(event));
+   return events;
+}
+
+/**
+ * Lets the Promises of the guards and resolvers settle.
+ * @returns {Promise} Resolves once settled.
+ */
+function settle() {
+   return new Promise((resolve) => setTimeout(resolve));
+}
+
+afterEach(() => {
+   document.body.innerHTML = '';
+   redirects.length = 0;
+   teamRoutes = [];
+   Core.resetInstance();
+});
+
+test('leave checks run before enter checks: component, route, then the global guards by priority', async () => {
+   const checks = [];
+   const router = routerWith([
+      { route: 'teams', routeName: 'teams', canLeave: () => checks.push('route canLeave') },
+      { route: 'team', routeName: 'team', canEnter: () => checks.push('route canEnter') }
+   ]);
+   $svc('router').addGuard('low', { canLeave: () => checks.push('low canLeave'), canEnter: () => checks.push('low canEnter') });
+   $svc('router').addGuard('high', { canEnter: () => checks.push('high canEnter') }, { priority: 10 });
+
+   router.route('/teams');
+   router.firstElementChild.canLeave = () => checks.push('component canLeave');
+   checks.length = 0;
+   router.route('/team/12');
+   await settle();
+
+   assert.deepEqual(checks, ['component canLeave', 'route canLeave', 'low canLeave', 'high canEnter', 'low canEnter', 'route canEnter']);
+   assert.deepEqual(router.firstElementChild.params, { teamId: 12 });
+});
+
+test('a check answering false cancels the navigation, the current route staying displayed', async () => {
+   let allowed = false;
+   const router = routerWith([
+      { route: 'teams', routeName: 'teams' },
+      { route: 'team', routeName: 'team', canEnter: () => Promise.resolve(allowed) }
+   ]);
+
+   router.route('/teams');
+   const teams = router.firstElementChild;
+   router.route('/team/12');
+   await settle();
+
+   assert.equal(router.firstElementChild, teams);
+   assert.equal(router.engine.currentMatch.url, '/teams');
+
+   allowed = true;
+   router.route('/team/12');
+   await settle();
+   assert.equal(router.engine.currentMatch.url, '/team/12');
+});
+
+test('a check answering a URL redirects to it, and the first check not answering true-ish wins', async () => {
+   const entered = [];
+   const router = routerWith([
+      { route: 'teams', routeName: 'teams' },
+      { route: 'team', routeName: 'team', canEnter: () => entered.push('route') && '/forbidden' }
+   ]);
+   $svc('router').addGuard('members', { canEnter: ({ to }) => (to.params.teamId === 13) ? of('/teams') : of(true) });
+
+   router.route('/team/13');
+   router.route('/team/12');
+   await settle();
+
+   assert.deepEqual(redirects, ['/teams', '/forbidden']);
+   assert.deepEqual(entered, ['route']);
+   assert.equal(router.firstElementChild, null);
+});
+
+test('resolvers fetch the data given to the new component, route resolvers overriding the global ones', async () => {
+   const router = routerWith([
+      {
+         route: 'team', routeName: 'team',
+         resolve: {
+            team: ({ to }) => of({ id: to.params.teamId }),
+            members: () => Promise.resolve(['Ann', 'Bob']),
+            coach: () => 'Carl'
+         }
+      }
+   ]);
+   $svc('router').addGuard('user', { resolve: { user: () => 'Dana', coach: () => 'nobody' } });
+
+   router.route('/team/12?tab=members');
+   await settle();
+
+   const page = router.firstElementChild;
+   assert.deepEqual(page.data, { user: 'Dana', coach: 'Carl', team: { id: 12 }, members: ['Ann', 'Bob'] });
+   assert.deepEqual(page.query, { tab: 'members' });
+});
+
+test('a failing guard or resolver cancels the navigation', async () => {
+   const router = routerWith([
+      { route: 'teams', routeName: 'teams', canEnter: () => { throw new Error('no access'); } },
+      { route: 'team', routeName: 'team', resolve: { team: () => throwError(() => new Error('no team')) } }
+   ]);
+
+   router.route('/teams');
+   router.route('/team/12');
+   await settle();
+
+   assert.equal(router.firstElementChild, null);
+   assert.equal(router.engine.currentMatch, null);
+});
+
+test('a navigation publishes its start, the guards and resolvers outcome, then its end', async () => {
+   const router = routerWith([
+      { route: 'teams', routeName: 'teams' },
+      { route: 'team', routeName: 'team', resolve: { team: () => Promise.resolve('Blue') } }
+   ]);
+   const events = recordEvents();
+   const routeChanges = [];
+   document.addEventListener('routeChanged', (event) => routeChanges.push(event.detail.url), { once: true });
+
+   router.route('/teams');
+   router.route('/team/12?tab=members');
+   await settle();
+
+   assert.deepEqual(events.map((event) => [event.id, event.type]), [
+      [1, 'NavigationStart'], [1, 'GuardsChecked'], [1, 'ResolveEnd'], [1, 'NavigationEnd'],
+      [2, 'NavigationStart'], [2, 'GuardsChecked'], [2, 'ResolveEnd'], [2, 'NavigationEnd']
+   ]);
+   assert.equal(events[0].from, null);
+   assert.equal(events[1].allowed, true);
+   assert.deepEqual(events[6].data, { team: 'Blue' });
+
+   const end = events[7];
+   assert.equal(end.url, '/team/12?tab=members');
+   assert.deepEqual(end.from, { route: 'teams', routeName: 'teams', url: '/teams', params: [], query: {} });
+   assert.deepEqual(end.to, { route: 'team', routeName: 'team', url: '/team/12', params: { teamId: 12 }, query: { tab: 'members' } });
+   assert.equal(end.router, router);
+   assert.ok(end.duration >= 0);
+   assert.deepEqual(routeChanges, ['/teams']);
+});
+
+test('a change of the query only is given to the component, between a start and an end', () => {
+   const router = routerWith([{ route: 'team', routeName: 'team' }]);
+   const events = recordEvents();
+
+   router.route('/team/12');
+   const page = router.firstElementChild;
+   router.route('/team/12?tab=members');
+
+   assert.equal(router.firstElementChild, page);
+   assert.deepEqual(page.query, { tab: 'members' });
+   assert.deepEqual(events.slice(4).map((event) => event.type), ['NavigationStart', 'NavigationEnd']);
+});
+
+test('cancelled and failed navigations publish why they stopped', async () => {
+   const router = routerWith([
+      { route: 'teams', routeName: 'teams', canEnter: () => false },
+      { route: 'forbidden', routeName: 'forbidden', canEnter: () => '/teams' },
+      { route: 'team', routeName: 'team', canEnter: () => Promise.reject(new Error('no access')) }
+   ]);
+   const events = recordEvents();
+
+   router.route('/teams');
+   router.route('/forbidden');
+   router.route('/team/12');
+   await settle();
+
+   const last = events.filter((event) => event.type.startsWith('NavigationC') || event.type === 'NavigationError');
+   assert.deepEqual(last.map((event) => [event.type, event.reason ?? event.error.message]),
+      [['NavigationCancel', 'guard'], ['NavigationCancel', 'redirect'], ['NavigationError', 'no access']]);
+   assert.equal(last[1].redirectTo, '/teams');
+   assert.equal(events.find((event) => event.type === 'GuardsChecked').allowed, false);
+});
+
+test('a navigation in flight is cancelled by a newer one, and its late answers are ignored', async () => {
+   let allow;
+   const router = routerWith([
+      { route: 'teams', routeName: 'teams', canEnter: () => new Promise((resolve) => allow = resolve) },
+      { route: 'team', routeName: 'team' }
+   ]);
+   const events = recordEvents();
+
+   router.route('/teams');
+   router.route('/team/12');
+   allow(true);
+   await settle();
+
+   assert.deepEqual(events.map((event) => [event.id, event.type, event.reason]), [
+      [1, 'NavigationStart', undefined], [1, 'NavigationCancel', 'superseded'],
+      [2, 'NavigationStart', undefined], [2, 'GuardsChecked', undefined], [2, 'ResolveEnd', undefined],
+      [2, 'NavigationEnd', undefined]
+   ]);
+   assert.equal(router.engine.currentMatch.url, '/team/12');
+});
+
+test('a nested route consumes the first segments of the URL, its child routers routing the rest', () => {
+   teamRoutes = [{ route: '/members/:tab?' }, { route: '/', isDefault: true }];
+   const router = routerWith([{ route: 'team', routeName: 'team', class: Core_TestTeamPage, nested: true }]);
+
+   router.route('/team/12/members/admins?page=2');
+
+   const team = router.firstElementChild;
+   const members = team.router.firstElementChild;
+   assert.deepEqual(team.params, { teamId: 12 });
+   assert.equal(router.remainingUrl, '/members/admins?page=2');
+   assert.deepEqual([members.params, members.query], [{ tab: 'admins' }, { page: '2' }]);
+   assert.equal(team.router.baseUrl, '/team/12');
+});
+
+test('when only the rest of the URL changes, the nested route stays and only its child routers navigate', () => {
+   let entered = 0;
+   teamRoutes = [{ route: '/members' }, { route: '/summary', isDefault: true }];
+   const router = routerWith([{ route: 'team', routeName: 'team', class: Core_TestTeamPage, nested: true, canEnter: () => ++entered }]);
+
+   router.route('/team/12');
+   const team = router.firstElementChild;
+   assert.equal(router.remainingUrl, '/');
+   assert.equal(team.router.engine.currentMatch.isDefault, true);
+
+   router.route('/team/12/members');
+
+   assert.equal(router.firstElementChild, team);
+   assert.equal(entered, 1);
+   assert.equal(team.router.engine.currentMatch.url, '/members');
+});
+
+test('leaving a nested route checks the routes of its child routers first, which may keep it', () => {
+   const checks = [];
+   let canLeaveMembers = false;
+   teamRoutes = [{ route: '/members', canLeave: () => { checks.push('members'); return canLeaveMembers; } }];
+   const router = routerWith([
+      { route: 'team', routeName: 'team', class: Core_TestTeamPage, nested: true, canLeave: () => checks.push('team') },
+      { route: 'teams', routeName: 'teams' }
+   ]);
+
+   router.route('/team/12/members');
+   router.route('/teams');
+   assert.deepEqual(checks, ['members']);
+   assert.equal(router.engine.currentMatch.url, '/team/12');
+
+   canLeaveMembers = true;
+   router.route('/teams');
+   assert.deepEqual(checks, ['members', 'members', 'team']);
+   assert.equal(router.engine.currentMatch.url, '/teams');
+});
+
+test('relative URLs start from the level of the router, each ../ going one level up', () => {
+   teamRoutes = [{ route: '/members' }];
+   const router = routerWith([{ route: 'team', routeName: 'team', class: Core_TestTeamPage, nested: true }]);
+
+   router.route('/team/12/members');
+   const child = router.firstElementChild.router;
+
+   assert.equal(router.resolveUrl('./stats'), '/team/12/stats');
+   assert.equal(child.resolveUrl('./stats'), '/team/12/stats');
+   assert.equal(child.resolveUrl('../teams'), '/teams');
+   assert.equal(child.resolveUrl('/about'), '/about');
+});
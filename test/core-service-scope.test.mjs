@@ -0,0 +1,55 @@
+/**
+ * Tests of the scoped containers: inherited registrations, local overrides, and scopes serving DOM subtrees.
+ * Run with core-test-setup.mjs (see its usage).
+ */
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { Core } = await import('../services/core/core.js');
+const { Core_HTMLElement } = await import('../lib/base/core-html-element.js');
+
+class Core_TestPriceService {
+   static dependencies = ['currency'];
+
+   init(deps) {
+      this.currency = deps.currency;
+   }
+}
+
+class Core_TestScopedElement extends Core_HTMLElement { }
+customElements.define('core-test-scoped-element', Core_TestScopedElement);
+
+afterEach(() => {
+   document.body.innerHTML = '';
+   Core.resetInstance();
+});
+
+test('a child scope builds its own instance of a service whose dependency it overrides', () => {
+   const core = Core.createTestInstance({ overrides: { currency: { code: 'EUR' } } });
+   core.registerService('price', Core_TestPriceService);
+
+   const scope = core.createScope();
+   scope.registerInstance('currency', { code: 'USD' });
+
+   assert.equal(core.getService('price').currency.code, 'EUR');
+   assert.equal(scope.getService('price').currency.code, 'USD');
+   assert.equal(scope.getService('log'), core.getService('log'));
+});
+
+test('a scope created for an element serves the components of its subtree', () => {
+   const core = Core.createTestInstance({ overrides: { currency: { code: 'EUR' } } });
+   const panel = document.createElement('div');
+   const inside = new Core_TestScopedElement();
+   const outside = new Core_TestScopedElement();
+   panel.appendChild(inside);
+   document.body.append(panel, outside);
+
+   const scope = core.createScope(panel);
+   scope.registerInstance('currency', { code: 'USD' });
+
+   assert.equal(inside.svc('currency').code, 'USD');
+   assert.equal(outside.svc('currency').code, 'EUR');
+
+   scope.dispose();
+   assert.equal(inside.svc('currency').code, 'EUR');
+});
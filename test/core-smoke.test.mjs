@@ -0,0 +1,47 @@
+/**
+ * Smoke test of the library in Node: Core test instances, service overrides and routing.
+ * Run with core-test-setup.mjs (see its usage).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { of } from 'rxjs';
+
+const { Core } = await import('../services/core/core.js');
+const { Core_Router } = await import('../lib/core-router.js');
+
+class Core_SmokePage extends HTMLElement {
+   constructor(params) {
+      super();
+      this.params = params;
+   }
+}
+customElements.define('core-smoke-page', Core_SmokePage);
+
+test('a test instance replaces services and records their calls', () => {
+   const core = Core.createTestInstance({ overrides: { ajax: { getJSON: () => of({ status: 'SUCCESS' }) } } });
+   $svc('log').setOutput(() => { });
+
+   $svc('ajax').getJSON('loadLang', { lang: 'fr' }).subscribe();
+
+   assert.equal(window.$core, core);
+   assert.deepEqual(core.calls('ajax').map((call) => call.args), [['loadLang', { lang: 'fr' }]]);
+   Core.resetInstance();
+});
+
+test('a started test instance gets ready, and its routers route', async () => {
+   const core = Core.createTestInstance({ start: true });
+   $svc('log').setOutput(() => { });
+   $svc('config').setRoutes({ team: '/team/:teamId(\\d+)' });
+
+   const router = new Core_Router();
+   router.addRoute({ route: 'team', routeName: 'team', class: Core_SmokePage });
+   history.replaceState(null, '', '/team/12');
+   document.body.appendChild(router);
+
+   await core.ready;
+   await new Promise((resolve) => setTimeout(resolve));
+
+   assert.deepEqual(router.firstChild?.params, { teamId: 12 });
+   router.remove();
+   Core.resetInstance();
+});
@@ -0,0 +1,22 @@
+/**
+ * Runs the library in Node, in a jsdom page: registers the module hooks (see core-loader-hooks.mjs),
+ * then exposes the globals of the page that the library uses, as a browser does.
+ *
+ * Usage (jsdom and rxjs being installed):
+ *   node --import ./test/core-test-setup.mjs --test test/*.test.mjs
+ */
+import { register } from 'node:module';
+import { JSDOM } from 'jsdom';
+
+register('./core-loader-hooks.mjs', import.meta.url);
+
+const dom = new JSDOM('<!doctype html><html><head></head><body></body></html>', { url: 'http://localhost/' });
+
+globalThis.window = dom.window;
+['document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage', 'HTMLElement', 'Node',
+   'customElements', 'CustomEvent', 'Event', 'XMLHttpRequest', 'DOMParser'].forEach((name) => {
+   Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+});
+
+// The services are reached through $svc(), set on window once Core is loaded
+Object.defineProperty(globalThis, '$svc', { get: () => window.$svc, configurable: true });
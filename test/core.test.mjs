@@ -0,0 +1,55 @@
+/**
+ * Tests of the Core singleton: startup and its ready promise.
+ * Run with core-test-setup.mjs (see its usage).
+ */
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { Core } = await import('../services/core/core.js');
+const { Core_LogService } = await import('../services/core/core-log-service.js');
+
+const logFailure = new Error('log down');
+
+// Log service failing to report the startup errors
+class Core_TestFailingLogService extends Core_LogService {
+   getLogger(category) {
+      if (category === 'core') {
+         throw logFailure;
+      }
+      return super.getLogger(category);
+   }
+}
+
+afterEach(() => {
+   Core.resetInstance();
+});
+
+test('ready resolves with the report once all startup tasks are done', async () => {
+   const core = Core.createTestInstance();
+   $svc('log').setOutput(() => { });
+   core.addStartupTask('extra', () => Promise.resolve());
+
+   const report = await core.start();
+
+   assert.equal(report.success, true);
+   assert.ok(report.tasks.some((task) => task.name === 'extra' && task.status === 'done'));
+});
+
+test('ready rejects with the report when a required task fails', async () => {
+   const core = Core.createTestInstance();
+   $svc('log').setOutput(() => { });
+   core.addStartupTask('broken', () => Promise.reject(new Error('down')));
+
+   const report = await core.start().then(() => null, (failure) => failure);
+
+   assert.equal(report.success, false);
+   assert.equal(report.tasks.find((task) => task.name === 'broken').error.message, 'down');
+});
+
+test('ready rejects when the report itself cannot be handled', async () => {
+   const core = Core.createTestInstance({ overrides: { log: Core_TestFailingLogService } });
+   $svc('log').setOutput(() => { });
+   core.addStartupTask('broken', () => Promise.reject(new Error('down')));
+
+   await assert.rejects(core.start(), logFailure);
+});